@@ -0,0 +1,39 @@
+// =============================================================================
+// Одноразовая миграция сообщений из messages.json в базу SQLite
+//
+// Запуск: yarn migrate:sqlite [путь к messages.json]
+//
+// Сообщения, ID которых уже есть в базе, пропускаются, поэтому скрипт можно
+// безопасно запускать повторно. После миграции сервер нужно запускать
+// с переменной окружения STORAGE_DRIVER=sqlite.
+// =============================================================================
+
+import fs from 'fs';
+import { STORAGE_CONFIG } from '../src/configs/storage.js';
+import { createJsonStorage } from '../src/services/storage/jsonStorage.js';
+import { createSqliteStorage } from '../src/services/storage/sqliteStorage.js';
+import { logger } from '../src/utils/logger.js';
+
+const sourcePath = process.argv[2] || STORAGE_CONFIG.json.filePath;
+
+if (!fs.existsSync(sourcePath)) {
+  logger.error(`Source file not found: ${sourcePath}`);
+  process.exit(1);
+}
+
+const source = createJsonStorage({ filePath: sourcePath });
+const target = createSqliteStorage(STORAGE_CONFIG.sqlite);
+
+await source.init();
+await target.init();
+
+try {
+  const messages = await source.loadAll();
+  const imported = await target.insertMany(messages);
+
+  logger.info(
+    `Imported ${imported} of ${messages.length} messages from ${sourcePath} into ${STORAGE_CONFIG.sqlite.filePath}`
+  );
+} finally {
+  await target.close();
+}
@@ -0,0 +1,111 @@
+// =============================================================================
+// Удаление метаданных (EXIF, XMP, IPTC) из ранее загруженных изображений
+//
+// Запуск: yarn scrub:metadata
+//
+// Очищаются все изображения в директории загрузок и в корзине, размеры
+// файлов в сообщениях и в корзине обновляются. Скрипт изменяет хранилище
+// напрямую, поэтому сервер на время очистки нужно остановить. Уже очищенные
+// файлы не изменяются, поэтому скрипт можно безопасно запускать повторно.
+// Очищенный файл хранилища сохраняет прежнее имя (хеш исходного содержимого),
+// чтобы не менять ссылки на него, а поле `hash` вложений обновляется: по нему
+// строится ETag, который должен соответствовать содержимому.
+// =============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { MIME_TO_EXT } from '../src/configs/fileTypes.js';
+import { isBlobFile } from '../src/services/blobService.js';
+import { createStorage } from '../src/services/storage/index.js';
+import { writeFileAtomic } from '../src/utils/atomicWrite.js';
+import { hashFile } from '../src/utils/hashFile.js';
+import { logger } from '../src/utils/logger.js';
+import { TRASH_DIR, TRASH_FILE, UPLOADS_DIR } from '../src/utils/paths.js';
+import { stripImageMetadataFile } from '../src/utils/stripImageMetadata.js';
+
+const EXT_TO_MIME = Object.fromEntries(
+  Object.entries(MIME_TO_EXT).map(([mimetype, ext]) => [ext, mimetype])
+);
+
+// Очищенные файлы: полный путь → новые размер и хеш
+const scrubbed = new Map();
+let failed = 0;
+
+const scrubDirectory = async (dir) => {
+  if (!fs.existsSync(dir)) return;
+
+  const entries = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true });
+  for (const entry of entries) {
+    const mimetype = EXT_TO_MIME[path.extname(entry.name).toLowerCase()];
+    if (!entry.isFile() || !mimetype?.startsWith('image/')) continue;
+
+    const filePath = path.join(entry.parentPath, entry.name);
+    try {
+      const size = await stripImageMetadataFile(filePath, mimetype);
+      if (size !== null) scrubbed.set(filePath, { size, hash: await hashFile(filePath) });
+    } catch (err) {
+      failed += 1;
+      logger.warn({ err }, `Failed to scrub ${filePath}`);
+    }
+  }
+};
+
+// Возвращает файлы с обновленными размерами и хешами или null, если
+// вложения не изменились
+const applyScrubbed = (files = [], resolvePath) => {
+  let isChanged = false;
+  const nextFiles = files.map((file) => {
+    const result = scrubbed.get(resolvePath(file));
+    if (!result) return file;
+
+    const hash = file.hash ? result.hash : undefined;
+    if (result.size === file.size && hash === file.hash) return file;
+
+    isChanged = true;
+    return { ...file, size: result.size, ...(hash && { hash }) };
+  });
+  return isChanged ? nextFiles : null;
+};
+
+await scrubDirectory(UPLOADS_DIR);
+await scrubDirectory(TRASH_DIR);
+
+const storage = await createStorage();
+await storage.init();
+
+let updatedMessages = 0;
+try {
+  for (const message of await storage.loadAll()) {
+    const files = applyScrubbed(message.files, (file) => path.join(UPLOADS_DIR, file.filename));
+    if (!files) continue;
+
+    await storage.update({ ...message, files });
+    updatedMessages += 1;
+  }
+} finally {
+  await storage.close();
+}
+
+if (fs.existsSync(TRASH_FILE)) {
+  let isTrashChanged = false;
+  const items = JSON.parse(await fs.promises.readFile(TRASH_FILE, 'utf8')).map((item) => {
+    // Файлы хранилища остаются на месте, а остальные файлы сообщений
+    // в корзине лежат в data/trash/{messageId}/{subdir}/{name}
+    const files = applyScrubbed(item.message.files, (file) => (
+      isBlobFile(file)
+        ? path.join(UPLOADS_DIR, file.filename)
+        : path.join(TRASH_DIR, item.message.id, ...file.filename.split('/').slice(-2))
+    ));
+    if (!files) return item;
+
+    isTrashChanged = true;
+    return { ...item, message: { ...item.message, files } };
+  });
+
+  if (isTrashChanged) await writeFileAtomic(TRASH_FILE, JSON.stringify(items, null, 2));
+}
+
+logger.info(
+  `Scrubbed metadata from ${scrubbed.size} images, updated ${updatedMessages} messages`
+  + (failed > 0 ? `, ${failed} images failed` : '')
+);
@@ -6,10 +6,18 @@
 // =============================================================================
 
 import app from './src/app.js';
+import { startMediaMetadataBackfill } from './src/services/mediaMetadataService.js';
+import { startReminderScheduler } from './src/services/reminderService.js';
+import { startTrashPurge } from './src/services/trashService.js';
+import { startUploadCleanup } from './src/services/uploadService.js';
 import { logger } from './src/utils/logger.js';
 
 export const PORT = 7070;
 
 app.listen(PORT, () => {
   logger.info(`Server is listening on port ${PORT}`);
+  startReminderScheduler();
+  startTrashPurge();
+  startUploadCleanup();
+  startMediaMetadataBackfill();
 });
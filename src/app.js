@@ -4,6 +4,7 @@
 
 import Koa from 'koa';
 import {
+  authMiddleware,
   corsMiddleware,
   errorHandlerMiddleware,
   fileValidationMiddleware,
@@ -11,19 +12,70 @@ import {
   loggerMiddleware
 } from './middleware/index.js';
 import apiRoutes from './routes/api/index.js';
+import { initBlobs } from './services/blobService.js';
+import { initChats } from './services/chatService.js';
 import { initDirectories } from './services/initDirsService.js';
+import { initMessageStore } from './services/messageService.js';
+import { initReminders } from './services/reminderService.js';
+import { initRevisions } from './services/revisionService.js';
+import { initSessions } from './services/sessionService.js';
+import { initSettings } from './services/settingsService.js';
+import { initTrash } from './services/trashService.js';
+import { initUploads } from './services/uploadService.js';
+import { initUsers } from './services/userService.js';
+import { logger } from './utils/logger.js';
 
 const app = new Koa();
 
 // Инициализация директорий и файлов
 initDirectories();
 
+// Инициализация хранилища сообщений, чатов, истории изменений, корзины,
+// счетчиков ссылок на файлы и незавершенных загрузок.
+// Если их не удалось прочитать или восстановить, сервер не запускается,
+// чтобы не затереть их
+try {
+  await initMessageStore();
+  await initChats();
+  await initRevisions();
+  await initTrash();
+  await initBlobs();
+  await initUploads();
+} catch (err) {
+  logger.fatal({ err }, 'Failed to initialize message storage');
+  process.exit(1);
+}
+
+// Загрузка пользовательских настроек
+await initSettings();
+
+// Загрузка учетных записей и сессий. Пользователи загружаются последними:
+// при загрузке пользователю LEGACY_DATA_OWNER передаются данные, созданные
+// до появления учетных записей
+try {
+  await initUsers();
+  await initSessions();
+} catch (err) {
+  logger.fatal({ err }, 'Failed to initialize user accounts');
+  process.exit(1);
+}
+
+// Загрузка напоминаний. Планировщик запускается вместе с сервером
+// (см. server.js)
+try {
+  await initReminders();
+} catch (err) {
+  logger.fatal({ err }, 'Failed to initialize reminders');
+  process.exit(1);
+}
+
 // Глобальный обработчик ошибок
 app.use(errorHandlerMiddleware);
 
 // Middleware
 app.use(loggerMiddleware);
 app.use(corsMiddleware);
+app.use(authMiddleware);
 app.use(koaBodyMiddleware);
 app.use(fileValidationMiddleware);
 
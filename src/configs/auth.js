@@ -0,0 +1,66 @@
+// =============================================================================
+// Конфигурация учетных записей и авторизации
+// =============================================================================
+
+/**
+ * Имя cookie с токеном сессии
+ * @type {string}
+ */
+export const SESSION_COOKIE = 'keeply_session';
+
+/**
+ * Время жизни сессии (в миллисекундах)
+ * @type {number}
+ */
+export const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 дней
+
+/**
+ * Допустимый формат имени пользователя: латиница, цифры, `_`, `.`, `-`
+ * @type {RegExp}
+ */
+export const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+
+/**
+ * Минимальная длина пароля
+ * @type {number}
+ */
+export const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Максимальная длина пароля (ограничивает время хеширования)
+ * @type {number}
+ */
+export const PASSWORD_MAX_LENGTH = 128;
+
+/**
+ * Имя пользователя, которому передаются данные, созданные до появления
+ * учетных записей
+ *
+ * @type {string|null}
+ * @description
+ * Задается переменной окружения `LEGACY_DATA_OWNER`. Сообщения, чаты
+ * и настройки без владельца передаются этому пользователю при запуске
+ * сервера, если он уже зарегистрирован: сначала нужно зарегистрироваться,
+ * затем перезапустить сервер с переменной. Порядок регистрации на владельца
+ * не влияет. Если переменная не задана, данные без владельца никому
+ * не доступны.
+ *
+ * @example
+ * // LEGACY_DATA_OWNER=alice yarn start
+ */
+export const LEGACY_DATA_OWNER = process.env.LEGACY_DATA_OWNER || null;
+
+/**
+ * Маршруты, доступные без авторизации, в формате 'МЕТОД /путь'
+ *
+ * @type {string[]}
+ * @description
+ * `OPTIONS /api/uploads` — запрос клиента tus о возможностях сервера перед
+ * загрузкой; ответ содержит только параметры протокола.
+ */
+export const PUBLIC_ROUTES = [
+  'POST /api/auth/register',
+  'POST /api/auth/login',
+  'GET /api/capabilities',
+  'OPTIONS /api/uploads',
+];
@@ -2,6 +2,10 @@
 // Конфигурация возможностей бота для управления интерфейсом и функциональностью
 // =============================================================================
 
+import { MESSAGE_FORMATS } from './constants.js';
+import { STORAGE_QUOTA_BYTES, STORAGE_QUOTA_FILES } from './quota.js';
+import { MAX_RESUMABLE_UPLOAD_SIZE } from './uploads.js';
+
 /**
  * Сообщение для отображения в подсказках недоступных функций бота
  * 
@@ -20,9 +24,10 @@ const BOT_FUNCTION_NOT_AVAILABLE = 'Функция недоступна';
  * @description
  * Определяет доступность, ограничения и параметры различных элементов 
  * интерфейса бота:
- * - Форма отправки сообщений
+ * - Форма отправки сообщений и команды бота
  * - Поле поиска
  * - Кнопки управления (Help, Favorites, Attachments, Settings)
+ * - Квоту на хранение файлов
  * 
  * Значение `availableState` определяет видимость/доступность элемента:
  * - 'true' — элемент активен
@@ -34,6 +39,7 @@ export const capabilities = {
     sendText: {
       availableState: 'true',
       limit: 1000,
+      formats: MESSAGE_FORMATS,
       hasTooltip: false,
       tooltip: '',
     },
@@ -44,9 +50,27 @@ export const capabilities = {
       hasTooltip: false,
       tooltip: '',
     },
+    // Загрузка больших файлов по частям с возможностью продолжить после
+    // обрыва соединения (протокол tus)
+    resumableUploads: {
+      availableState: 'true',
+      endpoint: '/api/uploads',
+      maxSize: MAX_RESUMABLE_UPLOAD_SIZE,
+      hasTooltip: false,
+      tooltip: '',
+    },
+    // Команды бота («/help», «/find <текст>» и т. д.). Список команд
+    // (`list`) добавляется при ответе из реестра команд
+    commands: {
+      availableState: 'true',
+      prefix: '/',
+      hasTooltip: false,
+      tooltip: '',
+    },
   },
 
-  // Поле поиска
+  // Поле поиска. Состояние до построения поискового индекса: после
+  // построения поиск включается при ответе (см. isIndexReady)
   search: {
     searchMessages: {
       availableState: 'false',
@@ -55,6 +79,18 @@ export const capabilities = {
     },
   },
 
+  // Квота на хранение файлов одного пользователя (null — без ограничения).
+  // Занятое место возвращает GET /api/stats/storage (поле `quota`)
+  quota: {
+    storage: {
+      availableState: 'true',
+      maxBytes: STORAGE_QUOTA_BYTES,
+      maxFiles: STORAGE_QUOTA_FILES,
+      hasTooltip: false,
+      tooltip: '',
+    },
+  },
+
   // Остальной интерфейс
   ui: {
     buttonHelp: {
@@ -63,14 +99,14 @@ export const capabilities = {
       tooltip: 'Помощь',
     },
     buttonFavorites: {
-      availableState: 'false',
+      availableState: 'true',
       hasTooltip: true,
-      tooltip: BOT_FUNCTION_NOT_AVAILABLE,
+      tooltip: 'Избранное',
     },
     buttonAttachments: {
-      availableState: 'false',
+      availableState: 'true',
       hasTooltip: true,
-      tooltip: BOT_FUNCTION_NOT_AVAILABLE,
+      tooltip: 'Вложения',
     },
     buttonSettings: {
       availableState: 'true',
@@ -0,0 +1,26 @@
+// =============================================================================
+// Конфигурация чатов
+// =============================================================================
+
+/**
+ * ID чата по умолчанию
+ *
+ * @type {string}
+ * @description
+ * Чат по умолчанию существует всегда и не может быть удален. К нему
+ * относятся маршруты `/api/messages` и сообщения, сохраненные до появления
+ * нескольких чатов (без поля `chatId`).
+ */
+export const DEFAULT_CHAT_ID = 'default';
+
+/**
+ * Название чата по умолчанию
+ * @type {string}
+ */
+export const DEFAULT_CHAT_TITLE = 'Основной';
+
+/**
+ * Максимальная длина названия чата
+ * @type {number}
+ */
+export const MAX_CHAT_TITLE_LENGTH = 100;
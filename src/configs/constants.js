@@ -12,3 +12,40 @@ export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
  * Максимальный размер всех загружаемых файлов одним сообщением (в байтах)
  */
 export const MAX_TOTAL_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+
+/**
+ * Максимальный размер импортируемого архива (в байтах)
+ * @type {number}
+ */
+export const MAX_IMPORT_SIZE = 1024 * 1024 * 1024; // 1GB
+
+/**
+ * Максимальное количество сообщений в одной групповой операции
+ * (`POST /api/messages/bulk`, `GET /api/attachments/download`)
+ * @type {number}
+ */
+export const MAX_BULK_MESSAGES = 1000;
+
+/**
+ * Уменьшенные копии изображений, создаваемые при загрузке
+ *
+ * @type {Object.<string, number>}
+ * @description
+ * Ключ — название варианта (параметр `?size=` маршрута `/uploads`),
+ * значение — максимальный размер большей стороны в пикселях
+ */
+export const IMAGE_VARIANTS = {
+  thumb: 320,
+  medium: 1280,
+};
+
+/**
+ * Форматы текста сообщений пользователя
+ *
+ * @type {string[]}
+ * @description
+ * - 'text' — обычный текст
+ * - 'markdown' — Markdown. Сервер хранит исходный текст в поле `message`
+ *   и очищенный HTML в поле `html`
+ */
+export const MESSAGE_FORMATS = ['text', 'markdown'];
@@ -28,7 +28,7 @@ export const FILE_TYPE_CONFIG = [
   },
   {
     prefix: 'audio/',
-    specificTypes: ['audio/mpeg', 'audio/wav'],
+    specificTypes: ['audio/mpeg', 'audio/wav', 'audio/ogg'],
     subdir: 'audios',
   },
 ];
@@ -101,6 +101,7 @@ export const MIME_TO_EXT = {
   'video/mp4': '.mp4',
   'audio/mpeg': '.mp3',
   'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
 };
 
 /**
@@ -0,0 +1,20 @@
+// =============================================================================
+// Конфигурация защиты личных данных в загружаемых файлах
+// =============================================================================
+
+/**
+ * Удалять ли метаданные (EXIF, XMP, IPTC) из загружаемых изображений
+ *
+ * @type {boolean}
+ * @description
+ * Задается переменной окружения `STRIP_IMAGE_METADATA`, по умолчанию
+ * включено. Фотографии со смартфонов содержат GPS-координаты, модель
+ * и серийный номер камеры, которые иначе были бы доступны всем, у кого
+ * есть ссылка на файл. Уже загруженные файлы очищаются командой
+ * `yarn scrub:metadata`.
+ *
+ * @example
+ * // Сохранять изображения без изменений
+ * // STRIP_IMAGE_METADATA=false yarn start
+ */
+export const STRIP_IMAGE_METADATA = process.env.STRIP_IMAGE_METADATA !== 'false';
@@ -0,0 +1,46 @@
+// =============================================================================
+// Конфигурация квот на хранение файлов
+// =============================================================================
+
+import { parseSize } from '../utils/size.js';
+
+/**
+ * Максимальный объем вложений одного пользователя (в байтах)
+ *
+ * @type {number|null}
+ * @description
+ * Задается переменной окружения `STORAGE_QUOTA` ('500MB', '5GB' или число
+ * байт). Если переменная не задана, объем не ограничен (null).
+ *
+ * Учитываются вложения сообщений и корзины (файлы удаленных сообщений
+ * занимают место, пока корзина не очищена), вложения прошлых версий
+ * сообщений и объявленный размер незавершенных загрузок по частям.
+ *
+ * @example
+ * // STORAGE_QUOTA=5GB yarn start
+ */
+export const STORAGE_QUOTA_BYTES = parseSize(process.env.STORAGE_QUOTA);
+
+/**
+ * Максимальное количество вложений одного пользователя
+ *
+ * @type {number|null}
+ * @description
+ * Задается переменной окружения `STORAGE_QUOTA_FILES`. Если переменная
+ * не задана, количество не ограничено (null).
+ */
+export const STORAGE_QUOTA_FILES = /^[1-9]\d*$/.test(process.env.STORAGE_QUOTA_FILES || '')
+  ? Number(process.env.STORAGE_QUOTA_FILES)
+  : null;
+
+/**
+ * Количество самых больших сообщений в статистике по умолчанию
+ * @type {number}
+ */
+export const STORAGE_STATS_TOP = 10;
+
+/**
+ * Максимальное количество самых больших сообщений в статистике
+ * @type {number}
+ */
+export const MAX_STORAGE_STATS_TOP = 100;
@@ -0,0 +1,71 @@
+// =============================================================================
+// Конфигурация напоминаний
+// =============================================================================
+
+/**
+ * Максимальная длина текста напоминания
+ * @type {number}
+ */
+export const MAX_REMINDER_TEXT_LENGTH = 1000;
+
+/**
+ * Максимальный срок, на который можно поставить напоминание (в миллисекундах)
+ * @type {number}
+ */
+export const MAX_REMINDER_DELAY = 365 * 24 * 60 * 60 * 1000; // 1 год
+
+/**
+ * Интервал откладывания напоминания по умолчанию
+ * @type {string}
+ */
+export const DEFAULT_SNOOZE = '10m';
+
+/**
+ * Срок хранения сработавших и неотправленных напоминаний (в миллисекундах)
+ *
+ * @type {number}
+ * @description
+ * Пока сработавшее или неотправленное напоминание хранится, его можно отложить
+ * (`POST /api/reminders/:id/snooze`). Затем оно удаляется планировщиком.
+ */
+export const FIRED_REMINDER_RETENTION = 7 * 24 * 60 * 60 * 1000; // 7 дней
+
+/**
+ * Максимальная задержка таймера планировщика (в миллисекундах)
+ *
+ * @type {number}
+ * @description
+ * Таймер ставится на ближайшее напоминание, но не дальше этого срока:
+ * setTimeout не поддерживает задержки больше ~24.8 суток, а периодическая
+ * проверка заодно удаляет устаревшие сработавшие напоминания.
+ */
+export const SCHEDULER_MAX_DELAY = 60 * 60 * 1000; // 1 час
+
+/**
+ * Задержка перед первой повторной попыткой отправить напоминание
+ * (в миллисекундах)
+ *
+ * @type {number}
+ * @description
+ * Если сообщение напоминания не удалось сохранить (например, из-за ошибки
+ * хранилища), следующая попытка выполняется через эту задержку, затем
+ * задержка удваивается до REMINDER_RETRY_MAX_DELAY.
+ */
+export const REMINDER_RETRY_BASE_DELAY = 60 * 1000; // 1 минута
+
+/**
+ * Максимальная задержка между попытками отправить напоминание
+ * (в миллисекундах)
+ * @type {number}
+ */
+export const REMINDER_RETRY_MAX_DELAY = 60 * 60 * 1000; // 1 час
+
+/**
+ * Количество попыток отправить напоминание
+ *
+ * @type {number}
+ * @description
+ * После стольких неудачных попыток напоминание получает статус 'failed'
+ * и больше не отправляется. Его можно отложить, чтобы попробовать снова.
+ */
+export const REMINDER_MAX_ATTEMPTS = 10;
@@ -0,0 +1,112 @@
+// =============================================================================
+// Схема пользовательских настроек
+// =============================================================================
+
+/**
+ * Проверяет, что строка — корректный часовой пояс IANA
+ *
+ * @param {string} value - Название часового пояса (например, 'Europe/Moscow')
+ * @returns {boolean}
+ */
+const isValidTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Текущая версия формата документа настроек
+ *
+ * @type {number}
+ * @description
+ * Увеличивается при несовместимом изменении схемы. Для каждой новой версии
+ * в SETTINGS_MIGRATIONS добавляется функция перехода с предыдущей.
+ */
+export const SETTINGS_VERSION = 1;
+
+/**
+ * Схема настроек
+ *
+ * @type {Object.<string, Object>}
+ * @property {string} type - Тип значения: 'string', 'integer' или 'boolean'
+ * @property {*} default - Значение по умолчанию
+ * @property {string[]} [values] - Допустимые значения (для перечислений)
+ * @property {number} [min] - Минимальное значение (для чисел)
+ * @property {number} [max] - Максимальное значение (для чисел)
+ * @property {Function} [validate] - Дополнительная проверка значения
+ * @property {string} [message] - Сообщение об ошибке дополнительной проверки
+ *
+ * @example
+ * SETTINGS_SCHEMA.theme.default; // 'system'
+ */
+export const SETTINGS_SCHEMA = {
+  // Тема оформления интерфейса
+  theme: {
+    type: 'string',
+    values: ['light', 'dark', 'system'],
+    default: 'system',
+  },
+
+  // Количество сообщений, подгружаемых за один запрос
+  pageSize: {
+    type: 'integer',
+    min: 5,
+    max: 100,
+    default: 10,
+  },
+
+  // Отправка сообщений в формате Markdown
+  markdown: {
+    type: 'boolean',
+    default: false,
+  },
+
+  // Часовой пояс для отображения времени сообщений
+  timezone: {
+    type: 'string',
+    default: 'UTC',
+    validate: isValidTimezone,
+    message: 'Неизвестный часовой пояс',
+  },
+
+  // Язык интерфейса
+  language: {
+    type: 'string',
+    values: ['ru', 'en'],
+    default: 'ru',
+  },
+
+  // Отправка сообщения по нажатию Enter (иначе — Ctrl+Enter)
+  sendOnEnter: {
+    type: 'boolean',
+    default: true,
+  },
+};
+
+/**
+ * Настройки по умолчанию, собранные из схемы
+ *
+ * @type {Object.<string, *>}
+ */
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([field, rule]) => [field, rule.default])
+);
+
+/**
+ * Миграции сохраненного документа настроек
+ *
+ * @type {Object.<number, Function>}
+ * @description
+ * Ключ — версия, в которую переводит миграция, значение — функция,
+ * принимающая поле `settings` документа предыдущей версии и возвращающая
+ * его новую версию. Миграции применяются последовательно при чтении
+ * документа, версия которого меньше SETTINGS_VERSION.
+ *
+ * @example
+ * // Переименование поля в версии 2:
+ * // 2: ({ darkMode, ...rest }) => ({ ...rest, theme: darkMode ? 'dark' : 'light' }),
+ */
+export const SETTINGS_MIGRATIONS = {};
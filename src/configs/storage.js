@@ -0,0 +1,53 @@
+// =============================================================================
+// Конфигурация хранилища сообщений
+// =============================================================================
+
+import { MESSAGES_FILE, SQLITE_FILE } from '../utils/paths.js';
+
+/**
+ * Поддерживаемые драйверы хранилища сообщений
+ *
+ * @type {Object.<string, string>}
+ * @property {string} JSON - Хранение всех сообщений в одном JSON-файле
+ * @property {string} SQLITE - Хранение сообщений во встроенной базе SQLite
+ *
+ * @description
+ * Драйвер влияет только на запись: при любом драйвере все сообщения
+ * загружаются в кэш при запуске и чтение (списки, поиск, вложения)
+ * выполняется из памяти (см. {@link initMessageStore}). SQLite сохраняет
+ * каждое изменение одной строкой таблицы вместо перезаписи всего файла —
+ * это надежнее и быстрее при большой истории, но не уменьшает расход памяти
+ * и время запуска.
+ */
+export const STORAGE_DRIVERS = {
+  JSON: 'json',
+  SQLITE: 'sqlite',
+};
+
+/**
+ * Конфигурация хранилища сообщений
+ *
+ * @type {Object}
+ * @property {string} driver - Используемый драйвер (см. STORAGE_DRIVERS).
+ * Задается переменной окружения `STORAGE_DRIVER`, по умолчанию — 'json'
+ * @property {Object} json - Настройки JSON-драйвера
+ * @property {string} json.filePath - Путь к файлу messages.json
+ * @property {string} json.backupPath - Путь к резервной копии последней
+ * успешно прочитанной версии файла
+ * @property {Object} sqlite - Настройки SQLite-драйвера
+ * @property {string} sqlite.filePath - Путь к файлу базы данных
+ *
+ * @example
+ * // Запуск сервера с хранилищем SQLite
+ * // STORAGE_DRIVER=sqlite yarn start
+ */
+export const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER || STORAGE_DRIVERS.JSON,
+  json: {
+    filePath: MESSAGES_FILE,
+    backupPath: `${MESSAGES_FILE}.bak`,
+  },
+  sqlite: {
+    filePath: process.env.SQLITE_FILE || SQLITE_FILE,
+  },
+};
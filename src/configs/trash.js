@@ -0,0 +1,27 @@
+// =============================================================================
+// Конфигурация корзины (удаленных сообщений)
+// =============================================================================
+
+import { parseDuration } from '../utils/duration.js';
+
+/**
+ * Срок хранения сообщений в корзине (в миллисекундах)
+ *
+ * @type {number}
+ * @description
+ * Задается переменной окружения `TRASH_RETENTION` в формате интервала
+ * ('30d', '2w', '12h'), по умолчанию — 30 дней. Сообщения старше этого
+ * срока удаляются из корзины окончательно вместе с файлами.
+ *
+ * @example
+ * // Хранить удаленные сообщения неделю
+ * // TRASH_RETENTION=7d yarn start
+ */
+export const TRASH_RETENTION = parseDuration(process.env.TRASH_RETENTION)
+  ?? 30 * 24 * 60 * 60 * 1000; // 30 дней
+
+/**
+ * Интервал проверки корзины на устаревшие сообщения (в миллисекундах)
+ * @type {number}
+ */
+export const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // 1 час
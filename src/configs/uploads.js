@@ -0,0 +1,53 @@
+// =============================================================================
+// Конфигурация возобновляемых загрузок (протокол tus)
+// =============================================================================
+
+import { parseDuration } from '../utils/duration.js';
+
+/**
+ * Версия протокола tus, которую поддерживает сервер
+ * @type {string}
+ *
+ * @see {@link https://tus.io/protocols/resumable-upload} - Описание протокола
+ */
+export const TUS_VERSION = '1.0.0';
+
+/**
+ * Поддерживаемые расширения протокола tus
+ *
+ * @type {string[]}
+ * @description
+ * - 'creation' — создание загрузки (`POST /api/uploads`)
+ * - 'expiration' — незавершенные загрузки удаляются (заголовок `Upload-Expires`)
+ * - 'termination' — отмена загрузки (`DELETE /api/uploads/:id`)
+ */
+export const TUS_EXTENSIONS = ['creation', 'expiration', 'termination'];
+
+/**
+ * Максимальный размер файла, загружаемого по частям (в байтах)
+ * @type {number}
+ */
+export const MAX_RESUMABLE_UPLOAD_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
+
+/**
+ * Срок хранения загрузки, не прикрепленной к сообщению (в миллисекундах)
+ *
+ * @type {number}
+ * @description
+ * Задается переменной окружения `UPLOAD_EXPIRATION` в формате интервала
+ * ('24h', '3d'), по умолчанию — сутки. Срок отсчитывается от последней
+ * полученной части файла: брошенные загрузки (и завершенные, но так и не
+ * отправленные в сообщении) удаляются вместе с файлами.
+ *
+ * @example
+ * // Хранить незавершенные загрузки трое суток
+ * // UPLOAD_EXPIRATION=3d yarn start
+ */
+export const UPLOAD_EXPIRATION = parseDuration(process.env.UPLOAD_EXPIRATION)
+  ?? 24 * 60 * 60 * 1000; // 24 часа
+
+/**
+ * Интервал проверки загрузок с истекшим сроком (в миллисекундах)
+ * @type {number}
+ */
+export const UPLOAD_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 час
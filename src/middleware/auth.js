@@ -0,0 +1,64 @@
+// =============================================================================
+// Middleware авторизации
+// =============================================================================
+
+import { PUBLIC_ROUTES, SESSION_COOKIE } from '../configs/auth.js';
+import { findSessionUserId } from '../services/sessionService.js';
+import { findUserById, toPublicUser } from '../services/userService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Извлекает токен сессии из запроса
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @returns {string|null} Токен из заголовка `Authorization: Bearer <токен>`
+ * или из cookie сессии
+ *
+ * @description
+ * Cookie нужна для запросов, в которых браузер не позволяет передать
+ * заголовок: `<img src="/uploads/...">`, EventSource.
+ */
+export const getSessionToken = (ctx) => {
+  const [scheme, token] = (ctx.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token) return token;
+
+  return ctx.cookies.get(SESSION_COOKIE) || null;
+};
+
+/**
+ * Мидлвэр проверки авторизации
+ *
+ * @module authMiddleware
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Function} next - Следующий middleware
+ *
+ * @description
+ * 1. Пропускает маршруты из PUBLIC_ROUTES без проверки
+ * 2. Находит пользователя по токену сессии
+ * 3. Сохраняет пользователя (без хеша пароля) в `ctx.state.user`
+ *
+ * Подключается до разбора тела запроса, чтобы файлы от неавторизованных
+ * клиентов не сохранялись на диск.
+ *
+ * @example
+ * app.use(authMiddleware);
+ * // Далее в обработчиках: ctx.state.user.id
+ *
+ * @throws {401} Если токен не передан, недействителен или истек
+ */
+export const authMiddleware = async (ctx, next) => {
+  if (PUBLIC_ROUTES.includes(`${ctx.method} ${ctx.path}`)) return await next();
+
+  const userId = findSessionUserId(getSessionToken(ctx));
+  const user = userId && findUserById(userId);
+
+  if (!user) {
+    ctx.status = 401;
+    ctx.body = { success: false, error: 'Требуется авторизация' };
+    logger.warn(`Unauthorized request: ${ctx.method} ${ctx.path}`);
+    return;
+  }
+
+  ctx.state.user = toPublicUser(user);
+  await next();
+};
@@ -0,0 +1,48 @@
+// =============================================================================
+// Middleware для маршрутов с параметром чата
+// =============================================================================
+
+import { DEFAULT_CHAT_ID } from '../configs/chats.js';
+import { findChat } from '../services/chatService.js';
+import { cleanupInvalidFile, extractFiles } from '../services/fileService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Обработчик параметра `:chatId` для маршрутов чатов
+ *
+ * @module chatParamMiddleware
+ * @param {string} [chatId] - Значение параметра из пути
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Function} next - Следующий обработчик
+ *
+ * @description
+ * 1. Ищет чат текущего пользователя по ID. Если параметр не указан (необязательный сегмент
+ *    пути, как в `/api{/chats/:chatId}/messages`), используется чат
+ *    по умолчанию
+ * 2. Если чат найден, сохраняет его в `ctx.state.chat`
+ * 3. Иначе удаляет загруженные с запросом файлы и отвечает 404
+ *
+ * @example
+ * router.param('chatId', chatParamMiddleware);
+ * router.get('/api/chats/:chatId', (ctx) => {
+ *   ctx.body = ctx.state.chat;
+ * });
+ *
+ * @throws {404} Если чат не найден
+ */
+export const chatParamMiddleware = async (chatId, ctx, next) => {
+  const chat = findChat(ctx.state.user.id, chatId ?? DEFAULT_CHAT_ID);
+
+  if (!chat) {
+    const files = extractFiles(ctx.request.files);
+    await Promise.all(files.map((file) => cleanupInvalidFile(file.filepath)));
+
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Чат не найден' };
+    logger.warn(`Chat not found: ${chatId}`);
+    return;
+  }
+
+  ctx.state.chat = chat;
+  await next();
+};
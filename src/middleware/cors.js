@@ -1,39 +1,66 @@
 // =============================================================================
-// Middleware конфигурация CORS 
+// Middleware конфигурация CORS
 // =============================================================================
 
 import cors from '@koa/cors';
 
+/**
+ * Источники, которым разрешены кросс-доменные запросы
+ *
+ * @type {string[]}
+ * @description
+ * Задаются переменной окружения `CORS_ORIGINS` через запятую, например
+ * `CORS_ORIGINS=https://keeply.example.com,http://localhost:5173`.
+ * Если переменная не задана, кросс-доменные запросы запрещены (клиент
+ * должен открываться с того же адреса, что и сервер).
+ */
+const allowedOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 /**
  * Опции конфигурации CORS
  */
-const options = { origin: '*', credentials: true };
+const options = {
+  origin: (ctx) => (allowedOrigins.includes(ctx.get('Origin')) ? ctx.get('Origin') : ''),
+  credentials: true,
+  // Заголовки протокола tus, которые читает клиент загрузки по частям
+  exposeHeaders: [
+    'Location',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Max-Size',
+    'Tus-Extension',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Expires',
+  ],
+};
 
 /**
  * Мидлвэр для настройки CORS (Cross-Origin Resource Sharing) в приложении Koa
- * 
+ *
  * @module corsMiddleware
  * @description
  * Конфигурация CORS:
- * - Разрешает запросы с любого источника (`origin: '*'`)
- * - Позволяет передавать учетные данные (cookies, заголовки авторизации) 
- * (`credentials: true`)
- * 
- * ⚠️ **Важно:** Использование `origin: '*'` с `credentials: true` может быть 
- * небезопасным, так как это позволяет любому домену отправлять запросы 
- * с учетными данными. В продакшене рекомендуется указывать конкретные 
- * доверенные домены вместо `'*'`.
- * 
+ * - Разрешает запросы только с источников из `CORS_ORIGINS`. Для остальных
+ *   источников заголовки CORS не выставляются, и браузер блокирует ответ
+ * - Позволяет передавать учетные данные (cookie сессии, заголовок
+ *   авторизации) (`credentials: true`). Поэтому источник указывается явно,
+ *   а не через `'*'`
+ * - Открывает клиенту заголовки протокола загрузки по частям (tus)
+ *
  * @example
  * // Использование в Koa-приложении
  * import Koa from 'koa';
  * import { corsMiddleware } from './middleware';
- * 
+ *
  * const app = new Koa();
  * app.use(corsMiddleware);
- * 
+ *
  * @see {@link https://github.com/koajs/cors} - Документация koa cors
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/CORS} - 
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/CORS} -
  * Документация CORS
  */
 export const corsMiddleware = cors(options);
@@ -1,9 +1,13 @@
+import { authMiddleware } from './auth.js';
+import { chatParamMiddleware } from './chat.js';
 import { corsMiddleware } from './cors.js';
 import { errorHandlerMiddleware } from './errorHandler.js';
 import { loggerMiddleware } from './logger.js';
 import { fileValidationMiddleware, koaBodyMiddleware } from './upload.js';
 
 export {
+  authMiddleware,
+  chatParamMiddleware,
   corsMiddleware,
   errorHandlerMiddleware,
   fileValidationMiddleware,
@@ -10,6 +10,7 @@ import {
   getFileName,
   respondWithValidationError,
 } from '../services/fileService.js';
+import { checkStorageQuota } from '../services/statsService.js';
 import { validateFile } from '../services/validateService.js';
 import { logger } from '../utils/logger.js';
 import { UPLOADS_DIR } from '../utils/paths.js';
@@ -73,22 +74,41 @@ export const koaBodyMiddleware = koaBodyFn({
  * @param {Function} next - Следующий middleware
  *
  * @description
+ * Проверяет, что файлы помещаются в квоту пользователя (см.
+ * {@link checkStorageQuota}); если нет — удаляет все временные файлы
+ * и возвращает ошибку.
+ *
  * Выполняет асинхронную валидацию каждого загруженного файла по магическим байтам.
  * Если файл не проходит валидацию, удаляет временный файл и возвращает ошибку.
- * Добавляет информацию о реальном MIME-типе в объект файла.
+ * Добавляет информацию о реальном MIME-типе и хеш содержимого в объект файла.
  *
  * @throws {400} Если файл не проходит валидацию по содержимому
+ * @throws {413} Если файлы больше всей квоты хранилища
+ * @throws {507} Если файлы не помещаются в оставшееся место
  */
 export const fileValidationMiddleware = async (ctx, next) => {
   const files = extractFiles(ctx.request.files);
   if (files.length === 0) return await next();
 
+  const quotaError = ctx.state.user && checkStorageQuota(ctx.state.user.id, {
+    bytes: files.reduce((sum, file) => sum + (file.size || 0), 0),
+    files: files.length,
+  });
+  if (quotaError) {
+    await Promise.all(files.map((file) => cleanupInvalidFile(file.filepath)));
+    ctx.status = quotaError.status;
+    ctx.body = { success: false, error: quotaError.error };
+    logger.warn(`Upload rejected by storage quota: ${quotaError.error}`);
+    return;
+  }
+
   for (const file of files) {
     if (!file.filepath) continue;
 
     const validationResult = await validateFile(file.filepath);
     if (validationResult.isValid) {
       file.realMimetype = validationResult.detectedMimeType;
+      file.hash = validationResult.hash;
       logger.info(`File validated successfully: ${getFileName(file)} (${validationResult.detectedMimeType})`);
       continue;
     }
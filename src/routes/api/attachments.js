@@ -0,0 +1,194 @@
+// =============================================================================
+// API-маршруты для просмотра вложений '/api/attachments'
+// =============================================================================
+
+import Router from '@koa/router';
+import { MAX_BULK_MESSAGES } from '../../configs/constants.js';
+import {
+  ATTACHMENT_SUBDIRS,
+  buildAttachmentEntries,
+  decodeCursor,
+  listAttachments,
+} from '../../services/attachmentService.js';
+import { findChat } from '../../services/chatService.js';
+import { findMessage, readMessages } from '../../services/messageService.js';
+import { logger } from '../../utils/logger.js';
+import { findMissingEntry, sendZip } from '../../utils/zipResponse.js';
+
+const router = new Router();
+const API_PATH = '/api/attachments';
+
+/**
+ * Максимальный размер порции вложений
+ * @type {number}
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Разбирает дату из параметра запроса
+ *
+ * @param {string} [value] - Дата в формате ISO 8601
+ * @returns {Date|null|undefined}
+ * - Date, если дата корректна
+ * - undefined, если параметр не передан
+ * - null, если дата некорректна
+ */
+const parseDateParam = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Обработчик GET-запроса для получения вложений всех сообщений пользователя
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Object} ctx.query - Параметры запроса
+ * @param {string} [ctx.query.chatId] - ID чата (по умолчанию — все чаты)
+ * @param {string} [ctx.query.subdir] - Поддиректория: images, videos, audios
+ * @param {string} [ctx.query.mimetype] - MIME-тип ('image/png')
+ * или группа ('image/*')
+ * @param {string} [ctx.query.from] - Начало периода (ISO 8601)
+ * @param {string} [ctx.query.to] - Конец периода (ISO 8601)
+ * @param {string} [ctx.query.cursor] - Курсор из предыдущего ответа
+ * @param {string|number} [ctx.query.limit=20] - Размер порции (до 100)
+ *
+ * @description
+ * 1. Валидирует параметры фильтрации и курсор
+ * 2. Собирает вложения всех сообщений (или сообщений одного чата)
+ *    с учетом фильтров
+ * 3. Сортирует их от новых к старым
+ * 4. Возвращает порцию после курсора и курсор следующей порции.
+ *    Каждое вложение содержит `messageId` и `chatId` для перехода к сообщению
+ *
+ * @example
+ * GET /api/attachments?subdir=images&limit=30
+ * // Возвращает: { success: true, data: [...], hasMore: true, nextCursor: 'eyJ0Ijo...' }
+ *
+ * GET /api/attachments?subdir=images&limit=30&cursor=eyJ0Ijo...
+ * // Возвращает следующую порцию
+ *
+ * @throws {400} Если параметры запроса недействительны
+ * @throws {404} Если чат не найден
+ *
+ * @see {@link listAttachments} - Выборка вложений
+ */
+router.get(API_PATH, async (ctx) => {
+  const { subdir, mimetype, cursor, chatId } = ctx.query;
+  const from = parseDateParam(ctx.query.from);
+  const to = parseDateParam(ctx.query.to);
+  const decodedCursor = cursor ? decodeCursor(cursor) : undefined;
+
+  const errors = [];
+  if (subdir && !ATTACHMENT_SUBDIRS.includes(subdir)) {
+    errors.push(`Недопустимая поддиректория: ${subdir}`);
+  }
+  if (mimetype && !/^[a-z]+\/([a-z0-9.+-]+|\*)$/.test(mimetype)) {
+    errors.push(`Недопустимый MIME-тип: ${mimetype}`);
+  }
+  if (from === null || to === null) errors.push('Недопустимый формат даты');
+  if (decodedCursor === null) errors.push('Недействительный курсор');
+
+  if (errors.length > 0) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: errors.join('; ') };
+    logger.warn(`Invalid attachments request: ${errors.join('; ')}`);
+    return;
+  }
+
+  const userId = ctx.state.user.id;
+
+  if (chatId && !findChat(userId, chatId)) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Чат не найден' };
+    return;
+  }
+
+  try {
+    const limit = Math.min(parseInt(ctx.query.limit) || 20, MAX_LIMIT);
+    const { items, hasMore, nextCursor } = listAttachments(readMessages({ userId, chatId }), {
+      subdir,
+      mimetype,
+      from,
+      to,
+      cursor: decodedCursor,
+      limit,
+    });
+
+    ctx.body = { success: true, data: items, hasMore, nextCursor };
+  } catch (error) {
+    logger.error('Error fetching attachments:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: 'Ошибка при получении вложений' };
+  }
+});
+
+/**
+ * Обработчик GET-запроса для скачивания вложений нескольких сообщений
+ * одним ZIP-архивом
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.query.ids - ID сообщений через запятую (сообщения
+ * могут быть из разных чатов пользователя)
+ *
+ * @description
+ * 1. Проверяет, что все сообщения существуют и принадлежат пользователю
+ * 2. Проверяет существование файлов
+ * 3. Отправляет ZIP-архив, в котором вложения каждого сообщения лежат
+ *    в отдельной папке: messageId/subdir/filename. Сообщения без вложений
+ *    пропускаются
+ *
+ * @example
+ * GET /api/attachments/download?ids=123e4567-...,89ab0123-...
+ * // Возвращает: attachments-2025-01-15.zip
+ *
+ * @throws {400} Если список ID пуст или слишком велик
+ * @throws {404} Если сообщения не найдены, у них нет вложений
+ * или файлы отсутствуют
+ *
+ * @see {@link buildAttachmentEntries} - Содержимое архива
+ * @see {@link sendZip} - Отправка ZIP-архива
+ */
+router.get(`${API_PATH}/download`, async (ctx) => {
+  const ids = [...new Set(String(ctx.query.ids || '').split(',').map((id) => id.trim()).filter(Boolean))];
+
+  if (ids.length === 0 || ids.length > MAX_BULK_MESSAGES) {
+    ctx.status = 400;
+    ctx.body = {
+      success: false,
+      error: `Укажите от 1 до ${MAX_BULK_MESSAGES} ID сообщений в параметре ids`,
+    };
+    return;
+  }
+
+  const userId = ctx.state.user.id;
+  const messages = ids.map((id) => findMessage(id, { userId }));
+  const notFound = ids.filter((id, index) => !messages[index]);
+
+  if (notFound.length > 0) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Сообщения не найдены', notFound };
+    return;
+  }
+
+  const entries = buildAttachmentEntries(messages);
+  if (entries.length === 0) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'У выбранных сообщений нет вложений' };
+    return;
+  }
+
+  const missing = await findMissingEntry(entries);
+  if (missing) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Один или несколько файлов не найдены' };
+    logger.warn(`Attachment file not found: ${missing}`);
+    return;
+  }
+
+  sendZip(ctx, entries, `attachments-${new Date().toISOString().slice(0, 10)}.zip`);
+
+  logger.info(`ZIP archive streaming started for ${ids.length} messages with ${entries.length} files`);
+});
+
+export default router;
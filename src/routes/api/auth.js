@@ -0,0 +1,151 @@
+// =============================================================================
+// API-маршруты для регистрации и входа '/api/auth'
+// =============================================================================
+
+import Router from '@koa/router';
+import { SESSION_COOKIE } from '../../configs/auth.js';
+import { getSessionToken } from '../../middleware/auth.js';
+import { createSession, deleteSession } from '../../services/sessionService.js';
+import {
+  authenticateUser,
+  registerUser,
+  toPublicUser,
+  validateCredentials,
+} from '../../services/userService.js';
+import { logger } from '../../utils/logger.js';
+
+const router = new Router();
+const API_PATH = '/api/auth';
+
+/**
+ * Создает сессию и отправляет ее токен клиенту
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Object} user - Пользователь
+ *
+ * @description
+ * Токен возвращается в теле ответа (для заголовка `Authorization: Bearer`)
+ * и в httpOnly cookie (для запросов без заголовков: изображения,
+ * EventSource).
+ */
+const respondWithSession = async (ctx, user) => {
+  const { token, expiresAt } = await createSession(user.id);
+
+  ctx.cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: ctx.secure,
+    expires: new Date(expiresAt),
+  });
+  ctx.body = { success: true, data: { user: toPublicUser(user), token, expiresAt } };
+};
+
+/**
+ * Обработчик POST-запроса для регистрации пользователя
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.request.body.username - Имя пользователя
+ * @param {string} ctx.request.body.password - Пароль
+ *
+ * @description
+ * 1. Проверяет имя пользователя и пароль
+ * 2. Создает пользователя. Первый зарегистрированный пользователь
+ *    становится владельцем сообщений, сохраненных до появления учетных
+ *    записей
+ * 3. Открывает сессию (см. {@link respondWithSession})
+ *
+ * @example
+ * POST /api/auth/register
+ * { "username": "alice", "password": "secret-password" }
+ * // Возвращает: { success: true, data: { user: { id, username, createdAt }, token, expiresAt } }
+ *
+ * @throws {400} Если имя пользователя или пароль недопустимы
+ * @throws {409} Если имя пользователя уже занято
+ *
+ * @see {@link registerUser} - Регистрация пользователя
+ */
+router.post(`${API_PATH}/register`, async (ctx) => {
+  const { username, password } = ctx.request.body || {};
+  const error = validateCredentials(username, password);
+
+  if (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error };
+    return;
+  }
+
+  const user = await registerUser(username, password);
+
+  if (!user) {
+    ctx.status = 409;
+    ctx.body = { success: false, error: 'Имя пользователя уже занято' };
+    return;
+  }
+
+  await respondWithSession(ctx, user);
+});
+
+/**
+ * Обработчик POST-запроса для входа
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.request.body.username - Имя пользователя
+ * @param {string} ctx.request.body.password - Пароль
+ *
+ * @example
+ * POST /api/auth/login
+ * { "username": "alice", "password": "secret-password" }
+ * // Возвращает: { success: true, data: { user, token, expiresAt } }
+ *
+ * @throws {401} Если имя пользователя или пароль неверны
+ *
+ * @see {@link authenticateUser} - Проверка имени пользователя и пароля
+ */
+router.post(`${API_PATH}/login`, async (ctx) => {
+  const { username, password } = ctx.request.body || {};
+  const user = await authenticateUser(username, password);
+
+  if (!user) {
+    ctx.status = 401;
+    ctx.body = { success: false, error: 'Неверное имя пользователя или пароль' };
+    logger.warn(`Failed login attempt for "${username}"`);
+    return;
+  }
+
+  await respondWithSession(ctx, user);
+  logger.info(`User ${user.id} logged in`);
+});
+
+/**
+ * Обработчик POST-запроса для выхода
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ *
+ * @description
+ * Завершает текущую сессию и удаляет cookie. Другие сессии пользователя
+ * (на других устройствах) остаются активными.
+ *
+ * @example
+ * POST /api/auth/logout
+ * // Возвращает: { success: true }
+ */
+router.post(`${API_PATH}/logout`, async (ctx) => {
+  await deleteSession(getSessionToken(ctx));
+  ctx.cookies.set(SESSION_COOKIE, null);
+  ctx.body = { success: true };
+});
+
+/**
+ * Обработчик GET-запроса для получения текущего пользователя
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ *
+ * @example
+ * GET /api/auth/me
+ * // Возвращает: { success: true, data: { id, username, createdAt } }
+ */
+router.get(`${API_PATH}/me`, async (ctx) => {
+  ctx.body = { success: true, data: ctx.state.user };
+});
+
+export default router;
@@ -0,0 +1,286 @@
+// =============================================================================
+// API-маршруты для экспорта и импорта истории '/api/export', '/api/import'
+// =============================================================================
+
+import Router from '@koa/router';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_CHAT_ID } from '../../configs/chats.js';
+import { MAX_IMPORT_SIZE } from '../../configs/constants.js';
+import {
+  buildExportEntries,
+  importArchive,
+  IMPORT_MODES,
+  readExportArchive,
+} from '../../services/backupService.js';
+import { findChat } from '../../services/chatService.js';
+import {
+  importTelegramExport,
+  readTelegramExport,
+} from '../../services/telegramImportService.js';
+import { logger } from '../../utils/logger.js';
+import { TMP_DIR } from '../../utils/paths.js';
+import { openZipArchive } from '../../utils/zipReader.js';
+import { sendZip } from '../../utils/zipResponse.js';
+
+const router = new Router();
+
+/**
+ * Типы содержимого, в которых принимается архив для импорта
+ * @type {string[]}
+ */
+const ARCHIVE_CONTENT_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/octet-stream',
+];
+
+/**
+ * Сохраняет тело запроса во временный файл
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} destination - Путь временного файла
+ * @returns {Promise<boolean>}
+ * - true, если тело сохранено
+ * - false, если превышен MAX_IMPORT_SIZE
+ */
+const saveRequestBody = async (ctx, destination) => {
+  let total = 0;
+  let tooLarge = false;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > MAX_IMPORT_SIZE) {
+        tooLarge = true;
+        callback(new Error('Import archive is too large'));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(ctx.req, limiter, fs.createWriteStream(destination));
+    return true;
+  } catch (err) {
+    if (tooLarge) return false;
+    throw err;
+  }
+};
+
+/**
+ * Принимает ZIP-архив из тела запроса и передает его обработчику
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Function} handler - `async (zip) => void`, получает открытый
+ * архив (см. {@link openZipArchive}) и формирует ответ
+ *
+ * @description
+ * 1. Проверяет тип содержимого и размер (не больше MAX_IMPORT_SIZE)
+ * 2. Сохраняет архив во временную директорию и открывает его
+ * 3. Вызывает обработчик
+ * 4. Удаляет временный архив
+ *
+ * @throws {400} Если тело запроса не является корректным ZIP-архивом
+ * @throws {413} Если архив больше MAX_IMPORT_SIZE
+ * @throws {415} Если тип содержимого не соответствует ZIP-архиву
+ */
+const withUploadedArchive = async (ctx, handler) => {
+  if (!ARCHIVE_CONTENT_TYPES.includes(ctx.request.type)) {
+    ctx.status = 415;
+    ctx.body = { success: false, error: 'Ожидается ZIP-архив (application/zip)' };
+    return;
+  }
+
+  if (ctx.request.length > MAX_IMPORT_SIZE) {
+    ctx.status = 413;
+    ctx.body = { success: false, error: 'Архив слишком большой' };
+    return;
+  }
+
+  const archivePath = path.join(TMP_DIR, `import-${uuidv4()}.zip`);
+
+  try {
+    if (!await saveRequestBody(ctx, archivePath)) {
+      ctx.status = 413;
+      ctx.body = { success: false, error: 'Архив слишком большой' };
+      return;
+    }
+
+    let zip;
+    try {
+      zip = await openZipArchive(archivePath);
+    } catch (err) {
+      logger.warn({ err }, 'Import: failed to open archive');
+      ctx.status = 400;
+      ctx.body = { success: false, error: 'Файл не является корректным ZIP-архивом' };
+      return;
+    }
+
+    await handler(zip);
+  } finally {
+    await fs.promises.rm(archivePath, { force: true });
+  }
+};
+
+/**
+ * Обработчик GET-запроса для экспорта всей истории пользователя
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ *
+ * @description
+ * Отдает ZIP-архив, формируемый на лету:
+ * - `manifest.json` — формат, версия, дата экспорта, список чатов
+ * - `messages.json` — сообщения всех чатов
+ * - `uploads/...` — файлы вложений
+ *
+ * Архив можно загрузить обратно через `POST /api/import`.
+ *
+ * @example
+ * GET /api/export
+ * // Возвращает: keeply-export-2025-01-15.zip
+ *
+ * @see {@link buildExportEntries} - Формирование содержимого архива
+ */
+router.get('/api/export', async (ctx) => {
+  const entries = await buildExportEntries(ctx.state.user);
+  const date = new Date().toISOString().slice(0, 10);
+
+  logger.info(`Exporting history of user ${ctx.state.user.id}: ${entries.length - 2} files`);
+  sendZip(ctx, entries, `keeply-export-${date}.zip`);
+});
+
+/**
+ * Обработчик POST-запроса для импорта истории из архива экспорта
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} [ctx.query.mode=merge] - Режим импорта:
+ * - `merge` — добавить данные архива к текущим
+ * - `replace` — удалить текущие чаты и сообщения и заменить их архивом
+ *
+ * @description
+ * Тело запроса — ZIP-архив, полученный из `GET /api/export`
+ * (Content-Type: application/zip).
+ *
+ * 1. Сохраняет архив во временную директорию (не больше MAX_IMPORT_SIZE)
+ * 2. Проверяет manifest.json и messages.json
+ * 3. Проверяет, что файлы архива помещаются в квоту хранилища: учитываются
+ *    суммарный размер и количество распакованных файлов, а не размер архива
+ * 4. Импортирует чаты, сообщения и файлы. Сообщения, ID которых уже
+ *    заняты, получают новые ID; каждый файл проверяется по содержимому
+ * 5. Удаляет временный архив
+ *
+ * @example
+ * POST /api/import?mode=merge
+ * Content-Type: application/zip
+ * // Возвращает: {
+ * //   success: true,
+ * //   data: { mode: 'merge', chats: 2, messages: 120, files: 34, remappedIds: 0, skipped: [] }
+ * // }
+ *
+ * @throws {400} Если режим неизвестен или архив некорректен
+ * @throws {413} Если архив больше MAX_IMPORT_SIZE или его файлы больше
+ * всей квоты хранилища
+ * @throws {415} Если тело запроса не является ZIP-архивом
+ * @throws {507} Если файлы архива не помещаются в оставшееся место
+ *
+ * @see {@link importArchive} - Импорт архива
+ */
+router.post('/api/import', async (ctx) => {
+  const { mode = IMPORT_MODES.MERGE } = ctx.query;
+
+  if (!Object.values(IMPORT_MODES).includes(mode)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'Неизвестный режим импорта' };
+    return;
+  }
+
+  await withUploadedArchive(ctx, async (zip) => {
+    const { archive, error } = await readExportArchive(zip);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = { success: false, error };
+      return;
+    }
+
+    const { report, quotaError } = await importArchive(ctx.state.user.id, archive, { mode });
+    if (quotaError) {
+      ctx.status = quotaError.status;
+      ctx.body = { success: false, error: quotaError.error };
+      return;
+    }
+
+    ctx.body = { success: true, data: report };
+  });
+});
+
+/**
+ * Обработчик POST-запроса для импорта «Избранного» из Telegram
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} [ctx.query.chatId] - Чат, в который импортируются
+ * сообщения (по умолчанию — основной)
+ *
+ * @description
+ * Тело запроса — ZIP-архив папки экспорта Telegram Desktop (result.json
+ * и папки photos, video_files, voice_messages и т. д.; формат экспорта —
+ * «Машиночитаемый JSON»). Сообщения сохраняют исходное время,
+ * форматирование текста переносится в Markdown. Служебные сообщения,
+ * опросы, геопозиции, файлы неподдерживаемых типов и файлы, не включенные
+ * в экспорт, пропускаются и перечисляются в отчете. Если медиафайлы
+ * экспорта не помещаются в квоту хранилища, ничего не импортируется.
+ *
+ * @example
+ * POST /api/import/telegram?chatId=123e4567-e89b-12d3-a456-426614174000
+ * Content-Type: application/zip
+ * // Возвращает: {
+ * //   success: true,
+ * //   data: {
+ * //     total: 250, messages: 241, files: 63,
+ * //     skipped: [{ telegramId: 17, file: 'files/doc.pdf', reason: 'Тип файла "application/pdf" не разрешен' }, ...]
+ * //   }
+ * // }
+ *
+ * @throws {400} Если архив некорректен или в нем нет «Избранного»
+ * @throws {404} Если чат не найден
+ * @throws {413} Если архив больше MAX_IMPORT_SIZE или его медиафайлы
+ * больше всей квоты хранилища
+ * @throws {415} Если тело запроса не является ZIP-архивом
+ * @throws {507} Если медиафайлы не помещаются в оставшееся место
+ *
+ * @see {@link importTelegramExport} - Импорт сообщений Telegram
+ */
+router.post('/api/import/telegram', async (ctx) => {
+  const { chatId = DEFAULT_CHAT_ID } = ctx.query;
+  const userId = ctx.state.user.id;
+
+  if (!findChat(userId, chatId)) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Чат не найден' };
+    return;
+  }
+
+  await withUploadedArchive(ctx, async (zip) => {
+    const { error, ...telegramExport } = await readTelegramExport(zip);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = { success: false, error };
+      return;
+    }
+
+    const { report, quotaError } = await importTelegramExport({ userId, chatId }, zip, telegramExport);
+    if (quotaError) {
+      ctx.status = quotaError.status;
+      ctx.body = { success: false, error: quotaError.error };
+      return;
+    }
+
+    ctx.body = { success: true, data: report };
+  });
+});
+
+export default router;
@@ -4,12 +4,41 @@
 
 import Router from '@koa/router';
 import { capabilities } from '../../configs/capabilities.js';
+import { listCommands } from '../../services/commandService.js';
+import { isIndexReady } from '../../services/searchService.js';
 
 const router = new Router();
 
+/**
+ * Обработчик GET-запроса для получения возможностей бота
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ *
+ * @description
+ * Возвращает статическую конфигурацию {@link capabilities}, дополненную
+ * списком команд бота (`messaging.commands.list`) для автодополнения
+ * в поле ввода. Поиск (`search.searchMessages`) включается, когда
+ * поисковый индекс построен.
+ *
+ * @example
+ * GET /api/capabilities
+ * // Возвращает: { messaging: { commands: { list: [{ command: '/help', usage, description }] } }, ... }
+ */
 router.get('/api/capabilities', (ctx) => {
   ctx.status = 200;
-  ctx.body = capabilities;
+  ctx.body = {
+    ...capabilities,
+    messaging: {
+      ...capabilities.messaging,
+      commands: { ...capabilities.messaging.commands, list: listCommands() },
+    },
+    search: {
+      ...capabilities.search,
+      searchMessages: isIndexReady()
+        ? { availableState: 'true', hasTooltip: false, tooltip: '' }
+        : capabilities.search.searchMessages,
+    },
+  };
 });
 
 export default router;
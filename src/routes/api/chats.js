@@ -0,0 +1,222 @@
+// =============================================================================
+// API-маршруты для работы с чатами '/api/chats'
+// =============================================================================
+
+import Router from '@koa/router';
+import { DEFAULT_CHAT_ID } from '../../configs/chats.js';
+import { chatParamMiddleware } from '../../middleware/chat.js';
+import { buildAttachmentEntries } from '../../services/attachmentService.js';
+import {
+  createChat,
+  deleteChat,
+  listChats,
+  renameChat,
+  validateChatTitle,
+} from '../../services/chatService.js';
+import { readMessages } from '../../services/messageService.js';
+import { logger } from '../../utils/logger.js';
+import { findMissingEntry, sendZip } from '../../utils/zipResponse.js';
+
+const router = new Router();
+const API_PATH = '/api/chats';
+
+router.param('chatId', chatParamMiddleware);
+
+/**
+ * Обработчик GET-запроса для получения списка чатов текущего пользователя
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ *
+ * @description
+ * Возвращает чаты в порядке создания. Первым всегда идет чат по умолчанию,
+ * сообщения которого доступны также по маршрутам `/api/messages`.
+ *
+ * @example
+ * GET /api/chats
+ * // Возвращает: {
+ * //   success: true,
+ * //   data: [{ id: 'default', title: 'Основной', messageCount: 12, lastMessageAt: '...', ... }]
+ * // }
+ *
+ * @see {@link listChats} - Получение списка чатов
+ */
+router.get(API_PATH, async (ctx) => {
+  ctx.body = { success: true, data: listChats(ctx.state.user.id) };
+});
+
+/**
+ * Обработчик POST-запроса для создания чата
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.request.body.title - Название чата
+ *
+ * @example
+ * POST /api/chats
+ * { "title": "Рецепты" }
+ * // Возвращает: { success: true, data: { id: 'uuid', title: 'Рецепты', ... } }
+ *
+ * @throws {400} Если название пустое или слишком длинное
+ *
+ * @see {@link createChat} - Создание чата
+ */
+router.post(API_PATH, async (ctx) => {
+  const { title } = ctx.request.body || {};
+  const error = validateChatTitle(title);
+
+  if (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error };
+    return;
+  }
+
+  const chat = await createChat(ctx.state.user.id, title);
+
+  ctx.body = { success: true, data: chat };
+  logger.info(`Chat ${chat.id} created`);
+});
+
+/**
+ * Обработчик GET-запроса для получения чата
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.chatId - ID чата
+ *
+ * @example
+ * GET /api/chats/default
+ * // Возвращает: { success: true, data: { id: 'default', title: 'Основной', messageCount: 12, ... } }
+ *
+ * @throws {404} Если чат не найден
+ */
+router.get(`${API_PATH}/:chatId`, async (ctx) => {
+  const chat = listChats(ctx.state.user.id).find(({ id }) => id === ctx.state.chat.id);
+  ctx.body = { success: true, data: chat };
+});
+
+/**
+ * Обработчик PATCH-запроса для переименования чата
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.chatId - ID чата
+ * @param {string} ctx.request.body.title - Новое название
+ *
+ * @example
+ * PATCH /api/chats/123e4567-e89b-12d3-a456-426614174000
+ * { "title": "Рецепты и покупки" }
+ *
+ * @throws {400} Если название пустое или слишком длинное
+ * @throws {404} Если чат не найден
+ *
+ * @see {@link renameChat} - Переименование чата
+ */
+router.patch(`${API_PATH}/:chatId`, async (ctx) => {
+  const { title } = ctx.request.body || {};
+  const error = validateChatTitle(title);
+
+  if (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error };
+    return;
+  }
+
+  const chat = await renameChat(ctx.state.user.id, ctx.state.chat.id, title);
+
+  if (!chat) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Чат не найден' };
+    return;
+  }
+
+  ctx.body = { success: true, data: chat };
+  logger.info(`Chat ${chat.id} renamed`);
+});
+
+/**
+ * Обработчик DELETE-запроса для удаления чата
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.chatId - ID чата
+ *
+ * @description
+ * Удаляет чат. Его сообщения вместе с файлами перемещаются в корзину
+ * и при восстановлении попадают в чат по умолчанию. Чат по умолчанию
+ * удалить нельзя — его можно только очистить (`DELETE /api/messages`).
+ *
+ * @example
+ * DELETE /api/chats/123e4567-e89b-12d3-a456-426614174000
+ * // Возвращает: { success: true, message: 'Чат успешно удален' }
+ *
+ * @throws {400} Если передан чат по умолчанию
+ * @throws {404} Если чат не найден
+ *
+ * @see {@link deleteChat} - Удаление чата
+ */
+router.delete(`${API_PATH}/:chatId`, async (ctx) => {
+  const chatId = ctx.state.chat.id;
+
+  if (chatId === DEFAULT_CHAT_ID) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'Основной чат нельзя удалить' };
+    return;
+  }
+
+  try {
+    const success = await deleteChat(ctx.state.user.id, chatId);
+
+    if (!success) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: 'Чат не найден' };
+      return;
+    }
+
+    ctx.body = { success: true, message: 'Чат успешно удален' };
+  } catch (error) {
+    logger.error({ err: error }, `Failed to delete chat ${chatId}`);
+    ctx.status = 500;
+    ctx.body = { success: false, error: 'Ошибка при удалении чата' };
+  }
+});
+
+/**
+ * Обработчик GET-запроса для скачивания всех вложений чата в виде ZIP-архива
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.chatId - ID чата
+ *
+ * @description
+ * 1. Собирает вложения всех сообщений чата (от старых к новым)
+ * 2. Проверяет существование файлов
+ * 3. Отправляет ZIP-архив, в котором вложения каждого сообщения лежат
+ *    в отдельной папке: messageId/subdir/filename
+ *
+ * @example
+ * GET /api/chats/default/attachments/download
+ *
+ * @throws {404} Если чат не найден, в нем нет вложений или файлы отсутствуют
+ *
+ * @see {@link buildAttachmentEntries} - Содержимое архива
+ * @see {@link sendZip} - Отправка ZIP-архива
+ */
+router.get(`${API_PATH}/:chatId/attachments/download`, async (ctx) => {
+  const chatId = ctx.state.chat.id;
+  const entries = buildAttachmentEntries(readMessages({ userId: ctx.state.user.id, chatId }));
+
+  if (entries.length === 0) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'В чате нет вложений' };
+    return;
+  }
+
+  const missing = await findMissingEntry(entries);
+  if (missing) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Один или несколько файлов не найдены' };
+    logger.warn(`Attachment file not found: ${missing}`);
+    return;
+  }
+
+  sendZip(ctx, entries, `attachments-chat-${chatId}.zip`);
+
+  logger.info(`ZIP archive streaming started for chat ${chatId} with ${entries.length} files`);
+});
+
+export default router;
@@ -3,11 +3,29 @@
 // =============================================================================
 
 import Router from '@koa/router';
+import attachments from './attachments.js';
+import auth from './auth.js';
+import backup from './backup.js';
 import capabilities from './capabilities.js';
+import chats from './chats.js';
 import messages from './messages.js';
+import reminders from './reminders.js';
+import settings from './settings.js';
+import stats from './stats.js';
+import trash from './trash.js';
+import uploads from './uploads.js';
 
 const router = new Router();
+router.use(attachments.routes());
+router.use(auth.routes());
+router.use(backup.routes());
 router.use(capabilities.routes());
+router.use(chats.routes());
 router.use(messages.routes());
+router.use(reminders.routes());
+router.use(settings.routes());
+router.use(stats.routes());
+router.use(trash.routes());
+router.use(uploads.routes());
 
 export default router;
@@ -1,21 +1,140 @@
 // =============================================================================
 // API-маршруты для работы с сообщениями '/api/messages'
+// и '/api/chats/:chatId/messages'
 // =============================================================================
 
 import Router from '@koa/router';
-import archiver from 'archiver';
 import fs from 'fs';
-import path, { join } from 'path';
+import path from 'path';
+import { PassThrough } from 'stream';
 import { v4 as uuidv4 } from 'uuid';
+import { IMAGE_VARIANTS, MAX_BULK_MESSAGES, MESSAGE_FORMATS } from '../../configs/constants.js';
 import { MIME_TO_EXT } from '../../configs/fileTypes.js';
-import { organizeUploadedFiles } from '../../services/fileService.js';
-import { addBotMessage, addMessage, clearAllMessages, deleteMessage, readMessages } from '../../services/messageService.js';
+import { chatParamMiddleware } from '../../middleware/chat.js';
+import { buildExportEntries } from '../../services/backupService.js';
+import { releaseBlobs } from '../../services/blobService.js';
+import { executeCommand, parseCommand } from '../../services/commandService.js';
+import { getEventsSince, subscribe } from '../../services/eventService.js';
+import {
+  cleanupInvalidFile,
+  extractFiles,
+  findMessageFile,
+  getMessageUploadsDir,
+  organizeUploadedFiles,
+} from '../../services/fileService.js';
+import { getImageVariantPath, IMAGE_VARIANT_MIMETYPE } from '../../services/imageService.js';
+import {
+  addMessage,
+  clearAllMessages,
+  deleteMessage,
+  deleteMessages,
+  editMessage,
+  findMessage,
+  readMessages,
+  setFavorite,
+  setFavorites,
+} from '../../services/messageService.js';
+import { paginateMessages, sortByTimestamp } from '../../services/paginationService.js';
+import { getRevisions } from '../../services/revisionService.js';
+import { searchMessages } from '../../services/searchService.js';
+import { readSettings } from '../../services/settingsService.js';
+import {
+  finishUploads,
+  releaseUploads,
+  takeUploads,
+} from '../../services/uploadService.js';
+import { sendFile } from '../../utils/fileResponse.js';
 import { logger } from '../../utils/logger.js';
 import { UPLOADS_DIR } from '../../utils/paths.js';
-import { renderMarkdownFileCached } from '../../utils/renderMarkdownFile.js';
+import { renderMarkdown } from '../../utils/renderMarkdownFile.js';
+import { findMissingEntry, sendZip } from '../../utils/zipResponse.js';
 
 const router = new Router();
-const API_PATH = '/api/messages';
+
+/**
+ * Путь API сообщений
+ *
+ * @type {string}
+ * @description
+ * Сегмент `/chats/:chatId` необязателен: `/api/messages` относится к чату
+ * по умолчанию, `/api/chats/:chatId/messages` — к указанному чату.
+ */
+const API_PATH = '/api{/chats/:chatId}/messages';
+
+router.param('chatId', chatParamMiddleware);
+
+/**
+ * Возвращает область сообщений, к которой относится запрос
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @returns {Object} `{ userId, chatId }`: текущий пользователь и чат,
+ * определенный {@link chatParamMiddleware}
+ */
+const getScope = (ctx) => ({ userId: ctx.state.user.id, chatId: ctx.state.chat.id });
+
+/**
+ * Разбирает курсор пагинации из параметра запроса
+ *
+ * @param {string} [value] - ID сообщения (UUID) или время в формате ISO 8601
+ * @returns {Object|null|undefined}
+ * - `{ id }` или `{ timestamp }`, если курсор корректен
+ * - undefined, если параметр не передан
+ * - null, если курсор некорректен
+ */
+const parseCursor = (value) => {
+  if (value === undefined) return undefined;
+  if (/^[a-f0-9\-]{36}$/.test(value)) return { id: value };
+
+  const timestamp = new Date(value);
+  return Number.isNaN(timestamp.getTime()) ? null : { timestamp };
+};
+
+/**
+ * Отвечает порцией сообщений согласно параметрам пагинации запроса
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Array<Object>} messages - Сообщения, из которых делается выборка
+ *
+ * @description
+ * Поддерживает режимы `offset` (по умолчанию), `before`, `after` и `around`
+ * (см. {@link paginateMessages}). Одновременно можно указать только один
+ * курсор.
+ *
+ * @throws {400} Если курсор некорректен или указано несколько курсоров
+ * @throws {404} Если сообщение, на которое указывает курсор, не найдено
+ */
+const respondWithPage = (ctx, messages) => {
+  const cursors = {
+    before: parseCursor(ctx.query.before),
+    after: parseCursor(ctx.query.after),
+    around: parseCursor(ctx.query.around),
+  };
+  const given = Object.entries(cursors).filter(([, cursor]) => cursor !== undefined);
+
+  if (given.length > 1 || given.some(([, cursor]) => cursor === null)) {
+    ctx.status = 400;
+    ctx.body = {
+      success: false,
+      error: 'Укажите один корректный курсор: before, after или around',
+    };
+    return;
+  }
+
+  const page = paginateMessages(messages, {
+    ...cursors,
+    offset: parseInt(ctx.query.offset) || 0,
+    limit: parseInt(ctx.query.limit) || 10,
+  });
+
+  if (!page) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Сообщение, указанное в курсоре, не найдено' };
+    return;
+  }
+
+  const { items, ...meta } = page;
+  ctx.body = { success: true, data: items, ...meta };
+};
 
 /**
  * Обработчик GET-запроса для получения списка сообщений с поддержкой пагинации
@@ -23,15 +142,26 @@ const API_PATH = '/api/messages';
  * @param {Object} ctx - Контекст запроса Koa.js
  * @param {Object} ctx.query - Параметры запроса
  * @param {string|number} [ctx.query.offset=0] - Смещение для пагинации
+ * @param {string} [ctx.query.before] - Курсор (ID или время): сообщения
+ * старше курсора
+ * @param {string} [ctx.query.after] - Курсор (ID или время): сообщения
+ * новее курсора
+ * @param {string} [ctx.query.around] - Курсор (ID или время): окно
+ * сообщений с курсором в центре
  * @param {string|number} [ctx.query.limit=10] - Максимальное количество
  * возвращаемых сообщений
  * 
  * @description
- * 1. Читает все сообщения из хранилища
+ * 1. Читает все сообщения чата из хранилища
  * 2. Сортирует их по времени создания (от старых к новым)
  * 3. Реализует пагинацию:
- *    - Рассчитывает начальный и конечный индексы на основе offset и limit
- *    - Возвращает только указанную порцию сообщений (от новых к старым)
+ *    - По смещению: пропускает `offset` самых новых сообщений
+ *    - По курсору: отсчитывает порцию от сообщения или момента времени,
+ *      поэтому новые и удаленные сообщения не сдвигают порции
+ * 4. Возвращает порцию сообщений (от старых к новым), флаг `hasMore`
+ *    и курсоры `prevCursor` (для before) и `nextCursor` (для after).
+ *    В режиме around также возвращает `position` — позицию сообщения
+ *    в общем списке, что заменяет отдельный запрос `/position`
  * 
  * @example
  * // Получить первые 5 сообщений
@@ -39,45 +169,280 @@ const API_PATH = '/api/messages';
  * 
  * // Получить следующие 5 сообщений (с 6 по 10)
  * GET /api/messages?offset=5&limit=5
+ *
+ * // Получить 5 сообщений старше уже загруженных
+ * GET /api/messages?before=<prevCursor>&limit=5
+ *
+ * // Перейти к найденному сообщению
+ * GET /api/messages?around=123e4567-e89b-12d3-a456-426614174000&limit=20
+ *
+ * // То же для другого чата
+ * GET /api/chats/<chatId>/messages?offset=0&limit=5
  * 
- * @see readMessages - Функция чтения сообщений из файла
+ * @throws {400} Если курсор некорректен
+ * @throws {404} Если сообщение из курсора не найдено
+ *
+ * @see readMessages - Функция чтения сообщений из хранилища
+ * @see paginateMessages - Функция выборки порции сообщений
  * @see API_PATH - Константа пути API (определяется отдельно)
  */
 router.get(API_PATH, async (ctx) => {
   try {
-    const messages = readMessages();
-    messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    respondWithPage(ctx, readMessages(getScope(ctx)));
+  } catch (error) {
+    logger.error('Error fetching messages:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: 'Ошибка при получении сообщений' };
+  }
+});
+
+/**
+ * Обработчик GET-запроса для полнотекстового поиска по сообщениям
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Object} ctx.query - Параметры запроса
+ * @param {string} ctx.query.q - Поисковый запрос
+ * @param {string|number} [ctx.query.offset=0] - Смещение для пагинации
+ * @param {string|number} [ctx.query.limit=10] - Максимальное количество
+ * возвращаемых результатов
+ *
+ * @description
+ * 1. Проверяет, что запрос не пустой
+ * 2. Ищет сообщения, содержащие все слова запроса (без учета регистра,
+ *    слова запроса сопоставляются по началу слова)
+ * 3. Возвращает порцию результатов (от новых к старым) с подсвеченными
+ *    сниппетами и позицией каждого сообщения в общем списке
+ *
+ * @example
+ * GET /api/messages/search?q=молоко&offset=0&limit=20
+ * // Возвращает: { success: true, total: 3, data: [{ id, snippet, position, ... }] }
+ *
+ * @throws {400} Если поисковый запрос пустой
+ *
+ * @see {@link searchMessages} - Поиск по индексу сообщений
+ */
+router.get(`${API_PATH}/search`, async (ctx) => {
+  const query = (ctx.query.q || '').trim();
+
+  if (!query) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'Пустой поисковый запрос' };
+    return;
+  }
+
+  try {
+    const messages = sortByTimestamp(readMessages(getScope(ctx)));
 
     const offset = parseInt(ctx.query.offset) || 0;
     const limit = parseInt(ctx.query.limit) || 10;
-    const total = messages.length;
-    const start = Math.max(0, total - offset - limit);
-    const end = Math.max(0, total - offset);
+    const { total, items } = searchMessages(query, messages, { offset, limit });
 
-    ctx.body = { success: true, data: messages.slice(start, end) };
+    ctx.body = { success: true, total, data: items };
+    logger.info(`Search for "${query}": ${total} results`);
   } catch (error) {
-    logger.error('Error fetching messages:', error);
+    logger.error('Error searching messages:', error);
     ctx.status = 500;
-    ctx.body = { success: false, error: 'Ошибка при получении сообщений' };
+    ctx.body = { success: false, error: 'Ошибка при поиске сообщений' };
+  }
+});
+
+/**
+ * Интервал отправки служебных комментариев, не дающих прокси закрыть
+ * неактивное SSE-соединение (в миллисекундах)
+ * @type {number}
+ */
+const SSE_HEARTBEAT_INTERVAL = 25 * 1000;
+
+/**
+ * Форматирует событие в формате Server-Sent Events
+ *
+ * @param {Object} event - Событие `{ id, type, data }`
+ * @returns {string} Текст события для записи в поток
+ */
+const formatSseEvent = ({ id, type, data }) => (
+  `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+);
+
+/**
+ * Обработчик GET-запроса для подписки на изменения сообщений (Server-Sent Events)
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} [ctx.headers.last-event-id] - ID последнего полученного
+ * события (браузер передает его автоматически при переподключении)
+ * @param {string} [ctx.query.lastEventId] - То же, для клиентов, которые
+ * не могут передать заголовок
+ *
+ * @description
+ * 1. Открывает поток событий и отключает таймаут сокета
+ * 2. Если передан Last-Event-ID, отправляет пропущенные события. Если их
+ *    нельзя восстановить (сервер перезапускался или прошло слишком много
+ *    событий), отправляет событие `stream.reset` — клиенту нужно заново
+ *    загрузить сообщения
+ * 3. Пересылает новые события чата: `message.created`, `message.updated`,
+ *    `message.deleted`, `messages.cleared`, `messages.imported`. Событие
+ *    `messages.cleared` с `chatId: null` (очищены все чаты пользователя,
+ *    например при импорте с заменой) пересылается в поток любого чата
+ * 4. Периодически отправляет комментарий-heartbeat
+ * 5. При закрытии соединения отписывается от событий
+ *
+ * @example
+ * const source = new EventSource('/api/messages/stream');
+ * source.addEventListener('message.created', (e) => {
+ *   const message = JSON.parse(e.data);
+ * });
+ *
+ * @see {@link subscribe} - Подписка на события
+ * @see {@link getEventsSince} - Получение пропущенных событий
+ */
+router.get(`${API_PATH}/stream`, async (ctx) => {
+  const lastEventId = ctx.get('Last-Event-ID') || ctx.query.lastEventId;
+  const { userId, chatId } = getScope(ctx);
+  // chatId: null — событие касается всех чатов пользователя (очистка всей истории)
+  const isChatEvent = (event) => event.data.userId === userId
+    && (event.data.chatId === chatId || event.data.chatId === null);
+  const stream = new PassThrough();
+
+  ctx.req.socket.setTimeout(0);
+  ctx.req.socket.setNoDelay(true);
+  ctx.req.socket.setKeepAlive(true);
+
+  ctx.set('Content-Type', 'text/event-stream');
+  ctx.set('Cache-Control', 'no-cache');
+  ctx.set('Connection', 'keep-alive');
+  ctx.set('X-Accel-Buffering', 'no'); // Отключает буферизацию в nginx
+  ctx.status = 200;
+  ctx.body = stream;
+
+  stream.write('retry: 3000\n\n');
+
+  if (lastEventId) {
+    const missed = getEventsSince(lastEventId);
+    if (missed) {
+      missed.filter(isChatEvent).forEach((event) => stream.write(formatSseEvent(event)));
+    } else {
+      stream.write(formatSseEvent({ type: 'stream.reset', data: {} }));
+    }
+  }
+
+  const unsubscribe = subscribe((event) => {
+    if (isChatEvent(event)) stream.write(formatSseEvent(event));
+  });
+  const heartbeat = setInterval(() => stream.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    stream.end();
+  };
+  ctx.req.on('close', close);
+
+  logger.info(`SSE client connected to chat ${chatId}${lastEventId ? ` (resume from ${lastEventId})` : ''}`);
+});
+
+/**
+ * Обработчик GET-запроса для получения избранных сообщений с поддержкой
+ * пагинации
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Object} ctx.query - Параметры запроса
+ * @param {string|number} [ctx.query.offset=0] - Смещение для пагинации
+ * @param {string|number} [ctx.query.limit=10] - Максимальное количество
+ * возвращаемых сообщений
+ *
+ * @description
+ * Пагинация (включая курсоры before/after/around) работает так же,
+ * как в `GET /api/messages`, но только среди сообщений, отмеченных
+ * как избранные.
+ *
+ * @example
+ * GET /api/messages/favorites?offset=0&limit=5
+ *
+ * @see paginateMessages - Функция выборки порции сообщений
+ */
+router.get(`${API_PATH}/favorites`, async (ctx) => {
+  try {
+    respondWithPage(ctx, readMessages(getScope(ctx)).filter((msg) => msg.favorite));
+  } catch (error) {
+    logger.error('Error fetching favorite messages:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: 'Ошибка при получении избранных сообщений' };
   }
 });
 
+/**
+ * Фабрика обработчиков для добавления сообщения в избранное и удаления из него
+ *
+ * @param {boolean} isFavorite - true — добавить в избранное, false — убрать
+ * @returns {Function} Обработчик запроса Koa.js
+ *
+ * @description
+ * 1. Валидирует ID сообщения (UUID формат)
+ * 2. Обновляет признак избранного у сообщения
+ * 3. Возвращает обновленное сообщение
+ *
+ * @example
+ * PUT /api/messages/123e4567-e89b-12d3-a456-426614174000/favorite
+ * DELETE /api/messages/123e4567-e89b-12d3-a456-426614174000/favorite
+ * // Возвращает: { success: true, data: [{ id, ..., favorite: true }] }
+ *
+ * @throws {400} Если ID сообщения недействителен
+ * @throws {404} Если сообщение не найдено
+ *
+ * @see {@link setFavorite} - Функция изменения признака избранного
+ */
+const createFavoriteHandler = (isFavorite) => async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!/^[a-f0-9\-]{36}$/.test(id)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'Недействительный ID сообщения' };
+    logger.warn(`Invalid message ID for favorite request: ${id}`);
+    return;
+  }
+
+  const message = findMessage(id, getScope(ctx)) && await setFavorite(id, isFavorite);
+
+  if (!message) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Сообщение не найдено' };
+    logger.warn(`Message not found for favorite request: ${id}`);
+    return;
+  }
+
+  ctx.body = { success: true, data: [message] };
+  logger.info(`Message ${id} ${isFavorite ? 'added to' : 'removed from'} favorites`);
+};
+
+router.put(`${API_PATH}/:id/favorite`, createFavoriteHandler(true));
+router.delete(`${API_PATH}/:id/favorite`, createFavoriteHandler(false));
+
 /**
  * Асинхронный обработчик запроса на отправку сообщения с файлами
  * 
  * @param {Object} ctx - Объект контекста запроса (Koa.js)
  * @param {Object} ctx.request.body - Данные тела запроса
  * @param {string} [ctx.request.body.message] - Текстовое сообщение (опционально)
+ * @param {string} [ctx.request.body.format] - Формат текста: 'text' или
+ * 'markdown' (по умолчанию — согласно настройке пользователя `markdown`)
  * @param {Array<File>} [ctx.request.body.files] - Массив загруженных файлов
  * (опционально)
+ * @param {string|string[]} [ctx.request.body.uploads] - ID завершенных
+ * загрузок по частям (`/api/uploads`), которые прикрепляются к сообщению
+ * (массив, JSON-массив или одно значение; опционально)
  * 
  * @description
- * 1. Проверяет наличие текстового сообщения или файлов
- * 2. Логирует полученные данные
+ * 1. Проверяет наличие текстового сообщения или файлов и формат текста.
+ *    Файлы загрузок по частям добавляются к файлам формы
+ * 2. Логирует полученные данные. Текст в формате Markdown рендерится
+ *    в очищенный HTML (поле `html`), исходный текст сохраняется в `message`
  * 3. Организует загруженные файлы в структурированный формат
  * 4. Создает новый объект сообщения с уникальным идентификатором
- * 5. Добавляет сообщение в общий список
- * 6. Возвращает обновленный список сообщений в ответе
+ * 5. Добавляет сообщение в чат. Загрузки по частям удаляются только после
+ *    этого: если сообщение сохранить не удалось, они остаются (отправку
+ *    можно повторить), а ссылки на файлы хранилища освобождаются
+ * 6. Если сообщение без файлов является командой бота («/help», «/stats»,
+ *    «/find <текст>», «/clear»), выполняет ее и добавляет ответ бота
+ * 7. Возвращает созданные сообщения в ответе
  * 
  * @example
  * // POST-запрос с данными:
@@ -85,15 +450,37 @@ router.get(API_PATH, async (ctx) => {
  *   "message": "Привет!",
  *   "files": [файл1, файл2]
  * }
+ *
+ * // Большой файл, загруженный по частям:
+ * { "message": "Видео с прогулки", "uploads": ["123e4567-e89b-12d3-a456-426614174000"] }
+ *
+ * // Команда бота:
+ * { "message": "/find молоко" }
+ * // Возвращает: { success: true, data: [сообщение с командой, ответ бота] }
+ * 
+ * // Markdown:
+ * { "message": "**Важно:** см. [документацию](https://example.com)", "format": "markdown" }
+ * // Возвращает: { success: true, data: [{ message: '**Важно:** ...', html: '<p><strong>Важно:</strong> ...', ... }] }
  * 
- * @throws {400} Если отсутствуют и текст, и файлы
+ * @throws {400} Если отсутствуют и текст, и файлы, формат неизвестен или
+ * загрузка не найдена либо не завершена
+ * @throws {500} Если сообщение не удалось сохранить
  * 
  * @see {@link organizeUploadedFiles} - Функция организации файлов
+ * @see {@link takeUploads} - Файлы загрузок по частям
+ * @see {@link renderMarkdown} - Рендеринг Markdown в безопасный HTML
  * @see {@link addMessage} addMessage - Функция добавления сообщения в хранилище
+ * @see {@link executeCommand} - Выполнение команды бота
  */
 router.post(API_PATH, async (ctx) => {
+  // Загрузки и файлы хранилища, которые нужно вернуть, если сообщение
+  // не удалось сохранить
+  let takenUploadIds = [];
+  let storedFiles = [];
+
   try {
-    const { message, sender = 'user' } = ctx.request.body;
+    const { message, format } = ctx.request.body;
+    const uploadIds = parseListField(ctx.request.body.uploads);
 
     // Собираем все загруженные файлы из всех полей формы
     const uploadedFiles = [];
@@ -109,28 +496,73 @@ router.post(API_PATH, async (ctx) => {
     }
 
     // Проверка обязательных параметров
-    if (!message && uploadedFiles.length === 0) {
+    if (!message && uploadedFiles.length === 0 && uploadIds.length === 0) {
       ctx.status = 400;
       ctx.body = { success: false, error: 'Отсутствуют текст или файлы' };
       return;
     }
 
+    if (format !== undefined && !MESSAGE_FORMATS.includes(format)) {
+      await discardUploadedFiles(uploadedFiles);
+      ctx.status = 400;
+      ctx.body = { success: false, error: 'Неизвестный формат сообщения' };
+      return;
+    }
+
+    const { userId, chatId } = getScope(ctx);
+
+    const { files: stagedFiles, error: uploadsError } = await takeUploads(userId, uploadIds);
+    if (uploadsError) {
+      await discardUploadedFiles(uploadedFiles);
+      ctx.status = 400;
+      ctx.body = { success: false, error: uploadsError };
+      return;
+    }
+    takenUploadIds = uploadIds;
+    uploadedFiles.push(...stagedFiles);
+
     logger.info(`Received message: ${message || 'No text, files only'}`);
 
-    const { files, messageId } = organizeUploadedFiles(uploadedFiles);
+    const command = uploadedFiles.length === 0 ? parseCommand(message) : null;
+
+    // Команды всегда сохраняются обычным текстом
+    const defaultFormat = readSettings(userId).markdown ? 'markdown' : 'text';
+    const textFormat = command ? 'text' : format ?? defaultFormat;
+
+    const { files, messageId } = await organizeUploadedFiles(uploadedFiles);
+    storedFiles = files;
     const newMessage = {
       id: messageId || uuidv4(),
       message: message || '',
       files,
-      format: 'text',
+      format: textFormat,
+      ...(textFormat === 'markdown' && { html: await renderMarkdown(message || '') }),
       timestamp: new Date().toISOString(),
       sender: 'user',
+      userId,
+      chatId,
     };
 
-    addMessage(newMessage);
+    await addMessage(newMessage);
+    await finishUploads(takenUploadIds);
+    takenUploadIds = [];
+    storedFiles = [];
+
+    if (command) {
+      const botMessage = await executeCommand(command, { userId, chatId });
+
+      // Команда могла удалить собственное сообщение (например, /clear)
+      const data = [newMessage, botMessage].filter(({ id }) => findMessage(id));
+      ctx.body = { success: true, data };
+      return;
+    }
 
     ctx.body = { success: true, data: [newMessage] };
   } catch (error) {
+    releaseUploads(takenUploadIds);
+    await releaseBlobs(storedFiles.map((file) => file.filename));
+    ctx.status = 500;
+    ctx.body = { success: false, error: 'Ошибка при отправке сообщения' };
     logger.error('Error processing message upload:', error);
   }
 });
@@ -144,7 +576,8 @@ router.post(API_PATH, async (ctx) => {
  *
  * @description
  * 1. Извлекает ID сообщения из параметров маршрута
- * 2. Вызывает функцию удаления сообщения
+ * 2. Проверяет, что сообщение принадлежит пользователю и находится в чате
+ *    запроса, и удаляет его
  * 3. Если сообщение найдено и удалено, возвращает статус 200
  * 4. Если сообщение не найдено, возвращает статус 404
  * 5. Логирует результат операции
@@ -162,7 +595,7 @@ router.delete(`${API_PATH}/:id`, async (ctx) => {
 
   logger.info(`Attempting to delete message with ID: ${id}`);
 
-  const success = deleteMessage(id);
+  const success = Boolean(findMessage(id, getScope(ctx))) && await deleteMessage(id);
 
   if (success) {
     ctx.status = 200;
@@ -176,12 +609,212 @@ router.delete(`${API_PATH}/:id`, async (ctx) => {
 });
 
 /**
- * Асинхронный обработчик запроса на очистку всех сообщений
+ * Приводит поле формы со списком значений к массиву
+ *
+ * @param {string|string[]|undefined} value - Значение поля: массив,
+ * JSON-массив в строке или одиночное значение
+ * @returns {string[]} Список значений
+ */
+const parseListField = (value) => {
+  if (value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // Не JSON — одиночное значение
+  }
+
+  return [value];
+};
+
+/**
+ * Удаляет временные файлы загрузки, если запрос отклонен
+ *
+ * @param {Array<Object>} files - Загруженные файлы formidable
+ */
+const discardUploadedFiles = async (files) => {
+  await Promise.all(files.map((file) => cleanupInvalidFile(file.filepath)));
+};
+
+/**
+ * Асинхронный обработчик запроса на редактирование сообщения
  *
  * @param {Object} ctx - Объект контекста запроса (Koa.js)
+ * @param {Object} ctx.params - Параметры маршрута
+ * @param {string} ctx.params.id - ID сообщения
+ * @param {Object} ctx.request.body - Данные тела запроса (JSON или форма)
+ * @param {string} [ctx.request.body.message] - Новый текст сообщения
+ * @param {string} [ctx.request.body.format] - Новый формат текста ('text'
+ * или 'markdown')
+ * @param {string|string[]} [ctx.request.body.removeFiles] - Значения
+ * `url` (или `filename`) удаляемых вложений (массив, JSON-массив или одно
+ * значение). Одинаковые файлы хранятся один раз и имеют общий `filename`,
+ * поэтому отдельное вложение однозначно определяется только по `url`
+ * @param {Array<File>} [ctx.request.files] - Новые вложения
  *
  * @description
- * 1. Вызывает функцию очистки всех сообщений и их вложений
+ * 1. Валидирует ID сообщения и проверяет, что оно существует
+ * 2. Запрещает редактирование сообщений бота
+ * 3. Проверяет, что удаляемые вложения принадлежат сообщению и что после
+ *    изменения в сообщении останется текст или хотя бы один файл
+ * 4. Сохраняет новые файлы в хранилище
+ * 5. Для формата Markdown заново рендерит HTML, если изменились текст
+ *    или формат
+ * 6. Сохраняет прошлую версию в историю и обновляет сообщение
+ *
+ * Новые файлы проходят ту же валидацию по содержимому, что и при отправке.
+ * Если сообщение удалено, пока сохранялись файлы, или изменение не удалось
+ * сохранить, ссылки на новые файлы освобождаются (см. {@link releaseBlobs}).
+ *
+ * @example
+ * PATCH /api/messages/123e4567-e89b-12d3-a456-426614174000
+ * { "message": "Исправленный текст" }
+ * // Возвращает: { success: true, data: [{ id, message, editedAt, ... }] }
+ *
+ * @throws {400} Если запрос недействителен или сообщение осталось бы пустым
+ * @throws {403} Если сообщение отправлено ботом
+ * @throws {404} Если сообщение не найдено (в том числе удалено во время
+ * запроса)
+ *
+ * @see {@link editMessage} - Функция редактирования сообщения
+ */
+router.patch(`${API_PATH}/:id`, async (ctx) => {
+  const { id } = ctx.params;
+  const { message, format } = ctx.request.body || {};
+  const removeFiles = parseListField(ctx.request.body?.removeFiles);
+  const uploadedFiles = extractFiles(ctx.request.files);
+
+  const reject = async (status, error) => {
+    await discardUploadedFiles(uploadedFiles);
+    ctx.status = status;
+    ctx.body = { success: false, error };
+    logger.warn(`Edit of message ${id} rejected: ${error}`);
+  };
+
+  if (!/^[a-f0-9\-]{36}$/.test(id)) {
+    return reject(400, 'Недействительный ID сообщения');
+  }
+
+  const current = findMessage(id, getScope(ctx));
+  if (!current) return reject(404, 'Сообщение не найдено');
+  if (current.sender === 'bot') {
+    return reject(403, 'Сообщения бота нельзя редактировать');
+  }
+
+  if (message !== undefined && typeof message !== 'string') {
+    return reject(400, 'Текст сообщения должен быть строкой');
+  }
+  if (format !== undefined && !MESSAGE_FORMATS.includes(format)) {
+    return reject(400, 'Неизвестный формат сообщения');
+  }
+
+  const currentFiles = current.files || [];
+  const unknownFile = removeFiles.find(
+    (value) => !currentFiles.some((file) => file.url === value || file.filename === value)
+  );
+  if (unknownFile) return reject(400, `Вложение не найдено: ${unknownFile}`);
+
+  const isTextChanged = message !== undefined || format !== undefined;
+  if (!isTextChanged && removeFiles.length === 0 && uploadedFiles.length === 0) {
+    return reject(400, 'Нет изменений для сохранения');
+  }
+
+  const nextText = message ?? current.message;
+  const remainingFiles = currentFiles.filter(
+    (file) => !removeFiles.includes(file.url) && !removeFiles.includes(file.filename)
+  ).length + uploadedFiles.length;
+  if (!nextText && remainingFiles === 0) {
+    return reject(400, 'Отсутствуют текст или файлы');
+  }
+
+  const { files: addFiles } = await organizeUploadedFiles(uploadedFiles, { messageId: id });
+  const releaseAddedFiles = () => releaseBlobs(addFiles.map((file) => file.filename));
+
+  let updatedMessage;
+  try {
+    const nextFormat = format ?? current.format;
+    const html = nextFormat === 'markdown' && isTextChanged
+      ? await renderMarkdown(nextText)
+      : undefined;
+
+    updatedMessage = await editMessage(id, {
+      message,
+      format,
+      html,
+      addFiles,
+      removeFiles,
+    });
+  } catch (error) {
+    await releaseAddedFiles();
+    throw error;
+  }
+
+  if (!updatedMessage) {
+    await releaseAddedFiles();
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Сообщение не найдено' };
+    logger.warn(`Message ${id} was removed before the edit was saved`);
+    return;
+  }
+
+  ctx.body = { success: true, data: [updatedMessage] };
+  logger.info(`Message ${id} edited successfully`);
+});
+
+/**
+ * Асинхронный обработчик запроса на получение истории изменений сообщения
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Object} ctx.params - Параметры маршрута
+ * @param {string} ctx.params.id - ID сообщения
+ *
+ * @description
+ * Возвращает прошлые версии сообщения от старых к новым. Текущая версия
+ * не входит в список — она возвращается обычными запросами сообщений.
+ *
+ * @example
+ * GET /api/messages/123e4567-e89b-12d3-a456-426614174000/revisions
+ * // Возвращает: { success: true, data: [{ revision: 1, message, files, createdAt, replacedAt }] }
+ *
+ * @throws {400} Если ID сообщения недействителен
+ * @throws {404} Если сообщение не найдено
+ *
+ * @see {@link getRevisions} - Получение истории изменений
+ */
+router.get(`${API_PATH}/:id/revisions`, async (ctx) => {
+  const { id } = ctx.params;
+
+  if (!/^[a-f0-9\-]{36}$/.test(id)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'Недействительный ID сообщения' };
+    logger.warn(`Invalid message ID for revisions request: ${id}`);
+    return;
+  }
+
+  if (!findMessage(id, getScope(ctx))) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Сообщение не найдено' };
+    logger.warn(`Message not found for revisions request: ${id}`);
+    return;
+  }
+
+  ctx.body = { success: true, data: getRevisions(id) };
+});
+
+/**
+ * Асинхронный обработчик запроса на очистку всех сообщений чата
+ *
+ * @param {Object} ctx - Объект контекста запроса (Koa.js)
+ * @param {Object} ctx.query - Параметры запроса
+ * @param {string} [ctx.query.keepFavorites] - 'true', чтобы сохранить
+ * избранные сообщения
+ *
+ * @description
+ * 1. Вызывает функцию очистки всех сообщений чата и их вложений
+ *    (кроме избранных, если передан флаг keepFavorites). Другие чаты
+ *    не затрагиваются
  * 2. Если очистка прошла успешно, возвращает статус 200
  * 3. Если произошла ошибка, возвращает статус 500
  * 4. Логирует результат операции
@@ -190,14 +823,22 @@ router.delete(`${API_PATH}/:id`, async (ctx) => {
  * DELETE /api/messages
  * // Очищает все сообщения и файлы
  *
+ * DELETE /api/messages?keepFavorites=true
+ * // Очищает все сообщения и файлы, кроме избранных
+ *
+ * DELETE /api/chats/<chatId>/messages
+ * // Очищает сообщения и файлы указанного чата
+ *
  * @throws {500} Если произошла ошибка при очистке
  *
  * @see {@link clearAllMessages} - Функция очистки всех сообщений из хранилища
  */
 router.delete(API_PATH, async (ctx) => {
-  logger.info('Attempting to clear all messages');
+  const scope = getScope(ctx);
+  logger.info(`Attempting to clear all messages in chat ${scope.chatId}`);
 
-  const success = clearAllMessages();
+  const keepFavorites = ctx.query.keepFavorites === 'true';
+  const success = await clearAllMessages({ ...scope, keepFavorites });
 
   if (success) {
     ctx.status = 200;
@@ -210,6 +851,169 @@ router.delete(API_PATH, async (ctx) => {
   }
 });
 
+/**
+ * Групповые действия с сообщениями
+ *
+ * @type {string[]}
+ */
+const BULK_ACTIONS = ['delete', 'favorite', 'unfavorite', 'export'];
+
+/**
+ * Разбирает дату из тела запроса
+ *
+ * @param {*} value - Дата в формате ISO 8601
+ * @returns {number|null|undefined}
+ * - Время в миллисекундах, если дата корректна
+ * - undefined, если дата не передана
+ * - null, если дата некорректна
+ */
+const parseDateParam = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Выбирает ID сообщений для групповой операции
+ *
+ * @param {Object} scope - Область `{ userId, chatId }`
+ * @param {Object} body - Тело запроса `{ ids }` или `{ from, to }`
+ * @returns {Object} `{ ids }` — выбранные ID (без повторов) или
+ * `{ error }` — текст ошибки
+ */
+const selectBulkIds = (scope, { ids, from, to }) => {
+  const hasIds = ids !== undefined;
+  const hasRange = from !== undefined || to !== undefined;
+
+  if (hasIds === hasRange) return { error: 'Укажите список ids или период from/to' };
+
+  if (hasIds) {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === 'string')) {
+      return { error: 'Некорректный список ids' };
+    }
+    return { ids: [...new Set(ids)] };
+  }
+
+  const fromTime = parseDateParam(from);
+  const toTime = parseDateParam(to);
+  if (fromTime === null || toTime === null) return { error: 'Недопустимый формат даты' };
+
+  return {
+    ids: sortByTimestamp(readMessages(scope))
+      .filter(({ timestamp }) => {
+        const time = new Date(timestamp).getTime();
+        return (fromTime === undefined || time >= fromTime) && (toTime === undefined || time <= toTime);
+      })
+      .map(({ id }) => id),
+  };
+};
+
+/**
+ * Асинхронный обработчик запроса на групповое действие с сообщениями
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.request.body.action - Действие: `delete` (перемещение
+ * в корзину), `favorite`, `unfavorite` или `export`
+ * @param {string[]} [ctx.request.body.ids] - ID сообщений
+ * @param {string} [ctx.request.body.from] - Начало периода (ISO 8601),
+ * если не переданы `ids`
+ * @param {string} [ctx.request.body.to] - Конец периода (ISO 8601)
+ *
+ * @description
+ * 1. Выбирает сообщения чата запроса по списку ID или по периоду
+ *    (не больше MAX_BULK_MESSAGES)
+ * 2. Выполняет действие с каждым найденным сообщением
+ * 3. Возвращает результат для каждого ID: сообщения, которых нет в чате,
+ *    отмечаются ошибкой, но не прерывают операцию
+ *
+ * Для `export` ответом является ZIP-архив в формате `GET /api/export`
+ * (его можно загрузить через `POST /api/import`) с выбранными сообщениями
+ * и их файлами; результаты по ID лежат в файле `bulk-results.json` архива.
+ *
+ * @example
+ * POST /api/messages/bulk
+ * { "action": "favorite", "ids": ["123e4567-...", "unknown"] }
+ * // Возвращает: {
+ * //   success: true,
+ * //   data: {
+ * //     action: 'favorite', succeeded: 1, failed: 1,
+ * //     results: [{ id: '123e4567-...', success: true },
+ * //       { id: 'unknown', success: false, error: 'Сообщение не найдено' }]
+ * //   }
+ * // }
+ *
+ * POST /api/chats/<chatId>/messages/bulk
+ * { "action": "delete", "from": "2025-01-01T00:00:00Z", "to": "2025-01-31T23:59:59Z" }
+ *
+ * @throws {400} Если действие неизвестно или выборка некорректна
+ * @throws {404} Если для экспорта не найдено ни одного сообщения
+ *
+ * @see {@link deleteMessages} - Удаление нескольких сообщений
+ * @see {@link setFavorites} - Изменение избранного у нескольких сообщений
+ * @see {@link buildExportEntries} - Содержимое архива экспорта
+ */
+router.post(`${API_PATH}/bulk`, async (ctx) => {
+  const body = ctx.request.body || {};
+  const scope = getScope(ctx);
+
+  if (!BULK_ACTIONS.includes(body.action)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: `Неизвестное действие. Допустимые: ${BULK_ACTIONS.join(', ')}` };
+    return;
+  }
+
+  const { ids, error } = selectBulkIds(scope, body);
+  if (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error };
+    return;
+  }
+  if (ids.length > MAX_BULK_MESSAGES) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: `Можно выбрать не больше ${MAX_BULK_MESSAGES} сообщений` };
+    return;
+  }
+
+  const found = ids.filter((id) => findMessage(id, scope));
+  let succeeded = new Set(found);
+
+  if (body.action === 'delete') {
+    succeeded = await deleteMessages(found);
+  } else if (body.action === 'favorite' || body.action === 'unfavorite') {
+    succeeded = await setFavorites(found, body.action === 'favorite');
+  }
+
+  const results = ids.map((id) => (
+    succeeded.has(id) ? { id, success: true } : { id, success: false, error: 'Сообщение не найдено' }
+  ));
+  const report = {
+    action: body.action,
+    succeeded: succeeded.size,
+    failed: ids.length - succeeded.size,
+    results,
+  };
+
+  logger.info(`Bulk ${body.action} in chat ${scope.chatId}: ${report.succeeded} of ${ids.length} messages`);
+
+  if (body.action !== 'export') {
+    ctx.body = { success: true, data: report };
+    return;
+  }
+
+  if (found.length === 0) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Сообщения не найдены', data: report };
+    return;
+  }
+
+  const entries = await buildExportEntries(ctx.state.user, {
+    messages: found.map((id) => findMessage(id, scope)),
+  });
+  entries.push({ name: 'bulk-results.json', content: JSON.stringify(report, null, 2) });
+
+  sendZip(ctx, entries, `keeply-messages-${new Date().toISOString().slice(0, 10)}.zip`);
+});
+
 /**
  * Асинхронный обработчик запроса на получение файла по его пути
  *
@@ -218,38 +1022,76 @@ router.delete(API_PATH, async (ctx) => {
  * @param {string} ctx.params.messageId - ID сообщения
  * @param {string} ctx.params.subdir - Поддиректория (images, videos, etc.)
  * @param {string} ctx.params.filename - Имя файла
+ * @param {string} [ctx.query.size] - Уменьшенная копия изображения
+ * (`thumb`, `medium`, см. IMAGE_VARIANTS). Если копии нет (изображение
+ * меньше варианта или файл не является изображением), отдается исходный
+ * файл
  *
  * @description
  * 1. Валидирует параметры пути для предотвращения directory traversal
- * 2. Проверяет существование файла
- * 3. Устанавливает безопасные заголовки для предотвращения выполнения скриптов
- * 4. Отправляет файл клиенту
+ * 2. Находит сообщение текущего пользователя и вложение с этим URL,
+ *    чтобы определить путь к файлу в хранилище
+ * 3. Проверяет существование файла
+ * 4. Устанавливает безопасные заголовки для предотвращения выполнения скриптов
+ * 5. Отправляет файл клиенту
+ *
+ * Поддерживаются запросы диапазонов (Range, If-Range — перемотка видео
+ * и аудио, докачка), условные запросы (If-None-Match, If-Modified-Since)
+ * и HEAD.
  *
  * @example
  * GET /api/uploads/123e4567-e89b-12d3-a456-426614174000/images/abc123.jpg
  *
+ * @example
+ * GET /api/uploads/123e4567-e89b-12d3-a456-426614174000/images/abc123.jpg?size=thumb
+ * // image/webp, не больше 320 пикселей по большей стороне
+ *
+ * @example
+ * GET /api/uploads/123e4567-e89b-12d3-a456-426614174000/videos/abc123.mp4
+ * Range: bytes=1048576-
+ * // 206 Partial Content, Content-Range: bytes 1048576-52428799/52428800
+ *
  * @throws {400} Если параметры пути недействительны
- * @throws {404} Если файл не найден
+ * @throws {404} Если файл не найден или принадлежит другому пользователю
+ * @throws {416} Если запрошенный диапазон за пределами файла
  *
- * @see {@link UPLOADS_DIR} - Директория хранения файлов
+ * @see {@link findMessageFile} - Поиск вложения по URL
+ * @see {@link sendFile} - Отправка файла с поддержкой Range и ETag
  */
 router.get('/uploads/:messageId/:subdir/:filename', async (ctx) => {
   const { messageId, subdir, filename } = ctx.params;
+  const { size } = ctx.query;
 
   // Валидация параметров для предотвращения directory traversal
   const validMessageId = /^[a-f0-9\-]{36}$/.test(messageId);
   const validSubdir = /^[a-z]+$/.test(subdir);
   const validFilename = /^[a-f0-9\-]+\.[a-z0-9]+$/.test(filename);
+  const validSize = size === undefined || Object.hasOwn(IMAGE_VARIANTS, size);
 
-  if (!validMessageId || !validSubdir || !validFilename) {
+  if (!validMessageId || !validSubdir || !validFilename || !validSize) {
     ctx.status = 400;
     ctx.body = { success: false, error: 'Недействительные параметры запроса' };
     logger.warn(`Invalid upload request parameters: ${messageId}/${subdir}/${filename}`);
     return;
   }
 
-  // Формируем безопасный путь к файлу
-  const filePath = path.join(UPLOADS_DIR, messageId, subdir, filename);
+  // Файлы чужих сообщений не отдаются: для них ответ такой же, как для
+  // несуществующих, чтобы не раскрывать их наличие
+  const message = findMessage(messageId, { userId: ctx.state.user.id });
+  if (!message) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Файл не найден' };
+    logger.warn(`Message not found for upload request: ${messageId}`);
+    return;
+  }
+
+  // Файл ищется по URL среди вложений сообщения (и его прошлых версий):
+  // одинаковые файлы хранятся один раз, путь к ним указан в `filename`.
+  // Файлы, загруженные до появления хранилища, лежат в директории сообщения
+  const file = findMessageFile(message, `/uploads/${messageId}/${subdir}/${filename}`);
+  const filePath = file
+    ? path.join(UPLOADS_DIR, file.filename)
+    : path.join(getMessageUploadsDir(messageId, message.chatId), subdir, filename);
 
   // Проверяем существование файла
   try {
@@ -261,8 +1103,21 @@ router.get('/uploads/:messageId/:subdir/:filename', async (ctx) => {
     return;
   }
 
-  // Получаем информацию о файле
-  const stat = await fs.promises.stat(filePath);
+  // Уменьшенная копия есть не у каждого изображения: небольшие изображения
+  // и файлы других типов отдаются как есть. Копия однозначно определяется
+  // содержимым исходного файла и размером, поэтому ETag строится из них
+  if (size) {
+    const variantPath = getImageVariantPath(filePath, size);
+    if (fs.existsSync(variantPath)) {
+      await sendFile(ctx, variantPath, {
+        contentType: IMAGE_VARIANT_MIMETYPE,
+        filename: path.basename(variantPath),
+        hash: file?.hash && `${file.hash}-${size}`,
+      });
+      logger.info(`Served file: ${variantPath}`);
+      return;
+    }
+  }
 
   // Определяем MIME-тип по расширению файла
   const ext = path.extname(filename).toLowerCase();
@@ -270,15 +1125,8 @@ router.get('/uploads/:messageId/:subdir/:filename', async (ctx) => {
     .keys(MIME_TO_EXT)
     .find(key => MIME_TO_EXT[key] === ext) || 'application/octet-stream';
 
-  // Устанавливаем безопасные заголовки
-  ctx.set('Content-Type', mimeType);
-  ctx.set('Content-Length', stat.size);
-  ctx.set('Content-Disposition', `inline; filename="${filename}"`); // inline для отображения в браузере
-  ctx.set('X-Content-Type-Options', 'nosniff'); // Предотвращает MIME sniffing
-  ctx.set('Cache-Control', 'private, max-age=3600'); // Кеширование на 1 час
-
-  // Отправляем файл
-  ctx.body = fs.createReadStream(filePath);
+  // Отправляем файл (с поддержкой Range, ETag и HEAD)
+  await sendFile(ctx, filePath, { contentType: mimeType, filename, hash: file?.hash });
 
   logger.info(`Served file: ${filePath}`);
 });
@@ -292,7 +1140,7 @@ router.get('/uploads/:messageId/:subdir/:filename', async (ctx) => {
  *
  * @description
  * 1. Валидирует ID сообщения (UUID формат)
- * 2. Читает все сообщения из хранилища
+ * 2. Читает все сообщения чата из хранилища
  * 3. Сортирует сообщения по timestamp (от старых к новым)
  * 4. Находит индекс сообщения в отсортированном массиве
  * 5. Возвращает индекс (от 0 до total-1, где 0 - самое старое сообщение)
@@ -318,10 +1166,8 @@ router.get(`${API_PATH}/:id/position`, async (ctx) => {
   }
 
   try {
-    const messages = readMessages();
-
     // Сортируем сообщения по timestamp (от старых к новым)
-    messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const messages = sortByTimestamp(readMessages(getScope(ctx)));
 
     // Находим индекс сообщения
     const position = messages.findIndex(msg => msg.id === id);
@@ -354,13 +1200,10 @@ router.get(`${API_PATH}/:id/position`, async (ctx) => {
  *
  * @description
  * 1. Валидирует messageId (UUID формат, запрет path traversal)
- * 2. Читает сообщения из файла
- * 3. Находит сообщение по ID
- * 4. Проверяет наличие файлов
- * 5. Для каждого файла проверяет существование
- * 6. Создает ZIP-архив с файлами в структуре subdir/filename
- * 7. Устанавливает заголовки для скачивания
- * 8. Возвращает ZIP поток
+ * 2. Находит сообщение по ID в чате запроса
+ * 3. Проверяет наличие файлов
+ * 4. Для каждого файла проверяет существование
+ * 5. Отправляет ZIP-архив с файлами в структуре subdir/filename
  *
  * @example
  * GET /api/messages/123e4567-e89b-12d3-a456-426614174000/attachments/download
@@ -369,7 +1212,7 @@ router.get(`${API_PATH}/:id/position`, async (ctx) => {
  * @throws {404} Если сообщение не найдено или нет файлов
  * @throws {500} Если ошибка при создании архива
  *
- * @see {@link readMessages} - Чтение сообщений
+ * @see {@link sendZip} - Отправка ZIP-архива
  * @see {@link UPLOADS_DIR} - Директория файлов
  */
 router.get(`${API_PATH}/:messageId/attachments/download`, async (ctx) => {
@@ -387,8 +1230,7 @@ router.get(`${API_PATH}/:messageId/attachments/download`, async (ctx) => {
     return;
   }
 
-  const messages = readMessages();
-  const message = messages.find(msg => msg.id === messageId);
+  const message = findMessage(messageId, getScope(ctx));
 
   if (!message) {
     ctx.status = 404;
@@ -404,60 +1246,25 @@ router.get(`${API_PATH}/:messageId/attachments/download`, async (ctx) => {
     return;
   }
 
-  // Проверка существования файлов
-  for (const file of message.files) {
-    const filePath = path.join(UPLOADS_DIR, file.filename);
-    try {
-      await fs.promises.access(filePath, fs.constants.F_OK);
-    } catch {
-      ctx.status = 404;
-      ctx.body = {
-        success: false,
-        error: 'Один или несколько файлов не найдены'
-      };
-      logger.warn(`Attachment file not found: ${filePath}`);
-      return;
-    }
-  }
-
-  // ✅ Теперь безопасно создаём архив
-  const archive = archiver('zip', { zlib: { level: 9 } });
-
-  // Устанавливаем заголовки
-  ctx.set('Content-Type', 'application/zip');
-  ctx.set(
-    'Content-Disposition',
-    `attachment; filename="attachments-${messageId}.zip"`
-  );
-  ctx.status = 200;
-
-  // Отключаем автоматическую обработку body Koa, чтобы избежать сериализации
-  ctx.respond = false;
+  // В архиве файлы лежат в структуре subdir/filename, без директорий
+  // чата и сообщения
+  const entries = message.files.map((file) => ({
+    filePath: path.join(UPLOADS_DIR, file.filename),
+    name: file.url.split('/').slice(-2).join('/'),
+  }));
 
-  // Обработка ошибок архива
-  archive.on('error', (err) => {
-    logger.error(`Archive error for ${messageId}:`, err);
-    if (!ctx.res.headersSent) {
-      ctx.res.statusCode = 500;
-      ctx.res.end('Internal Server Error');
-    }
-  });
-
-  // Pipe архив напрямую в response
-  archive.pipe(ctx.res);
-
-  // Добавляем файлы
-  for (const file of message.files) {
-    const filePath = path.join(UPLOADS_DIR, file.filename);
-    const parts = file.filename.split('/');
-    const archivePath = parts.length >= 2
-      ? parts.slice(1).join('/')
-      : path.basename(file.filename);
-    archive.file(filePath, { name: archivePath });
+  const missing = await findMissingEntry(entries);
+  if (missing) {
+    ctx.status = 404;
+    ctx.body = {
+      success: false,
+      error: 'Один или несколько файлов не найдены'
+    };
+    logger.warn(`Attachment file not found: ${missing}`);
+    return;
   }
 
-  // Финализируем архив
-  archive.finalize();
+  sendZip(ctx, entries, `attachments-${messageId}.zip`);
 
   logger.info(`ZIP archive streaming started for message ${messageId} with ${message.files.length} files`);
 });
@@ -468,23 +1275,18 @@ router.get(`${API_PATH}/:messageId/attachments/download`, async (ctx) => {
  * @param {Object} ctx - Контекст запроса Koa.js
  *
  * @description
- * 1. Создает сообщение от бота с информацией о возможностях
- * 2. Добавляет сообщение в хранилище
- * 3. Возвращает созданное сообщение в ответе
+ * 1. Выполняет команду бота /help (без сообщения пользователя с командой)
+ * 2. Возвращает созданное сообщение бота в ответе
  *
  * @example
  * GET /api/messages/help
  * // Возвращает: { success: true, data: [{ id: 'uuid', message: 'Информация о боте...', sender: 'bot', ... }] }
  *
- * @see {@link addBotMessage} - Функция создания сообщения от бота
+ * @see {@link executeCommand} - Выполнение команды бота
  */
 router.get(`${API_PATH}/help`, async (ctx) => {
   try {
-    const markdownPath = join(process.cwd(), 'data', 'helpMessage.md');
-    const htmlContent = await renderMarkdownFileCached(markdownPath);
-
-    // Предполагается, что addBotMessage ожидает объект с полем message
-    const botMessage = addBotMessage(htmlContent);
+    const botMessage = await executeCommand({ name: 'help', args: '' }, getScope(ctx));
 
     ctx.body = { success: true, data: [botMessage] };
     logger.info('Help message (Markdown) sent successfully as HTML');
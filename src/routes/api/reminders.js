@@ -0,0 +1,167 @@
+// =============================================================================
+// API-маршруты для работы с напоминаниями '/api/reminders'
+// =============================================================================
+
+import Router from '@koa/router';
+import { DEFAULT_CHAT_ID } from '../../configs/chats.js';
+import { DEFAULT_SNOOZE } from '../../configs/reminders.js';
+import { findChat } from '../../services/chatService.js';
+import {
+  cancelReminder,
+  createReminder,
+  listReminders,
+  REMINDER_STATUSES,
+  resolveDueAt,
+  snoozeReminder,
+  validateReminderText,
+} from '../../services/reminderService.js';
+
+const router = new Router();
+const API_PATH = '/api/reminders';
+
+/**
+ * Обработчик GET-запроса для получения напоминаний
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} [ctx.query.chatId] - Только напоминания указанного чата
+ * @param {string} [ctx.query.status] - Только напоминания со статусом
+ * (`pending`, `fired` или `failed`)
+ *
+ * @example
+ * GET /api/reminders?status=pending
+ * // Возвращает: {
+ * //   success: true,
+ * //   data: [{ id, chatId, text: 'Купить молоко', dueAt: '...', status: 'pending', ... }]
+ * // }
+ *
+ * @throws {400} Если передан неизвестный статус
+ */
+router.get(API_PATH, async (ctx) => {
+  const { chatId, status } = ctx.query;
+
+  if (status && !Object.values(REMINDER_STATUSES).includes(status)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'Неизвестный статус напоминания' };
+    return;
+  }
+
+  ctx.body = { success: true, data: listReminders(ctx.state.user.id, { chatId, status }) };
+});
+
+/**
+ * Обработчик POST-запроса для создания напоминания
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.request.body.text - Текст напоминания
+ * @param {string} [ctx.request.body.in] - Интервал от текущего момента
+ * ('30m', '2h', '1d', '1ч30м')
+ * @param {string} [ctx.request.body.dueAt] - Точное время в формате ISO
+ * (используется, если не передан `in`)
+ * @param {string} [ctx.request.body.chatId] - Чат, в который придет
+ * сообщение бота (по умолчанию — основной)
+ *
+ * @description
+ * Когда время наступает, бот присылает в чат сообщение с текстом
+ * напоминания и полем `reminderId`. То же можно сделать командой
+ * `/remind in 2h купить молоко`.
+ *
+ * @example
+ * POST /api/reminders
+ * { "text": "Купить молоко", "in": "2h" }
+ * // Возвращает: { success: true, data: { id, text, dueAt, status: 'pending', ... } }
+ *
+ * @throws {400} Если текст или время некорректны
+ * @throws {404} Если чат не найден
+ */
+router.post(API_PATH, async (ctx) => {
+  const { text, chatId = DEFAULT_CHAT_ID, ...timing } = ctx.request.body || {};
+  const userId = ctx.state.user.id;
+  const { dueAt, error } = resolveDueAt(timing);
+  const validationError = validateReminderText(text) || error;
+
+  if (validationError) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: validationError };
+    return;
+  }
+
+  if (!findChat(userId, chatId)) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Чат не найден' };
+    return;
+  }
+
+  const reminder = await createReminder({ userId, chatId, text, dueAt });
+  ctx.body = { success: true, data: reminder };
+});
+
+/**
+ * Обработчик POST-запроса для откладывания напоминания
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.id - ID напоминания
+ * @param {string} [ctx.request.body.in=DEFAULT_SNOOZE] - На сколько отложить
+ * @param {string} [ctx.request.body.dueAt] - Новое точное время
+ *
+ * @description
+ * Откладывать можно и ожидающие, и уже сработавшие напоминания
+ * (например, по кнопке у сообщения бота с `reminderId`).
+ *
+ * @example
+ * POST /api/reminders/123e4567-e89b-12d3-a456-426614174000/snooze
+ * { "in": "1h" }
+ * // Возвращает: { success: true, data: { id, dueAt: '...', status: 'pending', ... } }
+ *
+ * @throws {400} Если время некорректно
+ * @throws {404} Если напоминание не найдено
+ */
+router.post(`${API_PATH}/:id/snooze`, async (ctx) => {
+  const { in: delay, dueAt: exactDueAt } = ctx.request.body || {};
+  const { dueAt, error } = resolveDueAt(
+    delay === undefined && exactDueAt === undefined
+      ? { in: DEFAULT_SNOOZE }
+      : { in: delay, dueAt: exactDueAt }
+  );
+
+  if (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error };
+    return;
+  }
+
+  const reminder = await snoozeReminder(ctx.state.user.id, ctx.params.id, dueAt);
+
+  if (!reminder) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Напоминание не найдено' };
+    return;
+  }
+
+  ctx.body = { success: true, data: reminder };
+});
+
+/**
+ * Обработчик DELETE-запроса для отмены напоминания
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.id - ID напоминания
+ *
+ * @example
+ * DELETE /api/reminders/123e4567-e89b-12d3-a456-426614174000
+ * // Возвращает: { success: true, message: 'Напоминание отменено' }
+ *
+ * @throws {404} Если напоминание не найдено
+ */
+router.delete(`${API_PATH}/:id`, async (ctx) => {
+  const success = await cancelReminder(ctx.state.user.id, ctx.params.id);
+
+  if (!success) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Напоминание не найдено' };
+    return;
+  }
+
+  ctx.body = { success: true, message: 'Напоминание отменено' };
+});
+
+export default router;
@@ -0,0 +1,80 @@
+// =============================================================================
+// API-маршруты для работы с настройками '/api/settings'
+// =============================================================================
+
+import Router from '@koa/router';
+import {
+  patchSettings,
+  readSettings,
+  replaceSettings,
+} from '../../services/settingsService.js';
+import { logger } from '../../utils/logger.js';
+
+const router = new Router();
+const API_PATH = '/api/settings';
+
+/**
+ * Обработчик GET-запроса для получения настроек
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ *
+ * @example
+ * GET /api/settings
+ * // Возвращает: { success: true, data: { theme: 'system', pageSize: 10, ... } }
+ */
+router.get(API_PATH, async (ctx) => {
+  ctx.body = { success: true, data: readSettings(ctx.state.user.id) };
+});
+
+/**
+ * Фабрика обработчиков для изменения настроек
+ *
+ * @param {Function} update - Функция сервиса (replaceSettings или patchSettings)
+ * @returns {Function} Обработчик запроса Koa.js
+ *
+ * @description
+ * 1. Передает тело запроса в функцию изменения настроек текущего
+ *    пользователя
+ * 2. Если валидация не пройдена, возвращает список ошибок по полям
+ * 3. Иначе возвращает сохраненные настройки
+ *
+ * @example
+ * PATCH /api/settings
+ * { "theme": "dark" }
+ * // Возвращает: { success: true, data: { theme: 'dark', ... } }
+ *
+ * PUT /api/settings
+ * { "theme": "pink" }
+ * // Возвращает: {
+ * //   success: false,
+ * //   error: 'Недопустимые значения настроек',
+ * //   errors: [{ field: 'theme', error: 'Допустимые значения: light, dark, system' }]
+ * // }
+ *
+ * @throws {400} Если настройки не прошли валидацию
+ *
+ * @see {@link replaceSettings} - Полная замена настроек
+ * @see {@link patchSettings} - Частичное обновление настроек
+ */
+const createUpdateHandler = (update) => async (ctx) => {
+  const result = await update(ctx.state.user.id, ctx.request.body);
+
+  if (!result.isValid) {
+    ctx.status = 400;
+    ctx.body = {
+      success: false,
+      error: 'Недопустимые значения настроек',
+      errors: result.errors,
+    };
+    logger.warn({ errors: result.errors }, 'Settings validation failed');
+    return;
+  }
+
+  ctx.body = { success: true, data: result.settings };
+  logger.info('Settings updated successfully');
+};
+
+router.put(API_PATH, createUpdateHandler(replaceSettings));
+router.patch(API_PATH, createUpdateHandler(patchSettings));
+
+export default router;
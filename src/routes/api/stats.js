@@ -0,0 +1,56 @@
+// =============================================================================
+// API-маршруты статистики '/api/stats'
+// =============================================================================
+
+import Router from '@koa/router';
+import { MAX_STORAGE_STATS_TOP, STORAGE_STATS_TOP } from '../../configs/quota.js';
+import { getStorageStats } from '../../services/statsService.js';
+import { logger } from '../../utils/logger.js';
+
+const router = new Router();
+const API_PATH = '/api/stats';
+
+/**
+ * Обработчик GET-запроса для получения статистики занятого места
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} [ctx.query.top] - Количество самых больших сообщений
+ * (от 1 до MAX_STORAGE_STATS_TOP, по умолчанию STORAGE_STATS_TOP)
+ *
+ * @description
+ * Возвращает объем и количество вложений пользователя (всего, по
+ * категориям и MIME-типам, в корзине, в прошлых версиях сообщений,
+ * в незавершенных загрузках), объем, который они занимают на диске, самые
+ * большие сообщения, количество сообщений, а также квоту и занятое место.
+ *
+ * @example
+ * GET /api/stats/storage?top=5
+ * // Возвращает: {
+ * //   success: true,
+ * //   data: {
+ * //     messages, files, bySubdir, byMimetype, trash, revisions, pendingUploads,
+ * //     largestMessages, quota
+ * //   }
+ * // }
+ *
+ * @throws {400} Если параметр top недействителен
+ *
+ * @see {@link getStorageStats} - Подсчет статистики
+ */
+router.get(`${API_PATH}/storage`, async (ctx) => {
+  const top = ctx.query.top === undefined ? STORAGE_STATS_TOP : Number(ctx.query.top);
+
+  if (!Number.isInteger(top) || top < 1 || top > MAX_STORAGE_STATS_TOP) {
+    ctx.status = 400;
+    ctx.body = {
+      success: false,
+      error: `Параметр top должен быть числом от 1 до ${MAX_STORAGE_STATS_TOP}`,
+    };
+    logger.warn(`Invalid storage stats top: ${ctx.query.top}`);
+    return;
+  }
+
+  ctx.body = { success: true, data: getStorageStats(ctx.state.user.id, { top }) };
+});
+
+export default router;
@@ -0,0 +1,99 @@
+// =============================================================================
+// API-маршруты для работы с корзиной '/api/trash'
+// =============================================================================
+
+import Router from '@koa/router';
+import { DEFAULT_CHAT_ID } from '../../configs/chats.js';
+import { findChat } from '../../services/chatService.js';
+import { restoreMessage } from '../../services/messageService.js';
+import { findTrashItem, listTrash, purgeTrash } from '../../services/trashService.js';
+import { logger } from '../../utils/logger.js';
+
+const router = new Router();
+const API_PATH = '/api/trash';
+
+/**
+ * Обработчик GET-запроса для получения содержимого корзины
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} [ctx.query.chatId] - Только сообщения указанного чата
+ *
+ * @description
+ * Удаленные сообщения (по одному, при очистке чата или при удалении чата)
+ * хранятся в корзине TRASH_RETENTION (по умолчанию 30 дней), затем
+ * удаляются окончательно. Файлы сообщений в корзине недоступны
+ * по `/uploads` до восстановления.
+ *
+ * @example
+ * GET /api/trash
+ * // Возвращает: {
+ * //   success: true,
+ * //   data: [{ id, chatId, message: 'Текст', files: [...], deletedAt: '...', expiresAt: '...' }]
+ * // }
+ */
+router.get(API_PATH, async (ctx) => {
+  const { chatId } = ctx.query;
+  ctx.body = { success: true, data: listTrash(ctx.state.user.id, { chatId }) };
+});
+
+/**
+ * Обработчик POST-запроса для восстановления сообщения из корзины
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.id - ID сообщения
+ *
+ * @description
+ * Сообщение возвращается в свой чат вместе с файлами и историей
+ * изменений. Если чат был удален, сообщение восстанавливается в чат
+ * по умолчанию.
+ *
+ * @example
+ * POST /api/trash/123e4567-e89b-12d3-a456-426614174000/restore
+ * // Возвращает: { success: true, data: { id, chatId, message: 'Текст', ... } }
+ *
+ * @throws {404} Если сообщения нет в корзине
+ *
+ * @see {@link restoreMessage} - Восстановление сообщения
+ */
+router.post(`${API_PATH}/:id/restore`, async (ctx) => {
+  const { id } = ctx.params;
+  const userId = ctx.state.user.id;
+  const item = findTrashItem(userId, id);
+
+  const chatId = item && findChat(userId, item.message.chatId)
+    ? item.message.chatId
+    : DEFAULT_CHAT_ID;
+  const message = item && await restoreMessage(userId, id, chatId);
+
+  if (!message) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Сообщение не найдено в корзине' };
+    return;
+  }
+
+  const { userId: owner, ...data } = message;
+  ctx.body = { success: true, data };
+});
+
+/**
+ * Обработчик DELETE-запроса для очистки корзины
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ *
+ * @description
+ * Окончательно удаляет все сообщения пользователя из корзины вместе
+ * с файлами и историей изменений.
+ *
+ * @example
+ * DELETE /api/trash
+ * // Возвращает: { success: true, data: { purged: 12 } }
+ */
+router.delete(API_PATH, async (ctx) => {
+  const userId = ctx.state.user.id;
+  const purged = await purgeTrash({ userId });
+
+  logger.info(`Trash of user ${userId} emptied: ${purged} messages`);
+  ctx.body = { success: true, data: { purged } };
+});
+
+export default router;
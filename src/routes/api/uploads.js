@@ -0,0 +1,355 @@
+// =============================================================================
+// API-маршруты для возобновляемых загрузок '/api/uploads' (протокол tus)
+// =============================================================================
+
+import Router from '@koa/router';
+import { ALLOWED_FILE_TYPES } from '../../configs/fileTypes.js';
+import {
+  MAX_RESUMABLE_UPLOAD_SIZE,
+  TUS_EXTENSIONS,
+  TUS_VERSION,
+} from '../../configs/uploads.js';
+import { checkStorageQuota } from '../../services/statsService.js';
+import {
+  appendUploadChunk,
+  CHUNK_ERRORS,
+  completeUpload,
+  createUpload,
+  findUpload,
+  getUploadOffset,
+  removeUpload,
+} from '../../services/uploadService.js';
+import { logger } from '../../utils/logger.js';
+
+const router = new Router();
+const API_PATH = '/api/uploads';
+
+/**
+ * Тип содержимого запроса с частью файла
+ * @type {string}
+ */
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Ответы на ошибки приема части файла
+ * @type {Object.<string, { status: number, error: string }>}
+ */
+const CHUNK_ERROR_RESPONSES = {
+  [CHUNK_ERRORS.BUSY]: { status: 409, error: 'Часть файла уже загружается' },
+  [CHUNK_ERRORS.OFFSET_MISMATCH]: { status: 409, error: 'Смещение не совпадает с загруженным объемом' },
+  [CHUNK_ERRORS.TOO_LARGE]: { status: 413, error: 'Часть выходит за размер файла' },
+};
+
+/**
+ * Разбор заголовка Upload-Metadata
+ *
+ * @param {string} [header] - Пары «ключ значение-в-base64» через запятую
+ * @returns {Object.<string, string>} Декодированные значения
+ *
+ * @example
+ * parseUploadMetadata('filename dmlkZW8ubXA0,filetype dmlkZW8vbXA0');
+ * // { filename: 'video.mp4', filetype: 'video/mp4' }
+ */
+const parseUploadMetadata = (header) => Object.fromEntries(
+  (header || '')
+    .split(',')
+    .map((pair) => pair.trim().split(' '))
+    .filter(([key]) => key)
+    .map(([key, value = '']) => [key, Buffer.from(value, 'base64').toString('utf8')])
+);
+
+/**
+ * Разбор неотрицательного целого числа из заголовка
+ *
+ * @param {string} value - Значение заголовка
+ * @returns {number|null} Число или null, если значение некорректно
+ */
+const parseHeaderInteger = (value) => (
+  /^\d+$/.test(value || '') ? Number(value) : null
+);
+
+/**
+ * Заголовки протокола tus для всех ответов
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Function} next - Следующий обработчик
+ *
+ * @description
+ * Если клиент указал версию протокола (Tus-Resumable), отличную
+ * от поддерживаемой, отвечает 412. Запросы без заголовка принимаются,
+ * чтобы загрузкой могли пользоваться клиенты без библиотеки tus.
+ */
+const tusMiddleware = async (ctx, next) => {
+  ctx.set('Tus-Resumable', TUS_VERSION);
+
+  const version = ctx.get('Tus-Resumable');
+  if (version && version !== TUS_VERSION) {
+    ctx.status = 412;
+    ctx.set('Tus-Version', TUS_VERSION);
+    ctx.body = { success: false, error: 'Неподдерживаемая версия протокола загрузки' };
+    return;
+  }
+
+  await next();
+};
+
+/**
+ * Поиск загрузки текущего пользователя по параметру маршрута
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @returns {Object|null} Загрузка или null (ответ 404 уже сформирован)
+ */
+const findRequestedUpload = (ctx) => {
+  const upload = findUpload(ctx.state.user.id, ctx.params.id);
+  if (upload) return upload;
+
+  ctx.status = 404;
+  ctx.body = { success: false, error: 'Загрузка не найдена' };
+  return null;
+};
+
+/**
+ * Обработчик OPTIONS-запроса для получения параметров загрузки
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ *
+ * @description
+ * Доступен без авторизации (см. PUBLIC_ROUTES): клиент tus запрашивает
+ * возможности сервера до начала загрузки.
+ *
+ * @example
+ * OPTIONS /api/uploads
+ * // 204, Tus-Version: 1.0.0, Tus-Max-Size: 2147483648,
+ * // Tus-Extension: creation,expiration,termination
+ */
+router.options(API_PATH, tusMiddleware, async (ctx) => {
+  ctx.set('Tus-Version', TUS_VERSION);
+  ctx.set('Tus-Max-Size', String(MAX_RESUMABLE_UPLOAD_SIZE));
+  ctx.set('Tus-Extension', TUS_EXTENSIONS.join(','));
+  ctx.status = 204;
+});
+
+/**
+ * Обработчик POST-запроса для создания загрузки
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.headers['upload-length'] - Размер файла в байтах
+ * @param {string} [ctx.headers['upload-metadata']] - Имя (`filename`)
+ * и тип (`filetype`) файла в формате tus (значения в base64)
+ *
+ * @description
+ * Загрузка по частям нужна для больших файлов (видео с телефона) и для
+ * нестабильного соединения: оборванную загрузку можно продолжить
+ * с последнего полученного байта.
+ *
+ * 1. `POST /api/uploads` — создает загрузку, адрес возвращается
+ *    в заголовке Location
+ * 2. `PATCH /api/uploads/:id` — передает очередную часть файла
+ * 3. `HEAD /api/uploads/:id` — после обрыва соединения возвращает
+ *    смещение (Upload-Offset), с которого нужно продолжить
+ * 4. `POST /api/messages` с полем `uploads` — прикрепляет полученные файлы
+ *    к сообщению
+ *
+ * Загрузки, в которые не поступали данные дольше UPLOAD_EXPIRATION
+ * (в том числе завершенные, но не отправленные), удаляются.
+ *
+ * @example
+ * POST /api/uploads
+ * Upload-Length: 52428800
+ * Upload-Metadata: filename dmlkZW8ubXA0,filetype dmlkZW8vbXA0
+ * // 201, Location: /api/uploads/123e4567-e89b-12d3-a456-426614174000
+ * // { success: true, data: { id, offset: 0, length: 52428800, expiresAt } }
+ *
+ * @throws {400} Если размер файла не указан (отложенный размер не
+ * поддерживается)
+ * @throws {413} Если файл больше MAX_RESUMABLE_UPLOAD_SIZE или всей
+ * квоты хранилища
+ * @throws {415} Если объявленный тип файла не разрешен
+ * @throws {507} Если файл не помещается в оставшееся место
+ *
+ * @see {@link https://tus.io/protocols/resumable-upload} - Протокол tus
+ */
+router.post(API_PATH, tusMiddleware, async (ctx) => {
+  const length = parseHeaderInteger(ctx.get('Upload-Length'));
+  const { filename, filetype } = parseUploadMetadata(ctx.get('Upload-Metadata'));
+
+  if (length === null || length === 0) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'Не указан размер файла (Upload-Length)' };
+    return;
+  }
+
+  if (length > MAX_RESUMABLE_UPLOAD_SIZE) {
+    ctx.status = 413;
+    ctx.body = { success: false, error: 'Файл слишком большой' };
+    return;
+  }
+
+  // Тип, объявленный клиентом, проверяется сразу, чтобы не принимать
+  // заведомо неподходящий файл. Окончательно тип проверяется по содержимому
+  if (filetype && !ALLOWED_FILE_TYPES.includes(filetype)) {
+    ctx.status = 415;
+    ctx.body = { success: false, error: `Тип файла "${filetype}" не разрешен` };
+    return;
+  }
+
+  // Квота проверяется до начала загрузки, чтобы не принимать файл,
+  // который все равно не получится сохранить
+  const userId = ctx.state.user.id;
+  const { upload, quotaError } = await createUpload(userId, { length, filename, filetype }, {
+    checkQuota: () => checkStorageQuota(userId, { bytes: length, files: 1 }),
+  });
+  if (quotaError) {
+    ctx.status = quotaError.status;
+    ctx.body = { success: false, error: quotaError.error };
+    return;
+  }
+
+  ctx.status = 201;
+  ctx.set('Location', `${API_PATH}/${upload.id}`);
+  ctx.set('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+  ctx.body = {
+    success: true,
+    data: { id: upload.id, offset: 0, length, expiresAt: upload.expiresAt },
+  };
+});
+
+/**
+ * Обработчик GET/HEAD-запроса для получения состояния загрузки
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.id - ID загрузки
+ *
+ * @description
+ * Смещение, с которого нужно продолжить загрузку, возвращается
+ * в заголовке Upload-Offset (для HEAD-запроса клиента tus) и в теле ответа.
+ *
+ * @example
+ * HEAD /api/uploads/123e4567-e89b-12d3-a456-426614174000
+ * // 200, Upload-Offset: 1048576, Upload-Length: 52428800
+ *
+ * @throws {404} Если загрузка не найдена
+ */
+router.get(`${API_PATH}/:id`, tusMiddleware, async (ctx) => {
+  const upload = findRequestedUpload(ctx);
+  if (!upload) return;
+
+  const offset = await getUploadOffset(upload);
+
+  ctx.set('Upload-Offset', String(offset));
+  ctx.set('Upload-Length', String(upload.length));
+  ctx.set('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+  ctx.set('Cache-Control', 'no-store');
+  ctx.body = {
+    success: true,
+    data: {
+      id: upload.id,
+      offset,
+      length: upload.length,
+      filename: upload.filename,
+      completed: Boolean(upload.completedAt),
+      expiresAt: upload.expiresAt,
+    },
+  };
+});
+
+/**
+ * Обработчик PATCH-запроса для передачи части файла
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.id - ID загрузки
+ * @param {string} ctx.headers['upload-offset'] - Смещение части (должно
+ * совпадать с уже полученным объемом)
+ *
+ * @description
+ * Тело запроса — часть файла (Content-Type: application/offset+octet-stream).
+ * Когда получен весь файл, он проверяется по содержимому так же, как при
+ * обычной отправке; не прошедший проверку файл удаляется.
+ *
+ * @example
+ * PATCH /api/uploads/123e4567-e89b-12d3-a456-426614174000
+ * Content-Type: application/offset+octet-stream
+ * Upload-Offset: 0
+ * // 204, Upload-Offset: 5242880
+ *
+ * @throws {400} Если смещение не указано или полученный файл не прошел
+ * проверку
+ * @throws {404} Если загрузка не найдена
+ * @throws {409} Если смещение не совпадает с полученным объемом или часть
+ * уже загружается
+ * @throws {413} Если часть выходит за размер файла
+ * @throws {415} Если тип содержимого не application/offset+octet-stream
+ */
+router.patch(`${API_PATH}/:id`, tusMiddleware, async (ctx) => {
+  const upload = findRequestedUpload(ctx);
+  if (!upload) return;
+
+  if (ctx.request.type !== CHUNK_CONTENT_TYPE) {
+    ctx.status = 415;
+    ctx.body = { success: false, error: `Ожидается ${CHUNK_CONTENT_TYPE}` };
+    return;
+  }
+
+  const offset = parseHeaderInteger(ctx.get('Upload-Offset'));
+  if (offset === null) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'Не указано смещение (Upload-Offset)' };
+    return;
+  }
+
+  if (ctx.request.length !== undefined && offset + ctx.request.length > upload.length) {
+    ctx.status = 413;
+    ctx.body = { success: false, error: CHUNK_ERROR_RESPONSES[CHUNK_ERRORS.TOO_LARGE].error };
+    return;
+  }
+
+  const result = await appendUploadChunk(upload, offset, ctx.req);
+  ctx.set('Upload-Offset', String(result.offset));
+
+  if (result.error) {
+    const { status, error } = CHUNK_ERROR_RESPONSES[result.error];
+    ctx.status = status;
+    ctx.body = { success: false, error };
+    logger.warn(`Chunk of upload ${upload.id} rejected: ${result.error}`);
+    return;
+  }
+
+  if (result.offset === upload.length && !upload.completedAt) {
+    const { error } = await completeUpload(upload);
+    if (error) {
+      ctx.status = 400;
+      ctx.body = {
+        success: false,
+        error: `Файл "${upload.filename || upload.id}" не прошел валидацию: ${error}`,
+      };
+      return;
+    }
+  }
+
+  ctx.status = 204;
+});
+
+/**
+ * Обработчик DELETE-запроса для отмены загрузки
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} ctx.params.id - ID загрузки
+ *
+ * @example
+ * DELETE /api/uploads/123e4567-e89b-12d3-a456-426614174000
+ * // 204
+ *
+ * @throws {404} Если загрузка не найдена
+ */
+router.delete(`${API_PATH}/:id`, tusMiddleware, async (ctx) => {
+  if (!await removeUpload(ctx.state.user.id, ctx.params.id)) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: 'Загрузка не найдена' };
+    return;
+  }
+
+  logger.info(`Upload ${ctx.params.id} cancelled`);
+  ctx.status = 204;
+});
+
+export default router;
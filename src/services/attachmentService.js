@@ -0,0 +1,157 @@
+// =============================================================================
+// Сервис для просмотра вложений всех сообщений
+// =============================================================================
+
+import path from 'path';
+import { FILE_TYPE_CONFIG, getSubdirByRealMimetype } from '../configs/fileTypes.js';
+import { UPLOADS_DIR } from '../utils/paths.js';
+import { sortByTimestamp } from './paginationService.js';
+
+/**
+ * Список допустимых поддиректорий вложений
+ * @type {string[]}
+ */
+export const ATTACHMENT_SUBDIRS = FILE_TYPE_CONFIG.map((c) => c.subdir);
+
+/**
+ * Кодирует позицию вложения в непрозрачный курсор
+ *
+ * @param {Object} item - Вложение из результата {@link listAttachments}
+ * @returns {string} Курсор в формате base64url
+ */
+const encodeCursor = (item) => Buffer
+  .from(JSON.stringify({ t: item.timestamp, f: item.url }))
+  .toString('base64url');
+
+/**
+ * Декодирует курсор, полученный от клиента
+ *
+ * @param {string} cursor - Курсор в формате base64url
+ * @returns {Object|null} Позиция `{ timestamp, url }` или null,
+ * если курсор поврежден
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { t, f } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof t !== 'string' || typeof f !== 'string') return null;
+    return { timestamp: t, url: f };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Сравнивает два вложения для сортировки от новых к старым
+ *
+ * @param {Object} a - Первое вложение (`timestamp`, `url`)
+ * @param {Object} b - Второе вложение (`timestamp`, `url`)
+ * @returns {number} Отрицательное число, если `a` идет раньше `b`
+ *
+ * @description
+ * Вложения одного сообщения имеют одинаковое время, поэтому для
+ * однозначного порядка (и стабильных курсоров) сравнивается еще и URL
+ * файла. Имя файла (`filename`) для этого не подходит: одинаковые файлы
+ * хранятся один раз и имеют общее имя.
+ */
+const compareNewestFirst = (a, b) => (
+  new Date(b.timestamp) - new Date(a.timestamp)
+  || b.url.localeCompare(a.url)
+);
+
+/**
+ * Проверяет соответствие MIME-типа фильтру
+ *
+ * @param {string} mimetype - MIME-тип файла
+ * @param {string} filter - Точный MIME-тип ('image/png') или группа ('image/*')
+ * @returns {boolean}
+ */
+const matchesMimetype = (mimetype, filter) => (
+  filter.endsWith('/*')
+    ? mimetype.startsWith(filter.slice(0, -1))
+    : mimetype === filter
+);
+
+/**
+ * Возвращает порцию вложений всех сообщений
+ *
+ * @param {Array<Object>} messages - Сообщения хранилища
+ * @param {Object} [options] - Параметры выборки
+ * @param {string} [options.subdir] - Поддиректория (images, videos, audios)
+ * @param {string} [options.mimetype] - MIME-тип или группа ('image/*')
+ * @param {Date} [options.from] - Начало периода (включительно)
+ * @param {Date} [options.to] - Конец периода (включительно)
+ * @param {Object} [options.cursor] - Декодированный курсор, после которого
+ * начинается порция (см. {@link decodeCursor})
+ * @param {number} [options.limit=20] - Размер порции
+ * @returns {Object} Результат выборки
+ * @property {Array<Object>} items - Вложения (от новых к старым) с полями
+ * файла из сообщения, а также `messageId`, `chatId`, `subdir` и `timestamp`
+ * @property {boolean} hasMore - Есть ли вложения после этой порции
+ * @property {string|null} nextCursor - Курсор для следующей порции
+ *
+ * @description
+ * Курсор указывает на последнее отданное вложение, а не на номер
+ * страницы, поэтому добавление и удаление сообщений между запросами
+ * не приводит к пропускам и повторам.
+ *
+ * @example
+ * const { items, nextCursor } = listAttachments(messages, { subdir: 'images' });
+ * const next = listAttachments(messages, {
+ *   subdir: 'images',
+ *   cursor: decodeCursor(nextCursor),
+ * });
+ */
+export const listAttachments = (messages, {
+  subdir,
+  mimetype,
+  from,
+  to,
+  cursor,
+  limit = 20,
+} = {}) => {
+  const attachments = messages
+    .filter((msg) => msg.files?.length)
+    .filter((msg) => !from || new Date(msg.timestamp) >= from)
+    .filter((msg) => !to || new Date(msg.timestamp) <= to)
+    .flatMap((msg) => msg.files.map((file) => ({
+      ...file,
+      subdir: getSubdirByRealMimetype(file.mimetype),
+      messageId: msg.id,
+      chatId: msg.chatId,
+      timestamp: msg.timestamp,
+    })))
+    .filter((item) => !subdir || item.subdir === subdir)
+    .filter((item) => !mimetype || matchesMimetype(item.mimetype, mimetype))
+    .filter((item) => !cursor || compareNewestFirst(cursor, item) < 0)
+    .sort(compareNewestFirst);
+
+  const items = attachments.slice(0, limit);
+  const hasMore = attachments.length > limit;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+  };
+};
+
+/**
+ * Формирование записей ZIP-архива с вложениями нескольких сообщений
+ *
+ * @param {Array<Object>} messages - Сообщения
+ * @returns {Array<Object>} Записи для {@link sendZip}: вложения каждого
+ * сообщения лежат в отдельной папке `messageId/subdir/filename`
+ * (сообщения — от старых к новым)
+ *
+ * @example
+ * buildAttachmentEntries(readMessages({ userId, chatId }));
+ * // [{ filePath: '/data/uploads/1/images/a.png', name: '1/images/a.png' }, ...]
+ */
+export const buildAttachmentEntries = (messages) => (
+  sortByTimestamp(messages).flatMap((message) => (
+    (message.files || []).map((file) => ({
+      filePath: path.join(UPLOADS_DIR, file.filename),
+      name: [message.id, ...file.url.split('/').slice(-2)].join('/'),
+    }))
+  ))
+);
@@ -0,0 +1,458 @@
+// =============================================================================
+// Сервис экспорта и импорта истории (переносимый ZIP-архив)
+// =============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_CHAT_ID } from '../configs/chats.js';
+import { MAX_FILE_SIZE, MESSAGE_FORMATS } from '../configs/constants.js';
+import { logger } from '../utils/logger.js';
+import { TMP_DIR, UPLOADS_DIR } from '../utils/paths.js';
+import { renderMarkdown } from '../utils/renderMarkdownFile.js';
+import {
+  deleteChat,
+  listChats,
+  restoreChat,
+  validateChatTitle,
+} from './chatService.js';
+import { cleanupInvalidFile, organizeUploadedFiles } from './fileService.js';
+import {
+  clearAllMessages,
+  findMessage,
+  importMessages,
+  readMessages,
+} from './messageService.js';
+import { sortByTimestamp } from './paginationService.js';
+import { stripHtml } from './searchService.js';
+import { checkStorageQuota } from './statsService.js';
+import { validateFile } from './validateService.js';
+
+/**
+ * Идентификатор формата архива (поле `format` в manifest.json)
+ * @type {string}
+ */
+export const EXPORT_FORMAT = 'keeply-export';
+
+/**
+ * Версия формата архива
+ * @type {number}
+ */
+export const EXPORT_VERSION = 1;
+
+/**
+ * Режимы импорта
+ *
+ * @enum {string}
+ * @description
+ * - REPLACE — текущие сообщения и чаты пользователя удаляются
+ * - MERGE — данные из архива добавляются к текущим
+ */
+export const IMPORT_MODES = {
+  REPLACE: 'replace',
+  MERGE: 'merge',
+};
+
+/**
+ * Максимальный размер JSON-файлов архива (в байтах)
+ * @type {number}
+ */
+export const MAX_JSON_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Поля сообщения, переносимые из архива
+ * @type {string[]}
+ */
+const MESSAGE_FIELDS = ['message', 'format', 'timestamp', 'sender', 'favorite', 'favoritedAt', 'editedAt'];
+
+/**
+ * Путь файла сообщения внутри архива
+ *
+ * @param {Object} message - Сообщение
+ * @param {Object} file - Вложение сообщения
+ * @returns {string} `uploads/{messageId}/{subdir}/{filename}`
+ *
+ * @description
+ * Путь не зависит от чата и совпадает с URL файла без начального «/».
+ */
+const getArchivePath = (message, file) => (
+  ['uploads', message.id, ...file.url.split('/').slice(-2)].join('/')
+);
+
+/**
+ * Формирование содержимого архива с историей пользователя
+ *
+ * @param {Object} user - Пользователь `{ id, username }`
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.messages] - Экспортируемые сообщения
+ * (по умолчанию — все сообщения пользователя). Для выборки в манифест
+ * попадают только чаты этих сообщений
+ * @returns {Promise<Array<Object>>} Записи для {@link sendZip}:
+ * - `manifest.json` — формат, версия, время экспорта, чаты, количество
+ *   сообщений и файлов
+ * - `messages.json` — сообщения (от старых к новым);
+ *   у каждого вложения есть поле `path` — путь файла внутри архива
+ * - `uploads/{messageId}/{subdir}/{filename}` — файлы вложений
+ *
+ * @description
+ * Отсутствующие на диске файлы не попадают в архив; их количество
+ * указывается в манифесте (`missingFiles`). История изменений сообщений
+ * не экспортируется.
+ */
+export const buildExportEntries = async (user, { messages: selected } = {}) => {
+  const messages = sortByTimestamp(selected || readMessages({ userId: user.id }));
+  const chatIds = new Set(messages.map(({ chatId }) => chatId));
+  const fileEntries = [];
+  let missingFiles = 0;
+
+  const exportedMessages = [];
+  for (const { userId, ...message } of messages) {
+    const files = [];
+
+    for (const file of message.files || []) {
+      const filePath = path.join(UPLOADS_DIR, file.filename);
+      const archivePath = getArchivePath(message, file);
+
+      if (!fs.existsSync(filePath)) {
+        missingFiles += 1;
+        logger.warn(`Export: attachment file not found: ${filePath}`);
+        continue;
+      }
+
+      fileEntries.push({ filePath, name: archivePath });
+      files.push({ ...file, path: archivePath });
+    }
+
+    exportedMessages.push({ ...message, files });
+  }
+
+  const manifest = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    username: user.username,
+    chats: listChats(user.id)
+      .filter(({ id }) => !selected || chatIds.has(id))
+      .map(({ id, title, createdAt }) => ({ id, title, createdAt })),
+    messageCount: exportedMessages.length,
+    fileCount: fileEntries.length,
+    missingFiles,
+  };
+
+  return [
+    { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+    { name: 'messages.json', content: JSON.stringify(exportedMessages, null, 2) },
+    ...fileEntries,
+  ];
+};
+
+/**
+ * Проверка сообщения из архива
+ *
+ * @param {*} message - Сообщение из messages.json
+ * @returns {string|null} Причина пропуска или null, если сообщение корректно
+ */
+const validateArchivedMessage = (message) => {
+  if (!message || typeof message !== 'object') return 'Некорректная запись';
+  if (typeof message.id !== 'string' || !message.id) return 'Отсутствует ID';
+  if (typeof message.timestamp !== 'string' || Number.isNaN(Date.parse(message.timestamp))) {
+    return 'Некорректное время';
+  }
+  if (message.message !== undefined && typeof message.message !== 'string') {
+    return 'Некорректный текст';
+  }
+  if (message.files !== undefined && !Array.isArray(message.files)) {
+    return 'Некорректный список вложений';
+  }
+  return null;
+};
+
+/**
+ * Чтение и проверка архива экспорта
+ *
+ * @param {Object} zip - Открытый архив (см. {@link openZipArchive})
+ * @returns {Promise<Object>} `{ archive }` — архив с полями `zip`,
+ * `manifest` и `messages`, или `{ error }` — текст ошибки для клиента
+ */
+export const readExportArchive = async (zip) => {
+  if (!zip.entries.has('manifest.json') || !zip.entries.has('messages.json')) {
+    return { error: 'В архиве нет manifest.json или messages.json' };
+  }
+
+  try {
+    const manifest = JSON.parse(await zip.readEntry('manifest.json', { maxSize: MAX_JSON_SIZE }));
+    const messages = JSON.parse(await zip.readEntry('messages.json', { maxSize: MAX_JSON_SIZE }));
+
+    if (manifest?.format !== EXPORT_FORMAT) return { error: 'Неизвестный формат архива' };
+    if (manifest.version > EXPORT_VERSION) {
+      return { error: 'Архив создан более новой версией приложения' };
+    }
+    if (!Array.isArray(messages)) return { error: 'Некорректный файл messages.json' };
+
+    return { archive: { zip, manifest, messages } };
+  } catch (err) {
+    logger.warn({ err }, 'Import: failed to read archive metadata');
+    return { error: 'Не удалось прочитать manifest.json или messages.json' };
+  }
+};
+
+/**
+ * Распаковывает и проверяет файл из архива
+ *
+ * @param {Object} zip - Открытый архив (см. {@link openZipArchive})
+ * @param {string} archivePath - Путь файла внутри архива
+ * @param {string} [originalFilename] - Исходное имя файла
+ * @returns {Promise<Object>}
+ * - `{ file }` — файл во временной директории в формате, который
+ *   принимает {@link organizeUploadedFiles}
+ * - `{ error }` — причина, по которой файл пропущен
+ *
+ * @description
+ * Файл проходит ту же проверку по содержимому, что и при загрузке
+ * ({@link validateFile}), и ограничение MAX_FILE_SIZE. Временный файл
+ * недопустимого типа сразу удаляется.
+ */
+export const extractArchiveFile = async (zip, archivePath, originalFilename) => {
+  const entry = zip.entries.get(archivePath);
+  if (!entry) return { error: 'Файл отсутствует в архиве' };
+  if (entry.size > MAX_FILE_SIZE) {
+    return { error: `Файл больше ${MAX_FILE_SIZE / 1024 / 1024} МБ` };
+  }
+
+  const tempPath = path.join(TMP_DIR, `import-${uuidv4()}`);
+  try {
+    const size = await zip.extractEntry(archivePath, tempPath, { maxSize: MAX_FILE_SIZE });
+    const { isValid, detectedMimeType, hash, error } = await validateFile(tempPath);
+
+    if (!isValid) {
+      await cleanupInvalidFile(tempPath);
+      return { error };
+    }
+
+    return {
+      file: {
+        filepath: tempPath,
+        originalFilename: originalFilename || path.posix.basename(archivePath),
+        mimetype: detectedMimeType,
+        realMimetype: detectedMimeType,
+        hash,
+        size,
+      },
+    };
+  } catch (err) {
+    await cleanupInvalidFile(tempPath);
+    logger.warn({ err }, `Import: failed to extract ${archivePath}`);
+    return { error: 'Не удалось распаковать файл' };
+  }
+};
+
+/**
+ * Распаковывает и проверяет вложения сообщения из архива
+ *
+ * @param {Object} zip - Открытый архив
+ * @param {Object} message - Сообщение из архива
+ * @param {Array<Object>} skipped - Список пропущенных элементов (дополняется)
+ * @returns {Promise<Array<Object>>} Проверенные файлы во временной
+ * директории (см. {@link extractArchiveFile}). Недопустимые
+ * и отсутствующие файлы пропускаются
+ */
+const extractMessageFiles = async (zip, message, skipped) => {
+  const rawFiles = [];
+
+  for (const file of message.files || []) {
+    const archivePath = typeof file?.path === 'string' ? file.path : null;
+    const name = file?.originalname || archivePath || 'unknown';
+    const { file: rawFile, error } = archivePath
+      ? await extractArchiveFile(zip, archivePath, file.originalname)
+      : { error: 'Файл отсутствует в архиве' };
+
+    if (error) {
+      skipped.push({ messageId: message.id, file: name, reason: error });
+      continue;
+    }
+    rawFiles.push(rawFile);
+  }
+
+  return rawFiles;
+};
+
+/**
+ * Проверка квоты перед сохранением распакованных файлов импорта
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Array<Object>} rawFiles - Все распакованные файлы импорта
+ * (см. {@link extractArchiveFile})
+ * @returns {Promise<Object|null>} `{ status, error }` для ответа или null,
+ * если файлы помещаются в квоту (см. {@link checkStorageQuota}). Если
+ * не помещаются, временные файлы удаляются
+ *
+ * @description
+ * Учитываются суммарный размер и количество файлов, прошедших проверку,
+ * а не размер архива: архив сжат и может содержать пропускаемые файлы.
+ */
+export const checkImportQuota = async (userId, rawFiles) => {
+  const quotaError = checkStorageQuota(userId, {
+    bytes: rawFiles.reduce((sum, file) => sum + (file.size || 0), 0),
+    files: rawFiles.length,
+  });
+
+  if (quotaError) {
+    await Promise.all(rawFiles.map((file) => cleanupInvalidFile(file.filepath)));
+    logger.warn(`Import for user ${userId} rejected by storage quota: ${quotaError.error}`);
+  }
+
+  return quotaError;
+};
+
+/**
+ * Сопоставление чатов архива с чатами пользователя
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Array<Object>} archivedChats - Чаты из манифеста
+ * @returns {Promise<Map<string, string>>} ID чата в архиве → ID чата
+ * пользователя
+ */
+const restoreChats = async (userId, archivedChats) => {
+  const chatIds = new Map([[DEFAULT_CHAT_ID, DEFAULT_CHAT_ID]]);
+
+  for (const chat of Array.isArray(archivedChats) ? archivedChats : []) {
+    if (typeof chat?.id !== 'string' || chat.id === DEFAULT_CHAT_ID) continue;
+
+    const title = validateChatTitle(chat.title) ? `Импортированный чат ${chat.id.slice(0, 8)}` : chat.title;
+    const restored = await restoreChat(userId, { id: chat.id, title, createdAt: chat.createdAt });
+    chatIds.set(chat.id, restored.id);
+  }
+
+  return chatIds;
+};
+
+/**
+ * Подготавливает текст сообщения из архива
+ *
+ * @param {Object} message - Сообщение из архива
+ * @returns {Promise<Object>} Поля `message`, `format` и (для Markdown) `html`
+ *
+ * @description
+ * HTML из архива не используется: Markdown рендерится заново, а HTML
+ * сообщений бота преобразуется в обычный текст, чтобы архив нельзя было
+ * использовать для внедрения разметки.
+ */
+const buildImportedText = async ({ message = '', format, sender }) => {
+  if (format === 'html' || (sender === 'bot' && !MESSAGE_FORMATS.includes(format))) {
+    return { message: stripHtml(message), format: 'text' };
+  }
+  if (format === 'markdown') {
+    return { message, format, html: await renderMarkdown(message) };
+  }
+  return { message, format: 'text' };
+};
+
+/**
+ * Импорт архива экспорта в данные пользователя
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} archive - Архив из {@link readExportArchive}
+ * @param {Object} [options]
+ * @param {string} [options.mode=IMPORT_MODES.MERGE] - Режим импорта
+ * @returns {Promise<Object>}
+ * - `{ report }` — отчет `{ mode, chats, messages, files, remappedIds,
+ *   skipped }`, где `skipped` — пропущенные сообщения и файлы с причинами
+ * - `{ quotaError }` — `{ status, error }`, если файлы архива
+ *   не помещаются в квоту (данные пользователя не изменяются)
+ *
+ * @description
+ * 1. Распаковывает и проверяет вложения всех сообщений
+ * 2. Проверяет, что файлы помещаются в квоту (см. {@link checkImportQuota})
+ * 3. В режиме REPLACE удаляет все чаты (кроме основного) и сообщения
+ *    пользователя
+ * 4. Восстанавливает чаты из манифеста (см. {@link restoreChat})
+ * 5. Для каждого сообщения: назначает новый ID, если исходный уже занят,
+ *    и сохраняет вложения в хранилище
+ * 6. Добавляет все сообщения одной операцией (см. {@link importMessages})
+ *
+ * Сообщения без текста и без единого корректного вложения пропускаются.
+ * В режиме REPLACE удаленные сообщения попадают в корзину и занимают
+ * место, пока она не очищена.
+ */
+export const importArchive = async (userId, { zip, manifest, messages }, {
+  mode = IMPORT_MODES.MERGE,
+} = {}) => {
+  const prepared = [];
+  const skipped = [];
+
+  for (const message of messages) {
+    const error = validateArchivedMessage(message);
+    if (error) {
+      skipped.push({ messageId: message?.id ?? null, reason: error });
+      continue;
+    }
+
+    const rawFiles = await extractMessageFiles(zip, message, skipped);
+    const text = await buildImportedText(message);
+
+    if (!text.message && rawFiles.length === 0) {
+      skipped.push({ messageId: message.id, reason: 'Нет текста и корректных вложений' });
+      continue;
+    }
+
+    prepared.push({ message, rawFiles, text });
+  }
+
+  const quotaError = await checkImportQuota(userId, prepared.flatMap(({ rawFiles }) => rawFiles));
+  if (quotaError) return { quotaError };
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    for (const chat of listChats(userId)) {
+      if (chat.id !== DEFAULT_CHAT_ID) await deleteChat(userId, chat.id);
+    }
+    if (!await clearAllMessages({ userId })) throw new Error('Failed to clear messages before import');
+  }
+
+  const chatIds = await restoreChats(userId, manifest.chats);
+  const usedIds = new Set();
+  const imported = [];
+  let remappedIds = 0;
+  let fileCount = 0;
+
+  for (const { message, rawFiles, text } of prepared) {
+    const id = findMessage(message.id) || usedIds.has(message.id) ? uuidv4() : message.id;
+    if (id !== message.id) remappedIds += 1;
+    usedIds.add(id);
+
+    const { files } = await organizeUploadedFiles(rawFiles, { messageId: id });
+    fileCount += files.length;
+
+    const fields = Object.fromEntries(
+      MESSAGE_FIELDS.filter((field) => message[field] !== undefined)
+        .map((field) => [field, message[field]])
+    );
+
+    imported.push({
+      ...fields,
+      ...text,
+      id,
+      files,
+      sender: message.sender === 'bot' ? 'bot' : 'user',
+      userId,
+      chatId: chatIds.get(message.chatId) || DEFAULT_CHAT_ID,
+    });
+  }
+
+  await importMessages(sortByTimestamp(imported));
+
+  logger.info(
+    `Import for user ${userId} (${mode}): ${imported.length} messages, ${fileCount} files, `
+    + `${remappedIds} remapped ids, ${skipped.length} skipped`
+  );
+
+  return {
+    report: {
+      mode,
+      chats: chatIds.size - 1,
+      messages: imported.length,
+      files: fileCount,
+      remappedIds,
+      skipped,
+    },
+  };
+};
@@ -0,0 +1,159 @@
+// =============================================================================
+// Сервис хранения файлов по содержимому (одинаковые файлы — один экземпляр)
+// =============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { IMAGE_VARIANTS } from '../configs/constants.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { logger } from '../utils/logger.js';
+import { BLOBS_DIR, BLOBS_FILE, UPLOADS_DIR } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+import { getImageVariantPath } from './imageService.js';
+
+/**
+ * Счетчики ссылок: SHA-256 содержимого → количество вложений, которые
+ * ссылаются на файл
+ *
+ * @type {Object.<string, number>}
+ * @description
+ * Ссылкой считается каждое вложение, сохраненное в сообщение, вместе с его
+ * копиями в истории изменений. Ссылка освобождается, когда сообщение
+ * удаляется окончательно (из корзины).
+ */
+let refs = {};
+
+/**
+ * Очередь записи счетчиков ссылок
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Сохраняет счетчики в файл и делает их текущими
+ *
+ * @param {Object.<string, number>} nextRefs - Новое состояние
+ */
+const persist = async (nextRefs) => {
+  await writeFileAtomic(BLOBS_FILE, JSON.stringify(nextRefs, null, 2));
+  refs = nextRefs;
+};
+
+/**
+ * Путь к файлу в хранилище
+ *
+ * @param {string} hash - SHA-256 содержимого
+ * @param {string} ext - Расширение файла (с точкой)
+ * @returns {string} `uploads/blobs/{первые 2 символа хеша}/{hash}{ext}`
+ */
+const getBlobPath = (hash, ext) => path.join(BLOBS_DIR, hash.slice(0, 2), `${hash}${ext}`);
+
+/**
+ * Загрузка счетчиков ссылок при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} Если файл счетчиков поврежден. Без счетчиков нельзя
+ * определить, какие файлы больше не используются, поэтому сервер
+ * не запускается
+ */
+export const initBlobs = async () => {
+  try {
+    refs = JSON.parse(await fs.promises.readFile(BLOBS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${BLOBS_FILE}: ${err.message}`);
+    }
+    refs = {};
+  }
+
+  logger.info(`Loaded reference counts for ${Object.keys(refs).length} stored files`);
+};
+
+/**
+ * Проверяет, хранится ли вложение в хранилище по содержимому
+ *
+ * @param {Object} file - Описание вложения из сообщения
+ * @returns {boolean}
+ *
+ * @description
+ * Вложения, сохраненные до появления хранилища, лежат в директории
+ * своего сообщения и переносятся вместе с ней.
+ */
+export const isBlobFile = (file) => (
+  path.join(UPLOADS_DIR, file.filename).startsWith(BLOBS_DIR + path.sep)
+);
+
+/**
+ * Сохраняет файл в хранилище
+ *
+ * @param {string} filePath - Путь к проверенному временному файлу
+ * @param {Object} options
+ * @param {string} options.hash - SHA-256 содержимого
+ * @param {string} options.ext - Расширение файла (с точкой)
+ * @returns {Promise<string>} Путь к файлу относительно UPLOADS_DIR
+ * (значение поля `filename` вложения)
+ *
+ * @description
+ * 1. Если файл с таким содержимым уже есть, временный файл удаляется,
+ *    иначе перемещается в хранилище
+ * 2. Увеличивает счетчик ссылок
+ *
+ * @example
+ * await storeBlob('/tmp/upload_abc', { hash: 'e3b0c442...', ext: '.jpg' });
+ * // 'blobs/e3/e3b0c442....jpg'
+ */
+export const storeBlob = (filePath, { hash, ext }) => writeQueue.run(async () => {
+  const blobPath = getBlobPath(hash, ext);
+
+  if (fs.existsSync(blobPath)) {
+    await fs.promises.rm(filePath, { force: true });
+    logger.info(`Duplicate upload stored as a reference to ${hash}`);
+  } else {
+    await fs.promises.mkdir(path.dirname(blobPath), { recursive: true });
+    await fs.promises.rename(filePath, blobPath);
+  }
+
+  await persist({ ...refs, [hash]: (refs[hash] || 0) + 1 });
+  return path.relative(UPLOADS_DIR, blobPath).replace(/\\/g, '/');
+});
+
+/**
+ * Освобождает ссылки на файлы хранилища
+ *
+ * @param {string[]} filenames - Значения `filename` вложений (по одному
+ * на каждое освобождаемое вложение)
+ * @returns {Promise<number>} Количество удаленных файлов
+ *
+ * @description
+ * Уменьшает счетчики ссылок. Файл удаляется вместе с уменьшенными
+ * копиями, только когда на него не осталось ни одной ссылки.
+ */
+export const releaseBlobs = (filenames) => writeQueue.run(async () => {
+  const nextRefs = { ...refs };
+  const unused = [];
+
+  for (const filename of filenames) {
+    const hash = path.basename(filename, path.extname(filename));
+    if (!nextRefs[hash]) continue;
+
+    nextRefs[hash] -= 1;
+    if (nextRefs[hash] > 0) continue;
+
+    delete nextRefs[hash];
+    unused.push(path.join(UPLOADS_DIR, filename));
+  }
+
+  // Счетчики сохраняются до удаления файлов: при сбое остаются лишние
+  // файлы, но не ссылки на удаленные
+  await persist(nextRefs);
+
+  for (const blobPath of unused) {
+    const variantPaths = Object.keys(IMAGE_VARIANTS).map((size) => getImageVariantPath(blobPath, size));
+    for (const filePath of [blobPath, ...variantPaths]) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+
+  if (unused.length > 0) logger.info(`Removed ${unused.length} unused stored files`);
+  return unused.length;
+});
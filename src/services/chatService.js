@@ -0,0 +1,297 @@
+// =============================================================================
+// Сервис для работы с чатами (блокнотами)
+// =============================================================================
+
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  DEFAULT_CHAT_ID,
+  DEFAULT_CHAT_TITLE,
+  MAX_CHAT_TITLE_LENGTH,
+} from '../configs/chats.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { logger } from '../utils/logger.js';
+import { CHATS_FILE } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+import { getChatUploadsDir } from './fileService.js';
+import { clearAllMessages, readMessages } from './messageService.js';
+
+/**
+ * Чаты в памяти (в порядке создания)
+ *
+ * @type {Array<Object>}
+ * @description
+ * ID чата уникален в пределах пользователя: у каждого пользователя есть
+ * свой чат по умолчанию с ID DEFAULT_CHAT_ID.
+ */
+let chats = [];
+
+/**
+ * Очередь записи чатов
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Сохраняет чаты в файл и делает их текущими
+ *
+ * @param {Array<Object>} nextChats - Новое состояние
+ */
+const persist = async (nextChats) => {
+  await writeFileAtomic(CHATS_FILE, JSON.stringify(nextChats, null, 2));
+  chats = nextChats;
+};
+
+/**
+ * Создает объект чата
+ *
+ * @param {string} id - ID чата
+ * @param {string} userId - ID владельца
+ * @param {string} title - Название чата
+ * @returns {Object} Чат `{ id, userId, title, createdAt, updatedAt }`
+ */
+const buildChat = (id, userId, title) => {
+  const now = new Date().toISOString();
+  return { id, userId, title, createdAt: now, updatedAt: now };
+};
+
+/**
+ * Ключ чата, уникальный среди всех пользователей
+ *
+ * @param {string} userId - ID владельца
+ * @param {string} chatId - ID чата
+ * @returns {string}
+ */
+const chatKey = (userId, chatId) => `${userId}/${chatId}`;
+
+/**
+ * Загрузка чатов при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @description
+ * 1. Читает список чатов из файла
+ * 2. Создает чаты для сообщений, чьи чаты отсутствуют в списке (например,
+ *    если файл чатов был удален), чтобы сообщения не стали недоступны
+ *
+ * Должна быть вызвана после загрузки сообщений. Чаты по умолчанию
+ * создаются для каждого пользователя отдельно (см. {@link ensureDefaultChat}).
+ *
+ * @throws {Error} Если файл чатов поврежден
+ */
+export const initChats = async () => {
+  try {
+    chats = JSON.parse(await fs.promises.readFile(CHATS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${CHATS_FILE}: ${err.message}`);
+    }
+    chats = [];
+  }
+
+  const knownKeys = new Set(chats.map((chat) => chatKey(chat.userId, chat.id)));
+  const missing = [];
+
+  for (const { userId, chatId } of readMessages()) {
+    if (chatId === DEFAULT_CHAT_ID || knownKeys.has(chatKey(userId, chatId))) continue;
+    missing.push(buildChat(chatId, userId, `Восстановленный чат ${chatId.slice(0, 8)}`));
+    knownKeys.add(chatKey(userId, chatId));
+    logger.warn(`Recreated missing chat ${chatId} for existing messages`);
+  }
+
+  if (missing.length > 0) await persist([...chats, ...missing]);
+
+  logger.info(`Loaded ${chats.length} chats`);
+};
+
+/**
+ * Создание чата по умолчанию для пользователя, если его еще нет
+ *
+ * @param {string} userId - ID пользователя
+ * @returns {Promise<Object>} Чат по умолчанию
+ */
+export const ensureDefaultChat = (userId) => writeQueue.run(async () => {
+  const existing = findChat(userId, DEFAULT_CHAT_ID);
+  if (existing) return existing;
+
+  const chat = buildChat(DEFAULT_CHAT_ID, userId, DEFAULT_CHAT_TITLE);
+  await persist([chat, ...chats]);
+  return chat;
+});
+
+/**
+ * Передача пользователю чатов без владельца
+ *
+ * @param {string} userId - ID нового владельца
+ * @returns {Promise<number>} Количество переданных чатов
+ *
+ * @description
+ * Чаты, созданные до появления учетных записей, не имеют поля `userId`.
+ * Если у пользователя уже есть чат с тем же ID (чат по умолчанию создается
+ * при регистрации), запись старого чата удаляется, а его сообщения
+ * оказываются в чате пользователя.
+ */
+export const adoptLegacyChats = (userId) => writeQueue.run(async () => {
+  const legacy = chats.filter((chat) => !chat.userId);
+  if (legacy.length === 0) return 0;
+
+  await persist(chats
+    .filter((chat) => chat.userId || !findChat(userId, chat.id))
+    .map((chat) => (chat.userId ? chat : { ...chat, userId })));
+  return legacy.length;
+});
+
+/**
+ * Проверка названия чата
+ *
+ * @param {*} title - Название из запроса
+ * @returns {string|null} Текст ошибки или null, если название корректно
+ */
+export const validateChatTitle = (title) => {
+  if (typeof title !== 'string' || !title.trim()) {
+    return 'Название чата не может быть пустым';
+  }
+  if (title.trim().length > MAX_CHAT_TITLE_LENGTH) {
+    return `Название чата не может быть длиннее ${MAX_CHAT_TITLE_LENGTH} символов`;
+  }
+  return null;
+};
+
+/**
+ * Получение списка чатов пользователя со статистикой
+ *
+ * @param {string} userId - ID пользователя
+ * @returns {Array<Object>} Чаты в порядке создания. Каждый чат дополнен
+ * полями `messageCount` и `lastMessageAt` (время последнего сообщения
+ * или null)
+ *
+ * @example
+ * listChats(userId);
+ * // [{ id: 'default', title: 'Основной', messageCount: 12, lastMessageAt: '...', ... }]
+ */
+export const listChats = (userId) => {
+  const stats = {};
+
+  for (const { chatId, timestamp } of readMessages({ userId })) {
+    const chatStats = (stats[chatId] ??= { messageCount: 0, lastMessageAt: null });
+    chatStats.messageCount += 1;
+    if (!chatStats.lastMessageAt || timestamp > chatStats.lastMessageAt) {
+      chatStats.lastMessageAt = timestamp;
+    }
+  }
+
+  return chats.filter((chat) => chat.userId === userId).map((chat) => ({
+    ...chat,
+    ...(stats[chat.id] || { messageCount: 0, lastMessageAt: null }),
+  }));
+};
+
+/**
+ * Поиск чата пользователя по ID
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID чата
+ * @returns {Object|null} Чат или null, если не найден
+ */
+export const findChat = (userId, id) => chats.find(
+  (chat) => chat.userId === userId && chat.id === id
+) || null;
+
+/**
+ * Создание чата
+ *
+ * @param {string} userId - ID владельца
+ * @param {string} title - Название чата (проверяется {@link validateChatTitle})
+ * @returns {Promise<Object>} Созданный чат
+ *
+ * @example
+ * await createChat(userId, 'Рецепты');
+ * // { id: 'uuid', userId, title: 'Рецепты', createdAt: '...', updatedAt: '...' }
+ */
+export const createChat = (userId, title) => writeQueue.run(async () => {
+  const chat = buildChat(uuidv4(), userId, title.trim());
+  await persist([...chats, chat]);
+  return chat;
+});
+
+/**
+ * Восстановление чата из архива
+ *
+ * @param {string} userId - ID владельца
+ * @param {Object} source - Чат из архива `{ id, title, createdAt }`
+ * @returns {Promise<Object>} Чат, в который следует импортировать сообщения:
+ * - существующий чат пользователя с тем же ID (слияние)
+ * - новый чат с тем же ID, если он свободен
+ * - новый чат с новым ID, если этот ID занят чатом другого пользователя
+ *   (ID чата входит в путь `uploads/chats/{chatId}` файлов, загруженных
+ *   до появления хранилища по содержимому)
+ *
+ * @description
+ * Чат по умолчанию не восстанавливается: он есть у каждого пользователя.
+ */
+export const restoreChat = (userId, { id, title, createdAt }) => writeQueue.run(async () => {
+  const existing = findChat(userId, id);
+  if (existing) return existing;
+
+  const isTaken = id === DEFAULT_CHAT_ID || chats.some((chat) => chat.id === id);
+  const chat = buildChat(isTaken ? uuidv4() : id, userId, title.trim());
+  if (createdAt) chat.createdAt = createdAt;
+
+  await persist([...chats, chat]);
+  return chat;
+});
+
+/**
+ * Переименование чата
+ *
+ * @param {string} userId - ID владельца
+ * @param {string} id - ID чата
+ * @param {string} title - Новое название (проверяется {@link validateChatTitle})
+ * @returns {Promise<Object|null>}
+ * - Обновленный чат
+ * - null, если чат не найден
+ */
+export const renameChat = (userId, id, title) => writeQueue.run(async () => {
+  const current = findChat(userId, id);
+  if (!current) return null;
+
+  const updated = { ...current, title: title.trim(), updatedAt: new Date().toISOString() };
+  await persist(chats.map((chat) => (chat === current ? updated : chat)));
+  return updated;
+});
+
+/**
+ * Удаление чата вместе со всеми его сообщениями и файлами
+ *
+ * @param {string} userId - ID владельца
+ * @param {string} id - ID чата
+ * @returns {Promise<boolean>}
+ * - true, если чат удален
+ * - false, если чат не найден
+ *
+ * @description
+ * 1. Перемещает все сообщения чата и их файлы в корзину
+ * 2. Удаляет директорию файлов чата, если она осталась от файлов,
+ *    загруженных до появления хранилища по содержимому (новые файлы
+ *    хранятся в `uploads/blobs` и в директорию чата не попадают)
+ * 3. Удаляет чат из списка
+ *
+ * @throws {Error} Если передан чат по умолчанию или сообщения не удалось
+ * удалить
+ */
+export const deleteChat = (userId, id) => writeQueue.run(async () => {
+  if (id === DEFAULT_CHAT_ID) throw new Error('Default chat cannot be deleted');
+
+  const current = findChat(userId, id);
+  if (!current) return false;
+
+  if (!await clearAllMessages({ userId, chatId: id })) {
+    throw new Error(`Failed to delete messages of chat ${id}`);
+  }
+  // Файлы старых сообщений уже перенесены в корзину, остается пустая
+  // директория чата
+  await fs.promises.rm(getChatUploadsDir(id), { recursive: true, force: true });
+  await persist(chats.filter((chat) => chat !== current));
+
+  logger.info(`Chat ${id} deleted`);
+  return true;
+});
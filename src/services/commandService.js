@@ -0,0 +1,293 @@
+// =============================================================================
+// Сервис команд бота (сообщения вида «/команда аргументы»)
+// =============================================================================
+
+import { FILE_TYPE_CONFIG } from '../configs/fileTypes.js';
+import { formatDateTime } from '../utils/formatDate.js';
+import { logger } from '../utils/logger.js';
+import { HELP_MESSAGE_FILE } from '../utils/paths.js';
+import { renderMarkdownFileCached } from '../utils/renderMarkdownFile.js';
+import { addBotMessage, clearAllMessages, readMessages } from './messageService.js';
+import { sortByTimestamp } from './paginationService.js';
+import {
+  createReminder,
+  listReminders,
+  REMINDER_STATUSES,
+  resolveDueAt,
+  validateReminderText,
+} from './reminderService.js';
+import { escapeHtml, searchMessages } from './searchService.js';
+import { readSettings } from './settingsService.js';
+
+/**
+ * Регулярное выражение команды: «/имя», затем (через пробел) аргументы
+ * @type {RegExp}
+ *
+ * @description
+ * После имени обязателен пробел или конец строки, поэтому текст вроде
+ * «/home/user/notes.txt» командой не считается.
+ */
+const COMMAND_REGEXP = /^\/([a-z][a-z0-9_]*)(?:\s+([\s\S]*))?$/i;
+
+/**
+ * Максимальное количество результатов в ответе на /find
+ * @type {number}
+ */
+const FIND_RESULTS_LIMIT = 10;
+
+/**
+ * Аргументы команды /remind: «[in|через] <интервал> <текст>»
+ * @type {RegExp}
+ */
+const REMIND_ARGS_REGEXP = /^(?:(?:in|через)\s+)?(\S+)\s+([\s\S]+)$/i;
+
+/**
+ * Подписи категорий вложений в ответе на /stats
+ * @type {Object<string, string>}
+ */
+const SUBDIR_LABELS = {
+  images: 'изображения',
+  videos: 'видео',
+  audios: 'аудио',
+};
+
+/**
+ * Реестр команд: имя → `{ name, usage, description, handler }`
+ * @type {Map<string, Object>}
+ */
+const registry = new Map();
+
+/**
+ * Регистрация команды бота
+ *
+ * @param {Object} command - Описание команды
+ * @param {string} command.name - Имя команды без «/» (в нижнем регистре)
+ * @param {string} command.usage - Пример вызова для подсказок клиента
+ * @param {string} command.description - Описание команды
+ * @param {Function} command.handler - Обработчик
+ * `async ({ args, scope }) => html`. Получает аргументы команды (строка
+ * после имени) и область `{ userId, chatId }`, возвращает HTML ответа бота
+ *
+ * @throws {Error} Если команда с таким именем уже зарегистрирована
+ *
+ * @example
+ * registerCommand({
+ *   name: 'ping',
+ *   usage: '/ping',
+ *   description: 'Проверить, что бот отвечает',
+ *   handler: async () => '<p>pong</p>',
+ * });
+ */
+export const registerCommand = ({ name, usage, description, handler }) => {
+  if (registry.has(name)) throw new Error(`Command /${name} is already registered`);
+  registry.set(name, { name, usage, description, handler });
+};
+
+/**
+ * Список зарегистрированных команд (для автодополнения на клиенте)
+ *
+ * @returns {Array<Object>} Команды `{ command, usage, description }`
+ * в порядке регистрации
+ *
+ * @example
+ * listCommands();
+ * // [{ command: '/help', usage: '/help', description: 'Показать справку' }, ...]
+ */
+export const listCommands = () => [...registry.values()].map(
+  ({ name, usage, description }) => ({ command: `/${name}`, usage, description })
+);
+
+/**
+ * Разбор текста сообщения как команды
+ *
+ * @param {string} text - Текст сообщения
+ * @returns {Object|null} `{ name, args }` или null, если текст не является
+ * командой
+ *
+ * @example
+ * parseCommand('/find молоко'); // { name: 'find', args: 'молоко' }
+ * parseCommand('Привет');       // null
+ */
+export const parseCommand = (text) => {
+  const match = typeof text === 'string' && text.trim().match(COMMAND_REGEXP);
+  if (!match) return null;
+
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+};
+
+/**
+ * Выполнение команды и отправка ответа бота
+ *
+ * @param {Object} command - Команда из {@link parseCommand}
+ * @param {Object} scope - Область `{ userId, chatId }`
+ * @returns {Promise<Object>} Созданное сообщение бота
+ *
+ * @description
+ * 1. Находит обработчик команды в реестре
+ * 2. Выполняет его и отправляет результат сообщением от бота
+ * 3. Для неизвестной команды или ошибки обработчика отправляет сообщение
+ *    об ошибке (с флагом `error: true`)
+ *
+ * @example
+ * const botMessage = await executeCommand(parseCommand('/stats'), scope);
+ */
+export const executeCommand = async ({ name, args }, scope) => {
+  const command = registry.get(name);
+
+  if (!command) {
+    logger.info(`Unknown command /${name}`);
+    return addBotMessage(
+      `<p>Неизвестная команда <code>/${escapeHtml(name)}</code>. `
+      + 'Список команд: <code>/help</code></p>',
+      { ...scope, error: true }
+    );
+  }
+
+  try {
+    const html = await command.handler({ args, scope });
+    logger.info(`Command /${name} executed`);
+    return addBotMessage(html, scope);
+  } catch (error) {
+    logger.error({ err: error }, `Command /${name} failed`);
+    return addBotMessage(
+      `<p>Не удалось выполнить команду <code>/${name}</code></p>`,
+      { ...scope, error: true }
+    );
+  }
+};
+
+/**
+ * Сообщения пользователя в области без команд и ответов бота
+ *
+ * @param {Object} scope - Область `{ userId, chatId }`
+ * @returns {Array<Object>}
+ */
+const readContentMessages = (scope) => readMessages(scope).filter(
+  (message) => message.sender !== 'bot' && !parseCommand(message.message)
+);
+
+/**
+ * Форматирует размер файла для ответа бота
+ *
+ * @param {number} bytes - Размер в байтах
+ * @returns {string} Например, «1.5 МБ»
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} Б`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} КБ`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} МБ`;
+};
+
+registerCommand({
+  name: 'help',
+  usage: '/help',
+  description: 'Показать справку о возможностях бота',
+  handler: () => renderMarkdownFileCached(HELP_MESSAGE_FILE),
+});
+
+registerCommand({
+  name: 'stats',
+  usage: '/stats',
+  description: 'Показать статистику чата',
+  handler: async ({ scope }) => {
+    const messages = readContentMessages(scope);
+    const files = messages.flatMap((message) => message.files || []);
+    const favorites = messages.filter((message) => message.favorite).length;
+    const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+    const byType = FILE_TYPE_CONFIG
+      .map(({ subdir }) => [subdir, files.filter((file) => file.url?.includes(`/${subdir}/`)).length])
+      .filter(([, count]) => count > 0)
+      .map(([subdir, count]) => `${SUBDIR_LABELS[subdir] || subdir}: ${count}`);
+
+    return [
+      '<p><strong>Статистика чата</strong></p>',
+      '<ul>',
+      `<li>Сообщений: ${messages.length}</li>`,
+      `<li>Избранных: ${favorites}</li>`,
+      `<li>Вложений: ${files.length}${byType.length ? ` (${byType.join(', ')})` : ''}</li>`,
+      `<li>Объем файлов: ${formatSize(totalSize)}</li>`,
+      '</ul>',
+    ].join('');
+  },
+});
+
+registerCommand({
+  name: 'find',
+  usage: '/find <текст>',
+  description: 'Найти сообщения в чате',
+  handler: async ({ args, scope }) => {
+    if (!args) return '<p>Укажите текст для поиска: <code>/find молоко</code></p>';
+
+    const messages = sortByTimestamp(readContentMessages(scope));
+    const { total, items } = searchMessages(args, messages, { limit: FIND_RESULTS_LIMIT });
+    const { timezone: timeZone } = readSettings(scope.userId);
+
+    if (total === 0) return `<p>По запросу «${escapeHtml(args)}» ничего не найдено</p>`;
+
+    const list = items.map((item) => (
+      `<li data-message-id="${item.id}">`
+      + `<time datetime="${item.timestamp}">${formatDateTime(item.timestamp, timeZone)}</time> `
+      + `${item.snippet}</li>`
+    ));
+    const more = total > items.length ? `<p>Показаны первые ${items.length}</p>` : '';
+
+    return `<p>Найдено сообщений: ${total}</p><ol>${list.join('')}</ol>${more}`;
+  },
+});
+
+registerCommand({
+  name: 'clear',
+  usage: '/clear',
+  description: 'Очистить чат (кроме избранного)',
+  handler: async ({ scope }) => {
+    if (!await clearAllMessages({ ...scope, keepFavorites: true })) {
+      throw new Error(`Failed to clear chat ${scope.chatId}`);
+    }
+    return '<p>Чат очищен. Избранные сообщения сохранены, удаленные можно восстановить из корзины</p>';
+  },
+});
+
+registerCommand({
+  name: 'remind',
+  usage: '/remind in <интервал> <текст>',
+  description: 'Напомнить через интервал (30m, 2h, 1d, 1ч30м)',
+  handler: async ({ args, scope }) => {
+    const match = args.match(REMIND_ARGS_REGEXP);
+    if (!match) {
+      return '<p>Формат: <code>/remind in 2h купить молоко</code></p>';
+    }
+
+    const [, delay, text] = match;
+    const { dueAt, error } = resolveDueAt({ in: delay });
+    const textError = validateReminderText(text);
+    if (error || textError) return `<p>${escapeHtml(error || textError)}</p>`;
+
+    await createReminder({ ...scope, text, dueAt });
+    const { timezone: timeZone } = readSettings(scope.userId);
+
+    return `<p>Напомню ${formatDateTime(dueAt, timeZone)}: ${escapeHtml(text.trim())}</p>`;
+  },
+});
+
+registerCommand({
+  name: 'reminders',
+  usage: '/reminders',
+  description: 'Показать напоминания чата',
+  handler: async ({ scope }) => {
+    const pending = listReminders(scope.userId, {
+      chatId: scope.chatId,
+      status: REMINDER_STATUSES.PENDING,
+    });
+    if (pending.length === 0) return '<p>Напоминаний нет</p>';
+
+    const { timezone: timeZone } = readSettings(scope.userId);
+    const list = pending.map((reminder) => (
+      `<li data-reminder-id="${reminder.id}">`
+      + `<time datetime="${reminder.dueAt}">${formatDateTime(reminder.dueAt, timeZone)}</time> `
+      + `${escapeHtml(reminder.text)}</li>`
+    ));
+
+    return `<p>Напоминания:</p><ol>${list.join('')}</ol>`;
+  },
+});
@@ -0,0 +1,108 @@
+// =============================================================================
+// Сервис событий об изменении сообщений (для live-обновлений клиентов)
+// =============================================================================
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Типы событий
+ *
+ * @type {Object.<string, string>}
+ */
+export const MESSAGE_EVENTS = {
+  CREATED: 'message.created',
+  UPDATED: 'message.updated',
+  DELETED: 'message.deleted',
+  CLEARED: 'messages.cleared',
+  IMPORTED: 'messages.imported',
+};
+
+/**
+ * Сколько последних событий хранится для повторной отправки
+ * переподключившимся клиентам
+ * @type {number}
+ */
+const EVENT_LOG_SIZE = 1000;
+
+/**
+ * Идентификатор запуска сервера
+ *
+ * @type {string}
+ * @description
+ * Входит в ID событий, чтобы ID от предыдущего запуска (после перезапуска
+ * сервера) не совпал с новыми и был распознан как устаревший.
+ */
+const BOOT_ID = uuidv4().slice(0, 8);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Последние события (от старых к новым)
+ * @type {Array<Object>}
+ */
+const eventLog = [];
+
+/**
+ * Порядковый номер последнего события
+ * @type {number}
+ */
+let sequence = 0;
+
+/**
+ * Публикует событие для всех подписчиков
+ *
+ * @param {string} type - Тип события (см. MESSAGE_EVENTS)
+ * @param {Object} data - Данные события
+ * @returns {Object} Опубликованное событие `{ id, type, data }`
+ *
+ * @example
+ * publishEvent(MESSAGE_EVENTS.DELETED, { id: '123' });
+ */
+export const publishEvent = (type, data) => {
+  sequence += 1;
+  const event = { id: `${BOOT_ID}-${sequence}`, type, data };
+
+  eventLog.push(event);
+  if (eventLog.length > EVENT_LOG_SIZE) eventLog.shift();
+
+  emitter.emit('event', event);
+  return event;
+};
+
+/**
+ * Подписывается на новые события
+ *
+ * @param {Function} listener - Обработчик, получающий событие `{ id, type, data }`
+ * @returns {Function} Функция отписки
+ */
+export const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Возвращает события, произошедшие после указанного
+ *
+ * @param {string} lastEventId - ID последнего полученного клиентом события
+ * @returns {Array<Object>|null}
+ * - Список пропущенных событий (возможно, пустой)
+ * - null, если пропущенные события восстановить нельзя: ID от предыдущего
+ *   запуска сервера или событие уже вытеснено из журнала. В этом случае
+ *   клиенту нужно заново загрузить сообщения
+ */
+export const getEventsSince = (lastEventId) => {
+  const [bootId, rawSequence] = String(lastEventId).split('-');
+  const lastSequence = Number(rawSequence);
+
+  if (bootId !== BOOT_ID || !Number.isInteger(lastSequence) || lastSequence > sequence) {
+    return null;
+  }
+  if (lastSequence === sequence) return [];
+
+  const index = eventLog.findIndex((event) => event.id === lastEventId);
+  if (index === -1) return null;
+
+  return eventLog.slice(index + 1);
+};
@@ -5,39 +5,149 @@
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_CHAT_ID } from '../configs/chats.js';
 import {
   getExtensionFromMime,
   getSubdirByRealMimetype
 } from '../configs/fileTypes.js';
+import { STRIP_IMAGE_METADATA } from '../configs/privacy.js';
+import { hashFile } from '../utils/hashFile.js';
+import { logger } from '../utils/logger.js';
+import { readMediaMetadata } from '../utils/mediaMetadata.js';
 import { UPLOADS_DIR } from '../utils/paths.js';
+import { stripImageMetadataFile } from '../utils/stripImageMetadata.js';
+import { storeBlob } from './blobService.js';
+import { createImageVariants } from './imageService.js';
+import { getRevisions } from './revisionService.js';
+
+/**
+ * Директория с файлами всех сообщений чата
+ *
+ * @param {string} chatId - ID чата
+ * @returns {string} Полный путь к директории чата
+ *
+ * @description
+ * Используется только для файлов, загруженных до появления хранилища
+ * по содержимому (см. {@link storeBlob}): новые файлы сохраняются
+ * в `uploads/blobs` независимо от чата. Старые файлы чата по умолчанию
+ * лежат прямо в UPLOADS_DIR, файлы остальных чатов —
+ * в `uploads/chats/{chatId}`.
+ */
+export const getChatUploadsDir = (chatId) => (
+  chatId === DEFAULT_CHAT_ID ? UPLOADS_DIR : path.join(UPLOADS_DIR, 'chats', chatId)
+);
+
+/**
+ * Директория с файлами сообщения, загруженными до появления хранилища
+ * по содержимому
+ *
+ * @param {string} messageId - ID сообщения
+ * @param {string} [chatId=DEFAULT_CHAT_ID] - ID чата, к которому относится
+ * сообщение
+ * @returns {string} Полный путь к директории сообщения
+ *
+ * @example
+ * getMessageUploadsDir('123', 'default'); // '.../uploads/123'
+ * getMessageUploadsDir('123', 'abc');     // '.../uploads/chats/abc/123'
+ */
+export const getMessageUploadsDir = (messageId, chatId = DEFAULT_CHAT_ID) => (
+  path.join(getChatUploadsDir(chatId), messageId)
+);
 
 /**
  * Организует загруженные файлы в соответствии с их MIME-типами
  *
  * @param {Array<Object>} rawFiles - Массив объектов файлов с полями mimetype
  * и realMimetype
+ * @param {Object} [options] - Параметры размещения
+ * @param {string} [options.messageId] - ID существующего сообщения,
+ * к которому добавляются файлы. Если не передан, генерируется новый
  *
- * @returns {Object} - Объект, содержащий обработанный список файлов
+ * @returns {Promise<Object>} - Объект, содержащий обработанный список файлов
  * и идентификатор сообщения
+ *
+ * @description
+ * Из изображений удаляются EXIF, XMP и IPTC (если не отключено
+ * STRIP_IMAGE_METADATA). Файлы сохраняются в хранилище по содержимому:
+ * повторно загруженный файл не копируется, а вложение ссылается на уже
+ * сохраненный (см. {@link storeBlob}). Для каждого файла читаются
+ * метаданные (размеры изображений и видео, длительность видео и аудио),
+ * которые записываются в поле `metadata` (см. {@link readMediaMetadata}).
+ * Для изображений (поддиректория `images`) создаются уменьшенные копии,
+ * описание которых записывается в поле `variants` файла
+ * (см. {@link createImageVariants}).
  */
-export const organizeUploadedFiles = (rawFiles) => {
+export const organizeUploadedFiles = async (rawFiles, { messageId = uuidv4() } = {}) => {
   const files = Array.isArray(rawFiles) ? rawFiles : rawFiles ? [rawFiles] : [];
   if (files.length === 0) return { files: [], messageId: null };
 
-  const messageId = uuidv4();
-  const messageDir = path.join(UPLOADS_DIR, messageId);
-  fs.mkdirSync(messageDir, { recursive: true });
-
   const fileGroups = groupFilesByType(files);
   const organizedFiles = [];
 
   for (const [subdirName, groupFiles] of Object.entries(fileGroups)) {
-    organizedFiles.push(...processFileGroup(groupFiles, messageDir, subdirName));
+    // Метаданные удаляются до сохранения: в хранилище попадает уже
+    // очищенное содержимое
+    if (STRIP_IMAGE_METADATA && subdirName === 'images') {
+      for (const file of groupFiles) await stripUploadedImage(file);
+    }
+
+    const groupResult = await processFileGroup(groupFiles, messageId, subdirName);
+
+    for (const file of groupResult) {
+      const filePath = path.join(UPLOADS_DIR, file.filename);
+
+      const metadata = await readMediaMetadata(filePath, file.mimetype);
+      if (metadata) file.metadata = metadata;
+
+      if (subdirName === 'images') {
+        const variants = await createImageVariants(filePath);
+        if (Object.keys(variants).length > 0) file.variants = variants;
+      }
+    }
+
+    organizedFiles.push(...groupResult);
   }
 
   return { files: organizedFiles, messageId };
 };
 
+/**
+ * Удаляет метаданные из загруженного изображения
+ *
+ * @param {Object} file - Загруженный файл (поля `size` и `hash`
+ * обновляются)
+ *
+ * @description
+ * Если файл не удалось разобрать, он сохраняется как есть, а ошибка
+ * логируется.
+ *
+ * @see {@link stripImageMetadataFile} - Удаление метаданных
+ */
+const stripUploadedImage = async (file) => {
+  try {
+    const size = await stripImageMetadataFile(file.filepath, file.realMimetype || file.mimetype);
+    if (size === null) return;
+
+    file.size = size;
+    file.hash = await hashFile(file.filepath);
+  } catch (err) {
+    logger.warn({ err }, `Failed to strip image metadata: ${file.filepath}`);
+  }
+};
+
+/**
+ * Поиск вложения сообщения по URL
+ *
+ * @param {Object} message - Сообщение
+ * @param {string} url - URL файла (`/uploads/{messageId}/{subdir}/{name}`)
+ * @returns {Object|null} Описание вложения из сообщения или из его
+ * истории изменений (вложения, удаленные при редактировании, остаются
+ * доступны для прошлых версий)
+ */
+export const findMessageFile = (message, url) => [message, ...getRevisions(message.id)]
+  .flatMap(({ files }) => files || [])
+  .find((file) => file.url === url) || null;
+
 /**
  * Группирует файлы по их реальным MIME-типам в соответствующие поддиректории
  *
@@ -83,44 +193,41 @@ const groupFilesByType = (files) => {
 };
 
 /**
- * Перемещает один файл в указанную поддиректорию и возвращает его метаданные.
+ * Сохраняет один файл в хранилище и возвращает его метаданные.
  * 
  * @param {Object} file - Объект, содержащий информацию о файле.
  * @param {string} file.filepath - Полный путь к файлу.
  * @param {string} file.originalFilename - Имя оригинального файла.
  * @param {string} file.name - Имя файла.
  * @param {string} file.mimetype - MIME-тип файла.
- * @param {number} file.size - Размер файла в байтах.
+ * @param {string} [file.hash] - SHA-256 содержимого (вычисляется при
+ * валидации; если не передан, вычисляется здесь).
+ * @param {number} file.size - Размер файла в байтах.
  * 
- * @param {string} messageDir - Полный путь к директории сообщений.
+ * @param {string} messageId - ID сообщения (входит в URL вложения).
  * @param {string} subdirName - Имя подпапки для сохранения файлов.
  * 
- * @returns {Object} Объект, содержащий метаданные перемещенного файла.
+ * @returns {Promise<Object>} Объект, содержащий метаданные сохраненного файла.
+ *
+ * @see {@link storeBlob} - Сохранение файла в хранилище по содержимому
  */
-export const moveSingleFile = (file, messageDir, subdirName) => {
+export const moveSingleFile = async (file, messageId, subdirName) => {
   const realMimetype = file.realMimetype || file.mimetype;
   const ext = getExtensionFromMime(realMimetype);
-  const newFilename = uuidv4() + ext;
-  const subdirPath = path.join(messageDir, subdirName);
-  const newPath = path.join(subdirPath, newFilename);
-
-  // Гарантируем, что подпапка существует
-  fs.mkdirSync(subdirPath, { recursive: true });
+  const hash = file.hash || await hashFile(file.filepath);
 
-  // Перемещаем файл
-  fs.renameSync(file.filepath, newPath);
-
-  // Возвращаем структурированные данные
-  const relativePath = path
-    .join(path.basename(messageDir), subdirName, newFilename)
-    .replace(/\\/g, '/');
+  // filename — путь к файлу в хранилище относительно UPLOADS_DIR (общий
+  // для всех вложений с одинаковым содержимым), а URL у каждого вложения
+  // свой и не зависит от чата
+  const filename = await storeBlob(file.filepath, { hash, ext });
 
   return {
-    filename: relativePath,
+    filename,
+    hash,
     originalname: file.originalFilename || file.name,
-    mimetype: file.realMimetype || file.mimetype,
+    mimetype: realMimetype,
     size: file.size,
-    url: `/uploads/${relativePath}`,
+    url: `/uploads/${messageId}/${subdirName}/${uuidv4()}${ext}`,
   };
 };
 
@@ -129,18 +236,21 @@ export const moveSingleFile = (file, messageDir, subdirName) => {
  * 
  * @param {Array<Object>} files - Массив объектов, содержащий информацию
  * о файлах.
- * @param {string} messageDir - Полный путь к директории сообщений.
+ * @param {string} messageId - ID сообщения (входит в URL вложения).
  * @param {string} subdirName - Имя подпапки для сохранения файлов.
  * 
- * @returns {Array<Object>} 
- * - Массив объектов, содержащий метаданные перемещенных файлов.
+ * @returns {Promise<Array<Object>>} 
+ * - Массив объектов, содержащий метаданные сохраненных файлов.
  * - Пустой массив, если нет файлов.
  * 
- * @see {@link moveSingleFile} - Функция перемещения одного файла в под папку
+ * @see {@link moveSingleFile} - Функция сохранения одного файла
  */
-export const processFileGroup = (files, messageDir, subdirName) => {
-  if (!files || files.length === 0) return [];
-  return files.map((file) => moveSingleFile(file, messageDir, subdirName));
+export const processFileGroup = async (files, messageId, subdirName) => {
+  const result = [];
+  for (const file of files || []) {
+    result.push(await moveSingleFile(file, messageId, subdirName));
+  }
+  return result;
 };
 
 /** Извлекает все файлы из объекта files, нормализуя в плоский массив. */
@@ -0,0 +1,88 @@
+// =============================================================================
+// Сервис уменьшенных копий изображений
+// =============================================================================
+
+import fs from 'fs';
+import sharp from 'sharp';
+import { IMAGE_VARIANTS } from '../configs/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * MIME-тип уменьшенных копий
+ * @type {string}
+ */
+export const IMAGE_VARIANT_MIMETYPE = 'image/webp';
+
+/**
+ * Путь к уменьшенной копии изображения
+ *
+ * @param {string} filePath - Путь к исходному изображению
+ * @param {string} size - Название варианта (см. IMAGE_VARIANTS)
+ * @returns {string} Путь рядом с исходным файлом
+ *
+ * @example
+ * getImageVariantPath('/uploads/1/images/abc.jpg', 'thumb');
+ * // '/uploads/1/images/abc.thumb.webp'
+ */
+export const getImageVariantPath = (filePath, size) => (
+  filePath.replace(/\.[^./\\]+$/, `.${size}.webp`)
+);
+
+/**
+ * Создает уменьшенные копии изображения
+ *
+ * @param {string} filePath - Путь к исходному изображению
+ * @returns {Promise<Object.<string, Object>>} Созданные варианты:
+ * название → `{ width, height, size, mimetype }`
+ *
+ * @description
+ * 1. Определяет размеры изображения
+ * 2. Для каждого варианта из IMAGE_VARIANTS, который меньше исходного
+ *    изображения, сохраняет WebP-копию рядом с исходным файлом
+ *    (с учетом ориентации из EXIF). Изображения, которые и так не больше
+ *    варианта, не копируются — вместо них отдается исходный файл.
+ *    Уже существующая копия (созданная для того же файла хранилища при
+ *    предыдущей загрузке) используется повторно
+ *
+ * Копии лежат рядом с исходным файлом и удаляются вместе с ним. Если
+ * изображение не удалось обработать, ошибка логируется и возвращаются уже
+ * созданные варианты.
+ *
+ * @example
+ * await createImageVariants('/uploads/1/images/abc.jpg');
+ * // {
+ * //   thumb: { width: 320, height: 240, size: 14210, mimetype: 'image/webp' },
+ * //   medium: { width: 1280, height: 960, size: 160344, mimetype: 'image/webp' }
+ * // }
+ */
+export const createImageVariants = async (filePath) => {
+  const variants = {};
+
+  try {
+    const { width, height } = await sharp(filePath).metadata();
+
+    for (const [size, maxSide] of Object.entries(IMAGE_VARIANTS)) {
+      if (Math.max(width, height) <= maxSide) continue;
+
+      const variantPath = getImageVariantPath(filePath, size);
+      const info = fs.existsSync(variantPath)
+        ? { ...await sharp(variantPath).metadata(), size: (await fs.promises.stat(variantPath)).size }
+        : await sharp(filePath)
+          .rotate()
+          .resize({ width: maxSide, height: maxSide, fit: 'inside' })
+          .webp({ quality: 80 })
+          .toFile(variantPath);
+
+      variants[size] = {
+        width: info.width,
+        height: info.height,
+        size: info.size,
+        mimetype: IMAGE_VARIANT_MIMETYPE,
+      };
+    }
+  } catch (err) {
+    logger.warn({ err }, `Failed to create image variants for ${filePath}`);
+  }
+
+  return variants;
+};
@@ -3,7 +3,14 @@
 // =============================================================================
 
 import fs from 'fs';
-import { DATA_DIR, MESSAGES_FILE, UPLOADS_DIR } from '../utils/paths.js';
+import {
+  BLOBS_DIR,
+  DATA_DIR,
+  STAGING_DIR,
+  TMP_DIR,
+  TRASH_DIR,
+  UPLOADS_DIR,
+} from '../utils/paths.js';
 
 /**
  * Инициализация необходимых директорий и файлов при запуске приложения
@@ -12,7 +19,15 @@ import { DATA_DIR, MESSAGES_FILE, UPLOADS_DIR } from '../utils/paths.js';
  * Проверяет существование и создает при необходимости:
  * - Папку data/
  * - Папку data/uploads/
- * - Файл data/messages.json с пустым массивом []
+ * - Папку data/uploads/blobs/ для файлов, хранящихся по содержимому
+ *   (одинаковые файлы хранятся в одном экземпляре)
+ * - Папку data/tmp/ для временных файлов (например, распаковываемых
+ *   при импорте архивов)
+ * - Папку data/trash/ для файлов удаленных сообщений (корзина)
+ * - Папку data/staging/ для файлов, загружаемых по частям
+ *
+ * Файл хранилища сообщений создается адаптером хранилища при инициализации:
+ * только он может отличить новую установку от файла, потерянного при сбое.
  */
 export const initDirectories = () => {
   // Создаем папку data/ если не существует
@@ -25,8 +40,23 @@ export const initDirectories = () => {
     fs.mkdirSync(UPLOADS_DIR, { recursive: true });
   }
 
-  // Создаем файл data/messages.json с пустым массивом если не существует
-  if (!fs.existsSync(MESSAGES_FILE)) {
-    fs.writeFileSync(MESSAGES_FILE, '[]');
+  // Создаем папку data/uploads/blobs/ если не существует
+  if (!fs.existsSync(BLOBS_DIR)) {
+    fs.mkdirSync(BLOBS_DIR, { recursive: true });
+  }
+
+  // Создаем папку data/tmp/ если не существует
+  if (!fs.existsSync(TMP_DIR)) {
+    fs.mkdirSync(TMP_DIR, { recursive: true });
+  }
+
+  // Создаем папку data/trash/ если не существует
+  if (!fs.existsSync(TRASH_DIR)) {
+    fs.mkdirSync(TRASH_DIR, { recursive: true });
+  }
+
+  // Создаем папку data/staging/ если не существует
+  if (!fs.existsSync(STAGING_DIR)) {
+    fs.mkdirSync(STAGING_DIR, { recursive: true });
   }
 };
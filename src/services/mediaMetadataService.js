@@ -0,0 +1,82 @@
+// =============================================================================
+// Сервис заполнения метаданных вложений, загруженных ранее
+// =============================================================================
+
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { hasMediaMetadataReader, readMediaMetadata } from '../utils/mediaMetadata.js';
+import { UPLOADS_DIR } from '../utils/paths.js';
+import { readMessages, updateMessageFiles } from './messageService.js';
+
+/**
+ * Признак того, что заполнение уже запущено
+ * @type {boolean}
+ */
+let isStarted = false;
+
+/**
+ * Заполняет метаданные вложений, сохраненных до их появления
+ *
+ * @returns {Promise<number>} Количество вложений, для которых метаданные
+ * были записаны
+ *
+ * @description
+ * 1. Находит сообщения с вложениями без поля `metadata`, для типов
+ *    которых есть функция чтения (см. {@link readMediaMetadata})
+ * 2. Читает метаданные файлов по одному сообщению
+ * 3. Записывает их в сообщение без создания ревизии
+ *    (см. {@link updateMessageFiles})
+ *
+ * Файлы, которые не удалось разобрать, пропускаются и проверяются снова
+ * при следующем запуске.
+ */
+export const backfillMediaMetadata = async () => {
+  const pending = readMessages().filter((message) => (message.files || []).some(
+    (file) => !file.metadata && hasMediaMetadataReader(file.mimetype)
+  ));
+  let updated = 0;
+
+  for (const message of pending) {
+    const metadataByFilename = new Map();
+
+    for (const file of message.files) {
+      if (file.metadata || !hasMediaMetadataReader(file.mimetype)) continue;
+
+      const metadata = await readMediaMetadata(path.join(UPLOADS_DIR, file.filename), file.mimetype);
+      if (metadata) metadataByFilename.set(file.filename, metadata);
+    }
+
+    if (metadataByFilename.size === 0) continue;
+
+    await updateMessageFiles(message.id, (file) => (
+      !file.metadata && metadataByFilename.has(file.filename)
+        ? { ...file, metadata: metadataByFilename.get(file.filename) }
+        : file
+    ));
+    updated += metadataByFilename.size;
+  }
+
+  return updated;
+};
+
+/**
+ * Запуск заполнения метаданных в фоне
+ *
+ * @description
+ * Выполняется один раз при запуске сервера и не задерживает обработку
+ * запросов. Должен быть вызван после {@link initMessageStore}.
+ *
+ * @example
+ * // server.js
+ * app.listen(PORT, () => startMediaMetadataBackfill());
+ */
+export const startMediaMetadataBackfill = () => {
+  if (isStarted) return;
+  isStarted = true;
+
+  backfillMediaMetadata()
+    .then((updated) => {
+      if (updated > 0) logger.info(`Media metadata backfilled for ${updated} attachments`);
+    })
+    .catch((err) => logger.error({ err }, 'Media metadata backfill failed'));
+};
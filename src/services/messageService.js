@@ -2,62 +2,183 @@
 // Сервисы для работы с сообщениями
 // =============================================================================
 
-import fs from 'fs';
-import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_CHAT_ID } from '../configs/chats.js';
 import { logger } from '../utils/logger.js';
-import { MESSAGES_FILE, UPLOADS_DIR } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+import { MESSAGE_EVENTS, publishEvent } from './eventService.js';
+import { addRevision } from './revisionService.js';
+import { clearIndex, indexMessage, rebuildIndex, removeFromIndex } from './searchService.js';
+import { createStorage } from './storage/index.js';
+import {
+  findTrashItem,
+  moveToTrash,
+  removeFromTrash,
+  takeFromTrash,
+} from './trashService.js';
 
 /**
- * Синхронное чтение списка сообщений из файла JSON
+ * Адаптер хранилища, выбранный согласно конфигурации
+ * @type {Object|null}
+ */
+let storage = null;
+
+/**
+ * Кэш сообщений в памяти (в порядке добавления)
+ * @type {Array<Object>}
+ */
+let messages = [];
+
+/**
+ * Очередь мутаций хранилища
+ *
+ * @description
+ * Все изменения сообщений выполняются строго по одной, чтобы параллельные
+ * запросы не перезаписывали изменения друг друга. После каждой успешной
+ * мутации публикуется событие (см. MESSAGE_EVENTS) для live-обновлений.
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Инициализация хранилища сообщений
+ *
+ * @returns {Promise<void>}
+ *
+ * @description
+ * 1. Создает адаптер хранилища согласно конфигурации
+ * 2. Загружает все сообщения в кэш, из которого далее выполняется чтение.
+ *    Сообщениям без поля `chatId` (сохраненным до появления нескольких
+ *    чатов) назначается чат по умолчанию
+ * 3. Строит поисковый индекс
+ *
+ * Кэш загружается целиком при любом драйвере хранилища, поэтому расход
+ * памяти и время запуска растут вместе с историей (см. STORAGE_DRIVERS).
+ *
+ * Должна быть вызвана один раз при запуске приложения до обработки запросов.
+ *
+ * @see {@link createStorage} - Фабрика адаптеров хранилища
+ */
+export const initMessageStore = async () => {
+  storage = await createStorage();
+  await storage.init();
+  messages = (await storage.loadAll()).map((msg) => (
+    msg.chatId ? msg : { ...msg, chatId: DEFAULT_CHAT_ID }
+  ));
+  rebuildIndex(messages);
+
+  logger.info(`Message storage "${storage.name}" loaded ${messages.length} messages`);
+};
+
+/**
+ * Проверяет, что сообщение относится к указанному владельцу и чату
+ *
+ * @param {Object} message - Сообщение
+ * @param {Object} scope - Область `{ userId, chatId }` (незаданные поля
+ * не ограничивают выборку)
+ * @returns {boolean}
+ */
+const isInScope = (message, { userId, chatId }) => (
+  (!userId || message.userId === userId) && (!chatId || message.chatId === chatId)
+);
+
+/**
+ * Чтение списка сообщений
  * 
- * @returns {Array<Object>}
- * - Массив объектов сообщений, если файл существует
- * - Пустой массив, если файл не найден
+ * @param {Object} [scope] - Область выборки
+ * @param {string} [scope.userId] - ID владельца
+ * @param {string} [scope.chatId] - ID чата
+ * @returns {Array<Object>} Копия списка сообщений в порядке добавления
  * 
  * @description
- * 1. Пытается прочитать содержимое файла messages.json
- * 2. Если файл существует - парсит JSON
- * 3. Если файл не найден или произошла ошибка - возвращает пустой массив
+ * Сообщения читаются из кэша в памяти, обращения к диску не происходит.
+ * Возвращается копия массива, поэтому его можно сортировать и изменять.
+ * Без параметров возвращаются сообщения всех пользователей и чатов.
  * 
  * @example
- * const messages = readMessages();
+ * const messages = readMessages({ userId, chatId: 'default' });
  * console.log(messages); // [ { id: '1', ... }, { id: '2', ... } ]
  */
-export const readMessages = () => {
-  let messages;
+export const readMessages = (scope = {}) => messages.filter((msg) => isInScope(msg, scope));
 
+/**
+ * Поиск сообщения по ID
+ *
+ * @param {string} id - Уникальный идентификатор сообщения
+ * @param {Object} [scope] - Область `{ userId, chatId }`, в которой должно
+ * находиться сообщение
+ * @returns {Object|null} Объект сообщения или null, если не найдено
+ * (или принадлежит другому пользователю или чату)
+ */
+export const findMessage = (id, scope = {}) => messages.find(
+  (msg) => msg.id === id && isInScope(msg, scope)
+) || null;
+
+/**
+ * Количество сообщений без владельца
+ *
+ * @returns {number}
+ *
+ * @description
+ * Сообщения, сохраненные до появления учетных записей, не имеют поля
+ * `userId` и недоступны, пока не переданы владельцу
+ * (см. {@link adoptLegacyMessages}).
+ */
+export const countLegacyMessages = () => messages.filter((msg) => !msg.userId).length;
+
+/**
+ * Передача пользователю сообщений без владельца
+ *
+ * @param {string} userId - ID нового владельца
+ * @returns {Promise<number>} Количество переданных сообщений
+ *
+ * @description
+ * Владелец записывается в хранилище одной операцией для всех сообщений,
+ * поэтому при следующем запуске передавать их повторно не нужно.
+ */
+export const adoptLegacyMessages = (userId) => writeQueue.run(async () => {
+  const adopted = messages.filter((msg) => !msg.userId).map((msg) => ({ ...msg, userId }));
+  if (adopted.length === 0) return 0;
+
+  await storage.updateMany(adopted);
+  const byId = new Map(adopted.map((msg) => [msg.id, msg]));
+  messages = messages.map((msg) => byId.get(msg.id) || msg);
+
+  return adopted.length;
+});
+
+/**
+ * Удаляет из хранилища сообщения, уже перемещенные в корзину
+ *
+ * @param {Array<Object>} removed - Сообщения, переданные в {@link moveToTrash}
+ * @param {Function} remove - `async () => void`, удаляет их из хранилища
+ *
+ * @description
+ * Если удалить не удалось, сообщения убираются из корзины
+ * (см. {@link removeFromTrash}), и ошибка пробрасывается. Должна
+ * вызываться только внутри очереди мутаций.
+ */
+const removeFromStorage = async (removed, remove) => {
   try {
-    const data = fs.readFileSync(MESSAGES_FILE, 'utf8');
-    messages = JSON.parse(data);
+    await remove();
   } catch (err) {
-    logger.info('messages.json not found, returning empty array');
-    messages = [];
+    await removeFromTrash(removed).catch((trashErr) => {
+      logger.error({ err: trashErr }, 'Failed to undo moving messages to trash');
+    });
+    throw err;
   }
-
-  return messages;
 };
 
 /**
- * Синхронная запись списка сообщений в файл JSON
- * 
- * @param {Array<Object>} messages - Массив объектов сообщений для сохранения
- * 
+ * Сохраняет измененную копию сообщения в хранилище и кэше
+ *
+ * @param {Object} updatedMessage - Новая версия сообщения (с тем же ID)
+ *
  * @description
- * 1. Перезаписывает файл messages.json сформатированным JSON-данными
- * 2. Использует отступ в 2 пробела для читаемости
- * 
- * @example
- * writeMessages([{ id: '1', text: 'Hello' }]);
- * // Создаст/обновит файл messages.json с содержимым:
- * // [
- * //   { "id": "1", "text": "Hello" }
- * // ]
- * 
- * @see readMessages - Чтение сообщений
+ * Должна вызываться только внутри очереди мутаций.
  */
-export const writeMessages = (messages) => {
-  fs.writeFileSync(MESSAGES_FILE, JSON.stringify(messages, null, 2));
+const replaceMessage = async (updatedMessage) => {
+  await storage.update(updatedMessage);
+  messages = messages.map((msg) => (msg.id === updatedMessage.id ? updatedMessage : msg));
 };
 
 /**
@@ -68,92 +189,375 @@ export const writeMessages = (messages) => {
  * @param {string} newMessage.message - Текстовое содержимое сообщения
  * @param {Date} newMessage.timestamp - Временная метка создания
  * @param {string} [newMessage.sender='user'] - Отправитель сообщения
+ * @param {string} newMessage.userId - ID владельца
+ * @param {string} [newMessage.chatId=DEFAULT_CHAT_ID] - ID чата
+ *
+ * @returns {Promise<Array<Object>>} Обновленный список сообщений
  *
- * @returns {Array<Object>} Обновленный список сообщений
+ * @description
+ * Операция выполняется в общей очереди мутаций, сообщение попадает в кэш
+ * только после успешной записи в хранилище.
  *
  * @example
  * const newMsg = {
  *   id: '123',
  *   message: 'Привет!',
  *   timestamp: new Date().toISOString(),
- *   sender: 'user'
+ *   sender: 'user',
+ *   userId: user.id
  * };
- * const allMessages = addMessage(newMsg);
+ * const allMessages = await addMessage(newMsg);
  *
  * @see {@link readMessages} - Для получения текущего списка
- * @see {@link writeMessages} - Для непосредственного сохранения
  */
-export const addMessage = (newMessage) => {
+export const addMessage = (newMessage) => writeQueue.run(async () => {
   if (!newMessage.sender) newMessage.sender = 'user';
+  if (!newMessage.chatId) newMessage.chatId = DEFAULT_CHAT_ID;
+
+  await storage.insert(newMessage);
+  messages = [...messages, newMessage];
+  indexMessage(newMessage);
+  publishEvent(MESSAGE_EVENTS.CREATED, newMessage);
+
+  return readMessages();
+});
+
+/**
+ * Добавление списка сообщений (импорт)
+ *
+ * @param {Array<Object>} newMessages - Готовые сообщения (с `userId`,
+ * `chatId` и уникальными ID)
+ * @returns {Promise<number>} Количество добавленных сообщений
+ *
+ * @description
+ * Сообщения записываются в хранилище одной операцией. Вместо события на
+ * каждое сообщение для каждого затронутого чата публикуется одно событие
+ * `messages.imported` `{ userId, chatId, count }` — клиенту нужно заново
+ * загрузить сообщения чата.
+ *
+ * @throws {Error} Если сообщение с таким ID уже существует
+ */
+export const importMessages = (newMessages) => writeQueue.run(async () => {
+  const existingIds = new Set(messages.map(({ id }) => id));
+  const duplicate = newMessages.find(({ id }) => existingIds.has(id));
+  if (duplicate) throw new Error(`Message ${duplicate.id} already exists`);
 
-  const messages = readMessages();
-  messages.push(newMessage);
-  writeMessages(messages);
+  await storage.insertMany(newMessages);
+  messages = [...messages, ...newMessages];
+  newMessages.forEach(indexMessage);
+
+  const counts = new Map();
+  for (const { userId, chatId } of newMessages) {
+    const key = `${userId}/${chatId}`;
+    counts.set(key, { userId, chatId, count: (counts.get(key)?.count || 0) + 1 });
+  }
+  counts.forEach((data) => publishEvent(MESSAGE_EVENTS.IMPORTED, data));
 
-  return messages;
+  return newMessages.length;
+});
+
+/**
+ * Копия сообщения с измененной отметкой избранного
+ *
+ * @param {Object} message - Сообщение
+ * @param {boolean} isFavorite - Новое значение
+ * @returns {Object} Сообщение с полями `favorite: true` и `favoritedAt`
+ * или без них
+ */
+const withFavorite = (message, isFavorite) => {
+  const { favorite, favoritedAt, ...rest } = message;
+  return isFavorite ? { ...rest, favorite: true, favoritedAt: new Date().toISOString() } : rest;
 };
 
 /**
- * Вспомогательная функция для удаления директории сообщения
- * 
- * @param {string} messageId - Уникальный идентификатор сообщения
+ * Добавление сообщения в избранное или удаление из него
+ *
+ * @param {string} id - Уникальный идентификатор сообщения
+ * @param {boolean} isFavorite - true — добавить в избранное, false — убрать
+ * @returns {Promise<Object|null>}
+ * - Обновленное сообщение
+ * - null, если сообщение не найдено
+ *
+ * @description
+ * В избранном сообщении выставляются поля `favorite: true` и `favoritedAt`
+ * (время добавления). При удалении из избранного оба поля удаляются.
+ * Повторный вызов с тем же значением не меняет сообщение.
+ *
+ * @example
+ * await setFavorite('123', true);
+ * // { id: '123', ..., favorite: true, favoritedAt: '2025-01-01T00:00:00.000Z' }
  */
-const deleteMessageUploads = (messageId) => {
-  const messageDir = path.join(UPLOADS_DIR, messageId);
-  if (!fs.existsSync(messageDir)) return;
+export const setFavorite = (id, isFavorite) => writeQueue.run(async () => {
+  const message = findMessage(id);
+  if (!message) return null;
+  if (Boolean(message.favorite) === isFavorite) return message;
 
-  try {
-    fs.rmSync(messageDir, { recursive: true, force: true });
-    logger.info(`Deleted uploads directory for message ${messageId}`);
-  } catch (err) {
-    logger.error(`Failed to delete uploads directory for message ${messageId}: ${err}`);
+  const updatedMessage = withFavorite(message, isFavorite);
+  await replaceMessage(updatedMessage);
+  publishEvent(MESSAGE_EVENTS.UPDATED, updatedMessage);
+
+  return updatedMessage;
+});
+
+/**
+ * Добавление нескольких сообщений в избранное или удаление из него
+ *
+ * @param {string[]} ids - ID сообщений
+ * @param {boolean} isFavorite - true — добавить в избранное, false — убрать
+ * @returns {Promise<Set<string>>} ID найденных сообщений (включая те,
+ * у которых значение уже совпадало); ненайденные ID в него не входят
+ *
+ * @description
+ * Измененные сообщения сохраняются одной операцией
+ * (см. `storage.updateMany`); для каждого публикуется событие
+ * `message.updated`.
+ *
+ * @see {@link setFavorite} - Изменение одного сообщения
+ */
+export const setFavorites = (ids, isFavorite) => writeQueue.run(async () => {
+  const found = ids.map((id) => findMessage(id)).filter(Boolean);
+  const updated = found
+    .filter((message) => Boolean(message.favorite) !== isFavorite)
+    .map((message) => withFavorite(message, isFavorite));
+
+  if (updated.length > 0) {
+    await storage.updateMany(updated);
+    const byId = new Map(updated.map((msg) => [msg.id, msg]));
+    messages = messages.map((msg) => byId.get(msg.id) || msg);
+    updated.forEach((msg) => publishEvent(MESSAGE_EVENTS.UPDATED, msg));
   }
-}
+
+  return new Set(found.map(({ id }) => id));
+});
+
+/**
+ * Обновление описаний вложений сообщения
+ *
+ * @param {string} id - Уникальный идентификатор сообщения
+ * @param {Function} update - `(file) => file`, возвращает новое описание
+ * вложения (или то же самое, если его не нужно менять)
+ * @returns {Promise<Object|null>}
+ * - Обновленное сообщение
+ * - null, если сообщение не найдено
+ *
+ * @description
+ * Предназначена для служебных полей вложений (например, `metadata`),
+ * поэтому, в отличие от {@link editMessage}, не сохраняет ревизию и не
+ * выставляет `editedAt`. Функция `update` вызывается внутри очереди
+ * мутаций с актуальной версией сообщения.
+ *
+ * @example
+ * await updateMessageFiles(id, (file) => (
+ *   file.filename === filename ? { ...file, metadata } : file
+ * ));
+ */
+export const updateMessageFiles = (id, update) => writeQueue.run(async () => {
+  const message = findMessage(id);
+  if (!message) return null;
+
+  const updatedMessage = { ...message, files: (message.files || []).map(update) };
+
+  await replaceMessage(updatedMessage);
+  publishEvent(MESSAGE_EVENTS.UPDATED, updatedMessage);
+
+  return updatedMessage;
+});
+
+/**
+ * Редактирование сообщения
+ *
+ * @param {string} id - Уникальный идентификатор сообщения
+ * @param {Object} changes - Изменения
+ * @param {string} [changes.message] - Новый текст (если не передан —
+ * текст не меняется)
+ * @param {string} [changes.format] - Новый формат текста (если не передан —
+ * формат не меняется)
+ * @param {string} [changes.html] - HTML, отрендеренный из нового текста
+ * (для формата 'markdown'). Для других форматов поле `html` удаляется
+ * @param {Array<Object>} [changes.addFiles=[]] - Метаданные новых вложений,
+ * уже сохраненных в хранилище
+ * @param {string[]} [changes.removeFiles=[]] - Значения `url` (или
+ * `filename`) удаляемых вложений
+ * @returns {Promise<Object|null>}
+ * - Обновленное сообщение
+ * - null, если сообщение не найдено
+ *
+ * @description
+ * 1. Сохраняет текущую версию сообщения в историю изменений
+ * 2. Применяет изменения и выставляет поле `editedAt`
+ * 3. Обновляет поисковый индекс
+ *
+ * Файлы удаленных вложений остаются на диске, чтобы прошлые версии
+ * сообщения оставались доступными; они удаляются вместе с сообщением.
+ *
+ * @throws {Error} Если сообщение отправлено ботом
+ *
+ * @example
+ * await editMessage('123', { message: 'Исправленный текст' });
+ * // { id: '123', message: 'Исправленный текст', editedAt: '...', ... }
+ *
+ * @see {@link addRevision} - Сохранение прошлой версии
+ */
+export const editMessage = (id, {
+  message,
+  format,
+  html,
+  addFiles = [],
+  removeFiles = [],
+}) => writeQueue.run(async () => {
+  const current = findMessage(id);
+  if (!current) return null;
+  if (current.sender === 'bot') throw new Error(`Bot message ${id} is not editable`);
+
+  const { html: currentHtml, ...rest } = current;
+  const nextFormat = format ?? current.format;
+  const updatedMessage = {
+    ...rest,
+    message: message ?? current.message,
+    format: nextFormat,
+    ...(nextFormat === 'markdown' && { html: html ?? currentHtml }),
+    files: [
+      ...(current.files || []).filter((file) => (
+        !removeFiles.includes(file.url) && !removeFiles.includes(file.filename)
+      )),
+      ...addFiles,
+    ],
+    editedAt: new Date().toISOString(),
+  };
+
+  await addRevision(current);
+  await replaceMessage(updatedMessage);
+  indexMessage(updatedMessage);
+  publishEvent(MESSAGE_EVENTS.UPDATED, updatedMessage);
+
+  return updatedMessage;
+});
 
 /**
  * Удаление сообщения из хранилища
  *
  * @param {string} id - Уникальный идентификатор сообщения для удаления
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  * - true если сообщение было найдено и удалено
  * - false если не найдено
  *
  * @description
- * 1. Читает все сообщения из файла
- * 2. Находит сообщение по ID
- * 3. Если сообщение найдено, удаляет его из массива
- * 4. Если у сообщения есть файлы, удаляет папку uploads/{id}
- * 5. Сохраняет обновленный массив в файл
- * 6. Возвращает результат операции
+ * 1. Находит сообщение по ID
+ * 2. Перемещает сообщение и его файлы в корзину (см. {@link moveToTrash}),
+ *    откуда его можно восстановить в течение TRASH_RETENTION
+ * 3. Удаляет сообщение из хранилища. Если это не удалось, сообщение
+ *    убирается из корзины (см. {@link removeFromTrash})
+ * 4. Возвращает результат операции
  *
  * @example
- * const success = deleteMessage('123');
+ * const success = await deleteMessage('123');
  * if (success) {
  *   console.log('Сообщение удалено');
  * } else {
  *   console.log('Сообщение не найдено');
  * }
- *
- * @see {@link readMessages} - Для чтения сообщений
- * @see {@link writeMessages} - Для сохранения сообщений
  */
-export const deleteMessage = (id) => {
-  const messages = readMessages();
-  const index = messages.findIndex((msg) => msg.id === id);
-  if (index === -1) return false;
+export const deleteMessage = (id) => writeQueue.run(async () => {
+  const message = messages.find((msg) => msg.id === id);
+  if (!message) return false;
+
+  await moveToTrash([message]);
+  await removeFromStorage([message], () => storage.remove(id));
+  messages = messages.filter((msg) => msg !== message);
+  removeFromIndex(id);
 
-  if (messages[index].files?.length > 0) deleteMessageUploads(id);
+  publishEvent(MESSAGE_EVENTS.DELETED, { id, userId: message.userId, chatId: message.chatId });
 
-  messages.splice(index, 1);
-  writeMessages(messages);
   return true;
-};
+});
+
+/**
+ * Удаление нескольких сообщений
+ *
+ * @param {string[]} ids - ID удаляемых сообщений
+ * @returns {Promise<Set<string>>} ID удаленных сообщений (ненайденные
+ * ID в него не входят)
+ *
+ * @description
+ * Сообщения перемещаются в корзину и удаляются из хранилища одной
+ * операцией; для каждого публикуется событие `message.deleted`.
+ *
+ * @see {@link deleteMessage} - Удаление одного сообщения
+ */
+export const deleteMessages = (ids) => writeQueue.run(async () => {
+  const idSet = new Set(ids);
+  const removed = messages.filter((msg) => idSet.has(msg.id));
+  if (removed.length === 0) return new Set();
+
+  const removedIds = new Set(removed.map((msg) => msg.id));
+  await moveToTrash(removed);
+  await removeFromStorage(removed, () => storage.removeMany([...removedIds]));
+  messages = messages.filter((msg) => !removedIds.has(msg.id));
+  removed.forEach((msg) => removeFromIndex(msg.id));
+
+  for (const { id, userId, chatId } of removed) {
+    publishEvent(MESSAGE_EVENTS.DELETED, { id, userId, chatId });
+  }
+
+  logger.info(`Deleted ${removed.length} messages`);
+  return removedIds;
+});
+
+/**
+ * Восстановление сообщения из корзины
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID сообщения в корзине
+ * @param {string} chatId - Чат, в который восстанавливается сообщение
+ * (исходный или, если он удален, чат по умолчанию)
+ * @returns {Promise<Object|null>}
+ * - Восстановленное сообщение
+ * - null, если сообщения нет в корзине
+ *
+ * @description
+ * 1. Извлекает сообщение и его файлы из корзины (см. {@link takeFromTrash}).
+ *    Если ID сообщения уже занят (например, при импорте), сообщению
+ *    назначается новый ID
+ * 2. Добавляет сообщение в хранилище и поисковый индекс. Из корзины
+ *    сообщение удаляется только после этого, поэтому при ошибке записи
+ *    оно остается в корзине
+ * 3. Публикует событие `message.created`
+ */
+export const restoreMessage = (userId, id, chatId) => writeQueue.run(async () => {
+  if (!findTrashItem(userId, id)) return null;
+
+  const isTaken = messages.some((msg) => msg.id === id);
+  const restored = await takeFromTrash(
+    userId,
+    id,
+    { id: isTaken ? uuidv4() : id, chatId },
+    async (message) => {
+      await storage.insert(message);
+      messages = [...messages, message];
+      indexMessage(message);
+    }
+  );
+  if (!restored) return null;
+
+  publishEvent(MESSAGE_EVENTS.CREATED, restored);
+
+  logger.info(`Message ${id} restored from trash${isTaken ? ` as ${restored.id}` : ''}`);
+  return restored;
+});
 
 /**
  * Добавление нового сообщения от бота в хранилище
  *
  * @param {string} message - Текстовое содержимое сообщения от бота
- * @returns {Object} Созданное сообщение от бота
+ * @param {Object} target - Адресат сообщения
+ * @param {string} target.userId - ID пользователя
+ * @param {string} [target.chatId=DEFAULT_CHAT_ID] - ID чата
+ * @param {boolean} [target.error=false] - Сообщение об ошибке (например,
+ * неизвестная команда). Сохраняется с флагом `error: true`, чтобы клиент
+ * мог выделить его
+ * @param {string} [target.reminderId] - ID напоминания, по которому
+ * отправлено сообщение (клиент может предложить отложить его)
+ * @returns {Promise<Object>} Созданное сообщение от бота
  *
  * @description
  * 1. Создает объект сообщения с sender: 'bot'
@@ -161,62 +565,96 @@ export const deleteMessage = (id) => {
  * 3. Возвращает созданное сообщение
  *
  * @example
- * const botMsg = addBotMessage('Привет! Я бот-помощник.');
+ * const botMsg = await addBotMessage('Привет! Я бот-помощник.', { userId });
  * console.log(botMsg); // { id: 'uuid', message: 'Привет! Я бот-помощник.', sender: 'bot', ... }
  *
  * @see {@link addMessage} - Для добавления пользовательских сообщений
  */
-export const addBotMessage = (message) => {
+export const addBotMessage = async (
+  message,
+  { userId, chatId = DEFAULT_CHAT_ID, error = false, reminderId }
+) => {
   const newMessage = {
     id: uuidv4(),
     message,
     format: 'html',
     timestamp: new Date().toISOString(),
     sender: 'bot',
+    userId,
+    chatId,
+    ...(error && { error: true }),
+    ...(reminderId && { reminderId }),
   };
 
-  addMessage(newMessage);
+  await addMessage(newMessage);
   return newMessage;
 };
 
 /**
  * Очистка всех сообщений и связанных файлов
  *
- * @returns {boolean}
+ * @param {Object} [options] - Параметры очистки
+ * @param {string} [options.userId] - ID владельца. Если не передан,
+ * очищаются сообщения всех пользователей
+ * @param {string} [options.chatId] - ID очищаемого чата. Если не передан,
+ * очищаются все чаты
+ * @param {boolean} [options.keepFavorites=false] - Сохранить избранные
+ * сообщения (и их файлы)
+ * @returns {Promise<boolean>}
  * - true если очистка прошла успешно
  * - false если произошла ошибка
  *
  * @description
- * 1. Читает все сообщения из файла
- * 2. Для каждого сообщения удаляет папку с файлами, если они есть
- * 3. Очищает весь массив сообщений
- * 4. Сохраняет пустой массив в файл
- * 5. Возвращает результат операции
+ * 1. Перемещает сообщения чата (или все, кроме избранных) и их файлы
+ *    в корзину (см. {@link moveToTrash})
+ * 2. Удаляет их из хранилища. Если это не удалось, сообщения убираются
+ *    из корзины
+ * 3. Возвращает результат операции
  *
  * @example
- * const success = clearAllMessages();
+ * const success = await clearAllMessages({ userId, chatId: 'default', keepFavorites: true });
  * if (success) {
- *   console.log('Все сообщения очищены');
+ *   console.log('Все сообщения чата, кроме избранных, очищены');
  * } else {
  *   console.log('Ошибка при очистке сообщений');
  * }
- *
- * @see {@link readMessages} - Для чтения сообщений
- * @see {@link writeMessages} - Для сохранения сообщений
  */
-export const clearAllMessages = () => {
+export const clearAllMessages = ({
+  userId,
+  chatId,
+  keepFavorites = false,
+} = {}) => writeQueue.run(async () => {
   try {
-    const messages = readMessages();
+    const removed = messages.filter((msg) => (
+      isInScope(msg, { userId, chatId }) && !(keepFavorites && msg.favorite)
+    ));
+
+    await moveToTrash(removed);
 
-    for (const message of messages) {
-      if (message.files?.length) deleteMessageUploads(message.id);
+    if (removed.length === messages.length) {
+      await removeFromStorage(removed, () => storage.clear());
+      messages = [];
+      clearIndex();
+    } else {
+      const removedIds = new Set(removed.map((msg) => msg.id));
+      await removeFromStorage(removed, () => storage.removeMany([...removedIds]));
+      messages = messages.filter((msg) => !removedIds.has(msg.id));
+      removed.forEach((msg) => removeFromIndex(msg.id));
     }
 
-    writeMessages([]);
-    logger.info('All messages cleared successfully');
+    publishEvent(MESSAGE_EVENTS.CLEARED, {
+      userId: userId || null,
+      chatId: chatId || null,
+      keepFavorites,
+    });
+
+    logger.info(
+      `Cleared ${removed.length} messages${chatId ? ` in chat ${chatId}` : ''}`
+      + `${keepFavorites ? ' (favorites kept)' : ''}`
+    );
     return true;
   } catch (err) {
     logger.error(`Failed to clear all messages: ${err}`);
     return false;
   }
-};
+});
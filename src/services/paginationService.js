@@ -0,0 +1,125 @@
+// =============================================================================
+// Сервис постраничной выборки сообщений
+// =============================================================================
+
+/**
+ * Сортирует сообщения по времени создания (от старых к новым)
+ *
+ * @param {Array<Object>} messages - Сообщения в произвольном порядке
+ * @returns {Array<Object>} Новый отсортированный массив
+ *
+ * @description
+ * Сортировка стабильная: сообщения с одинаковым временем сохраняют
+ * порядок добавления.
+ */
+export const sortByTimestamp = (messages) => [...messages].sort(
+  (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+);
+
+/**
+ * Находит индекс, на который указывает курсор
+ *
+ * @param {Array<Object>} sorted - Сообщения от старых к новым
+ * @param {Object} cursor - Курсор `{ id }` или `{ timestamp }`
+ * @param {boolean} inclusive - Для курсора-времени: считать ли сообщения
+ * с точно таким же временем лежащими после курсора
+ * @returns {number} Индекс первого сообщения, лежащего после курсора
+ * (для курсора-ID — индекс самого сообщения), или -1, если сообщение
+ * с указанным ID не найдено
+ */
+const findCursorIndex = (sorted, cursor, inclusive) => {
+  if (cursor.id) return sorted.findIndex((msg) => msg.id === cursor.id);
+
+  const index = sorted.findIndex((msg) => (
+    inclusive
+      ? new Date(msg.timestamp) >= cursor.timestamp
+      : new Date(msg.timestamp) > cursor.timestamp
+  ));
+  return index === -1 ? sorted.length : index;
+};
+
+/**
+ * Возвращает порцию сообщений по смещению или курсору
+ *
+ * @param {Array<Object>} messages - Сообщения в произвольном порядке
+ * @param {Object} [options] - Параметры выборки (используется только один
+ * из режимов: before, after, around или offset)
+ * @param {Object} [options.before] - Курсор `{ id }` или `{ timestamp }`:
+ * сообщения, более старые, чем курсор
+ * @param {Object} [options.after] - Курсор: сообщения, более новые, чем курсор
+ * @param {Object} [options.around] - Курсор: окно сообщений с курсором
+ * в центре
+ * @param {number} [options.offset=0] - Количество пропускаемых самых новых
+ * сообщений (режим по умолчанию)
+ * @param {number} [options.limit=10] - Размер порции
+ * @returns {Object|null} Результат выборки или null, если сообщение
+ * с ID из курсора не найдено
+ * @property {Array<Object>} items - Порция сообщений (от старых к новым)
+ * @property {boolean} hasMore - Есть ли сообщения дальше в направлении
+ * выборки (для around — в любом направлении)
+ * @property {string|null} prevCursor - ID самого старого сообщения порции,
+ * если есть более старые (для запроса `before`)
+ * @property {string|null} nextCursor - ID самого нового сообщения порции,
+ * если есть более новые (для запроса `after`)
+ * @property {number} [position] - Для around по ID: индекс сообщения-курсора
+ * в общем списке (как в `GET /api/messages/:id/position`)
+ *
+ * @description
+ * В отличие от смещения, курсор привязан к конкретному сообщению, поэтому
+ * добавление и удаление сообщений во время прокрутки не приводит
+ * к повторам и пропускам.
+ *
+ * @example
+ * paginateMessages(messages, { limit: 20 });
+ * paginateMessages(messages, { before: { id: prevCursor }, limit: 20 });
+ * paginateMessages(messages, { around: { id: foundId }, limit: 20 });
+ */
+export const paginateMessages = (messages, {
+  before,
+  after,
+  around,
+  offset = 0,
+  limit = 10,
+} = {}) => {
+  const sorted = sortByTimestamp(messages);
+  const total = sorted.length;
+  let start;
+  let end;
+  let position;
+
+  if (before) {
+    end = findCursorIndex(sorted, before, true);
+    if (end === -1) return null;
+    start = Math.max(0, end - limit);
+  } else if (after) {
+    const index = findCursorIndex(sorted, after, false);
+    if (index === -1) return null;
+    start = after.id ? index + 1 : index;
+    end = Math.min(total, start + limit);
+  } else if (around) {
+    position = findCursorIndex(sorted, around, true);
+    if (position === -1) return null;
+    start = Math.max(0, position - Math.floor((limit - 1) / 2));
+    end = Math.min(total, start + limit);
+    start = Math.max(0, end - limit);
+  } else {
+    end = Math.max(0, total - offset);
+    start = Math.max(0, end - limit);
+  }
+
+  const items = sorted.slice(start, end);
+  const hasMoreBefore = start > 0 && items.length > 0;
+  const hasMoreAfter = end < total && items.length > 0;
+
+  let hasMore = hasMoreBefore;
+  if (after) hasMore = hasMoreAfter;
+  if (around) hasMore = hasMoreBefore || hasMoreAfter;
+
+  return {
+    items,
+    hasMore,
+    prevCursor: hasMoreBefore ? items[0].id : null,
+    nextCursor: hasMoreAfter ? items[items.length - 1].id : null,
+    ...(around?.id && { position }),
+  };
+};
@@ -0,0 +1,470 @@
+// =============================================================================
+// Сервис напоминаний (отложенных сообщений бота)
+// =============================================================================
+
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_CHAT_ID } from '../configs/chats.js';
+import {
+  FIRED_REMINDER_RETENTION,
+  MAX_REMINDER_DELAY,
+  MAX_REMINDER_TEXT_LENGTH,
+  REMINDER_MAX_ATTEMPTS,
+  REMINDER_RETRY_BASE_DELAY,
+  REMINDER_RETRY_MAX_DELAY,
+  SCHEDULER_MAX_DELAY,
+} from '../configs/reminders.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { parseDuration } from '../utils/duration.js';
+import { formatDateTime } from '../utils/formatDate.js';
+import { logger } from '../utils/logger.js';
+import { REMINDERS_FILE } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+import { findChat } from './chatService.js';
+import { addBotMessage } from './messageService.js';
+import { escapeHtml } from './searchService.js';
+import { readSettings } from './settingsService.js';
+
+/**
+ * Статусы напоминания
+ * @enum {string}
+ */
+export const REMINDER_STATUSES = {
+  PENDING: 'pending',
+  FIRED: 'fired',
+  FAILED: 'failed',
+};
+
+/**
+ * Опоздание, после которого в сообщении указывается исходное время
+ * напоминания (в миллисекундах)
+ * @type {number}
+ */
+const LATE_THRESHOLD = 60 * 1000;
+
+/**
+ * Напоминания в памяти
+ *
+ * @type {Array<Object>}
+ * @description
+ * Каждое напоминание — `{ id, userId, chatId, text, dueAt, status,
+ * createdAt, firedAt, attempts, retryAt }`. `attempts` — количество
+ * неудачных попыток отправки, `retryAt` — время следующей попытки (null,
+ * если попыток не было). У напоминания со статусом 'failed' есть поле
+ * `failedAt`.
+ */
+let reminders = [];
+
+/**
+ * Таймер ближайшего срабатывания (null, если планировщик не запущен)
+ */
+let timer = null;
+
+/**
+ * Признак запущенного планировщика
+ */
+let isRunning = false;
+
+/**
+ * Количество неудачных запусков планировщика подряд
+ *
+ * @description
+ * Если не удалось сохранить напоминания, их состояние в памяти не меняется,
+ * и ближайшее напоминание остается просроченным. Чтобы планировщик
+ * не перезапускался без паузы, задержка растет так же, как между попытками
+ * отправки (см. {@link getRetryDelay}).
+ */
+let schedulerFailures = 0;
+
+/**
+ * Очередь записи напоминаний
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Сохраняет напоминания в файл и делает их текущими
+ *
+ * @param {Array<Object>} nextReminders - Новое состояние
+ */
+const persist = async (nextReminders) => {
+  await writeFileAtomic(REMINDERS_FILE, JSON.stringify(nextReminders, null, 2));
+  reminders = nextReminders;
+};
+
+/**
+ * Задержка перед повторной попыткой
+ *
+ * @param {number} attempts - Количество неудачных попыток
+ * @returns {number} Задержка в миллисекундах: удваивается с каждой попыткой,
+ * но не превышает REMINDER_RETRY_MAX_DELAY
+ *
+ * @example
+ * getRetryDelay(1); // 60000
+ * getRetryDelay(3); // 240000
+ */
+const getRetryDelay = (attempts) => Math.min(
+  REMINDER_RETRY_BASE_DELAY * 2 ** (attempts - 1),
+  REMINDER_RETRY_MAX_DELAY
+);
+
+/**
+ * Время, когда напоминание нужно отправить
+ *
+ * @param {Object} reminder - Ожидающее напоминание
+ * @returns {number} Время срабатывания или следующей попытки
+ * (в миллисекундах)
+ */
+const getNextAttemptAt = (reminder) => Math.max(
+  new Date(reminder.dueAt).getTime(),
+  reminder.retryAt ? new Date(reminder.retryAt).getTime() : 0
+);
+
+/**
+ * Загрузка напоминаний при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Просроченные напоминания не срабатывают сразу: их отправит планировщик
+ * после запуска (см. {@link startReminderScheduler}).
+ *
+ * @throws {Error} Если файл напоминаний поврежден
+ */
+export const initReminders = async () => {
+  try {
+    reminders = JSON.parse(await fs.promises.readFile(REMINDERS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${REMINDERS_FILE}: ${err.message}`);
+    }
+    reminders = [];
+  }
+
+  const pending = reminders.filter((item) => item.status === REMINDER_STATUSES.PENDING);
+  logger.info(`Loaded ${reminders.length} reminders (${pending.length} pending)`);
+};
+
+/**
+ * Проверка текста напоминания
+ *
+ * @param {*} text - Текст из запроса
+ * @returns {string|null} Текст ошибки или null, если текст корректен
+ */
+export const validateReminderText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return 'Текст напоминания не может быть пустым';
+  }
+  if (text.trim().length > MAX_REMINDER_TEXT_LENGTH) {
+    return `Текст напоминания не может быть длиннее ${MAX_REMINDER_TEXT_LENGTH} символов`;
+  }
+  return null;
+};
+
+/**
+ * Вычисление времени срабатывания по данным запроса
+ *
+ * @param {Object} input - Данные запроса
+ * @param {string} [input.in] - Интервал от текущего момента ('2h', '1ч30м')
+ * @param {string} [input.dueAt] - Точное время в формате ISO
+ * @returns {Object} `{ dueAt }` (строка ISO) или `{ error }` (текст ошибки)
+ *
+ * @example
+ * resolveDueAt({ in: '2h' });                           // { dueAt: '...' }
+ * resolveDueAt({ dueAt: '2020-01-01T00:00:00.000Z' }); // { error: '...' }
+ */
+export const resolveDueAt = ({ in: delay, dueAt } = {}) => {
+  let time;
+
+  if (delay !== undefined) {
+    const ms = parseDuration(delay);
+    if (ms === null) return { error: 'Неверный интервал. Пример: 30m, 2h, 1d, 1ч30м' };
+    time = Date.now() + ms;
+  } else if (dueAt !== undefined) {
+    time = typeof dueAt === 'string' ? Date.parse(dueAt) : NaN;
+    if (Number.isNaN(time)) return { error: 'Неверное время напоминания' };
+  } else {
+    return { error: 'Укажите время напоминания (in или dueAt)' };
+  }
+
+  if (time <= Date.now()) return { error: 'Время напоминания должно быть в будущем' };
+  if (time - Date.now() > MAX_REMINDER_DELAY) {
+    return { error: 'Напоминание можно поставить не более чем на год вперед' };
+  }
+
+  return { dueAt: new Date(time).toISOString() };
+};
+
+/**
+ * Сравнивает напоминания по времени срабатывания
+ *
+ * @param {Object} a - Первое напоминание
+ * @param {Object} b - Второе напоминание
+ * @returns {number}
+ */
+const byDueAt = (a, b) => a.dueAt.localeCompare(b.dueAt);
+
+/**
+ * Получение напоминаний пользователя
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} [filters] - Фильтры
+ * @param {string} [filters.chatId] - ID чата
+ * @param {string} [filters.status] - Статус (REMINDER_STATUSES)
+ * @returns {Array<Object>} Напоминания по возрастанию времени срабатывания
+ */
+export const listReminders = (userId, { chatId, status } = {}) => reminders
+  .filter((item) => item.userId === userId
+    && (!chatId || item.chatId === chatId)
+    && (!status || item.status === status))
+  .sort(byDueAt);
+
+/**
+ * Поиск напоминания пользователя по ID
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID напоминания
+ * @returns {Object|null}
+ */
+const findReminder = (userId, id) => reminders.find(
+  (item) => item.userId === userId && item.id === id
+) || null;
+
+/**
+ * Создание напоминания
+ *
+ * @param {Object} reminder - Данные напоминания
+ * @param {string} reminder.userId - ID пользователя
+ * @param {string} [reminder.chatId=DEFAULT_CHAT_ID] - Чат, в который придет
+ * сообщение бота
+ * @param {string} reminder.text - Текст (проверяется {@link validateReminderText})
+ * @param {string} reminder.dueAt - Время срабатывания (из {@link resolveDueAt})
+ * @returns {Promise<Object>} Созданное напоминание
+ *
+ * @example
+ * const { dueAt } = resolveDueAt({ in: '2h' });
+ * await createReminder({ userId, chatId, text: 'Купить молоко', dueAt });
+ */
+export const createReminder = ({ userId, chatId = DEFAULT_CHAT_ID, text, dueAt }) => (
+  writeQueue.run(async () => {
+    const reminder = {
+      id: uuidv4(),
+      userId,
+      chatId,
+      text: text.trim(),
+      dueAt,
+      status: REMINDER_STATUSES.PENDING,
+      createdAt: new Date().toISOString(),
+      firedAt: null,
+      attempts: 0,
+      retryAt: null,
+    };
+
+    await persist([...reminders, reminder]);
+    scheduleNext();
+
+    logger.info(`Reminder ${reminder.id} scheduled for ${dueAt}`);
+    return reminder;
+  })
+);
+
+/**
+ * Отмена (удаление) напоминания
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID напоминания
+ * @returns {Promise<boolean>} true, если напоминание найдено и удалено
+ */
+export const cancelReminder = (userId, id) => writeQueue.run(async () => {
+  const current = findReminder(userId, id);
+  if (!current) return false;
+
+  await persist(reminders.filter((item) => item !== current));
+  scheduleNext();
+
+  logger.info(`Reminder ${id} cancelled`);
+  return true;
+});
+
+/**
+ * Откладывание напоминания
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID напоминания
+ * @param {string} dueAt - Новое время срабатывания (из {@link resolveDueAt})
+ * @returns {Promise<Object|null>}
+ * - Обновленное напоминание
+ * - null, если напоминание не найдено
+ *
+ * @description
+ * Отложить можно как ожидающее напоминание, так и уже сработавшее или
+ * не отправленное (пока оно хранится, см. FIRED_REMINDER_RETENTION) — оно
+ * снова станет ожидающим, а счетчик попыток отправки сбросится.
+ */
+export const snoozeReminder = (userId, id, dueAt) => writeQueue.run(async () => {
+  const current = findReminder(userId, id);
+  if (!current) return null;
+
+  const { failedAt, ...rest } = current;
+  const updated = {
+    ...rest,
+    dueAt,
+    status: REMINDER_STATUSES.PENDING,
+    firedAt: null,
+    attempts: 0,
+    retryAt: null,
+  };
+  await persist(reminders.map((item) => (item === current ? updated : item)));
+  scheduleNext();
+
+  logger.info(`Reminder ${id} snoozed until ${dueAt}`);
+  return updated;
+});
+
+/**
+ * Отправляет сообщение бота для напоминания
+ *
+ * @param {Object} reminder - Сработавшее напоминание
+ * @param {number} now - Текущее время (в миллисекундах)
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Если чат напоминания был удален, сообщение приходит в чат по умолчанию.
+ * Если напоминание сработало с опозданием (например, сервер был выключен),
+ * в сообщении указывается исходное время.
+ */
+const deliverReminder = async (reminder, now) => {
+  const chatId = findChat(reminder.userId, reminder.chatId) ? reminder.chatId : DEFAULT_CHAT_ID;
+  const dueAt = new Date(reminder.dueAt).getTime();
+  const lateNote = now - dueAt > LATE_THRESHOLD
+    ? ` <small>(должно было сработать ${formatDateTime(dueAt, readSettings(reminder.userId).timezone)})</small>`
+    : '';
+
+  await addBotMessage(
+    `<p>⏰ Напоминание: ${escapeHtml(reminder.text)}${lateNote}</p>`,
+    { userId: reminder.userId, chatId, reminderId: reminder.id }
+  );
+};
+
+/**
+ * Отправка наступивших напоминаний и удаление устаревших
+ *
+ * @returns {Promise<void>}
+ *
+ * @description
+ * 1. Для каждого ожидающего напоминания, время которого наступило
+ *    (включая пропущенные, пока сервер был выключен), отправляет сообщение
+ *    бота и помечает напоминание сработавшим
+ * 2. Если отправить не удалось, откладывает следующую попытку
+ *    (см. {@link getRetryDelay}), а после REMINDER_MAX_ATTEMPTS попыток
+ *    помечает напоминание неотправленным ('failed')
+ * 3. Удаляет сработавшие и неотправленные напоминания старше
+ *    FIRED_REMINDER_RETENTION
+ *
+ * Сообщение отправляется до сохранения статуса: при сбое между этими
+ * шагами напоминание придет повторно, но не потеряется.
+ */
+const processDueReminders = () => writeQueue.run(async () => {
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  const fired = new Set();
+  const failedAttempts = new Map();
+
+  for (const reminder of reminders) {
+    if (reminder.status !== REMINDER_STATUSES.PENDING) continue;
+    if (getNextAttemptAt(reminder) > now) continue;
+
+    try {
+      await deliverReminder(reminder, now);
+      fired.add(reminder.id);
+    } catch (err) {
+      const attempts = (reminder.attempts || 0) + 1;
+      failedAttempts.set(reminder.id, attempts);
+      logger.error({ err }, `Failed to deliver reminder ${reminder.id} (attempt ${attempts})`);
+    }
+  }
+
+  const applyResult = (item) => {
+    if (fired.has(item.id)) {
+      return { ...item, status: REMINDER_STATUSES.FIRED, firedAt: nowIso, retryAt: null };
+    }
+
+    const attempts = failedAttempts.get(item.id);
+    if (!attempts) return item;
+
+    if (attempts >= REMINDER_MAX_ATTEMPTS) {
+      logger.warn(`Reminder ${item.id} marked as failed after ${attempts} attempts`);
+      return { ...item, status: REMINDER_STATUSES.FAILED, failedAt: nowIso, attempts, retryAt: null };
+    }
+
+    const retryAt = new Date(now + getRetryDelay(attempts)).toISOString();
+    return { ...item, attempts, retryAt };
+  };
+
+  const next = reminders
+    .filter((item) => item.status === REMINDER_STATUSES.PENDING
+      || now - new Date(item.firedAt || item.failedAt).getTime() < FIRED_REMINDER_RETENTION)
+    .map(applyResult);
+
+  const isChanged = fired.size > 0 || failedAttempts.size > 0 || next.length !== reminders.length;
+  if (isChanged) await persist(next);
+  if (fired.size > 0) logger.info(`Delivered ${fired.size} reminders`);
+});
+
+/**
+ * Ставит таймер на ближайшее напоминание
+ *
+ * @description
+ * Задержка ограничена SCHEDULER_MAX_DELAY. Вызывается после каждого
+ * изменения напоминаний, чтобы новое или отложенное напоминание
+ * сработало вовремя. Напоминания, которые не удалось отправить,
+ * учитываются по времени следующей попытки.
+ */
+const scheduleNext = () => {
+  if (!isRunning) return;
+  clearTimeout(timer);
+
+  const nextAttemptAt = reminders
+    .filter((item) => item.status === REMINDER_STATUSES.PENDING)
+    .reduce((min, item) => Math.min(min, getNextAttemptAt(item)), Infinity);
+  const minDelay = schedulerFailures > 0 ? getRetryDelay(schedulerFailures) : 0;
+  const delay = Math.min(Math.max(nextAttemptAt - Date.now(), minDelay), SCHEDULER_MAX_DELAY);
+
+  timer = setTimeout(runScheduler, delay);
+  timer.unref();
+};
+
+/**
+ * Запуск обработки наступивших напоминаний и постановка следующего таймера
+ */
+const runScheduler = () => {
+  processDueReminders()
+    .then(() => {
+      schedulerFailures = 0;
+    })
+    .catch((err) => {
+      schedulerFailures += 1;
+      logger.error({ err }, 'Reminder scheduler failed');
+    })
+    .finally(scheduleNext);
+};
+
+/**
+ * Запуск планировщика напоминаний
+ *
+ * @description
+ * Сразу отправляет просроченные напоминания (пропущенные, пока сервер
+ * был выключен), затем срабатывает по времени ближайшего напоминания.
+ * Должен быть вызван после {@link initReminders}.
+ *
+ * @example
+ * // server.js
+ * app.listen(PORT, () => startReminderScheduler());
+ */
+export const startReminderScheduler = () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  runScheduler();
+
+  logger.info('Reminder scheduler started');
+};
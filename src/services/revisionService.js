@@ -0,0 +1,109 @@
+// =============================================================================
+// Сервис для хранения истории изменений сообщений
+// =============================================================================
+
+import fs from 'fs';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { logger } from '../utils/logger.js';
+import { REVISIONS_FILE } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+
+/**
+ * Ревизии в памяти: ID сообщения → список прошлых версий (от старых к новым)
+ * @type {Object.<string, Array<Object>>}
+ */
+let revisions = {};
+
+/**
+ * Очередь записи ревизий
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Сохраняет ревизии в файл и делает их текущими
+ *
+ * @param {Object.<string, Array<Object>>} nextRevisions - Новое состояние
+ */
+const persist = async (nextRevisions) => {
+  await writeFileAtomic(REVISIONS_FILE, JSON.stringify(nextRevisions, null, 2));
+  revisions = nextRevisions;
+};
+
+/**
+ * Загрузка ревизий при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} Если файл ревизий поврежден. История изменений не
+ * восстанавливается из других источников, поэтому сервер не запускается,
+ * чтобы не затереть ее
+ */
+export const initRevisions = async () => {
+  try {
+    revisions = JSON.parse(await fs.promises.readFile(REVISIONS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${REVISIONS_FILE}: ${err.message}`);
+    }
+    revisions = {};
+  }
+
+  logger.info(`Loaded revisions for ${Object.keys(revisions).length} messages`);
+};
+
+/**
+ * Получение прошлых версий сообщения
+ *
+ * @param {string} messageId - ID сообщения
+ * @returns {Array<Object>} Ревизии от старых к новым (пустой массив,
+ * если сообщение не редактировалось)
+ */
+export const getRevisions = (messageId) => [...(revisions[messageId] || [])];
+
+/**
+ * Сохранение прошлой версии сообщения перед его изменением
+ *
+ * @param {Object} message - Сообщение в состоянии до изменения
+ * @returns {Promise<Object>} Созданная ревизия
+ *
+ * @description
+ * Ревизия содержит текст, формат (и HTML для Markdown) и список вложений
+ * сообщения, время, с которого эта версия действовала (`createdAt`), и время
+ * ее замены (`replacedAt`). Ревизии нумеруются с единицы.
+ *
+ * @example
+ * await addRevision(message);
+ * // { revision: 1, message: 'Старый текст', format: 'text', files: [...],
+ * //   createdAt: '...', replacedAt: '...' }
+ */
+export const addRevision = (message) => writeQueue.run(async () => {
+  const history = revisions[message.id] || [];
+  const revision = {
+    revision: history.length + 1,
+    message: message.message,
+    format: message.format,
+    ...(message.html !== undefined && { html: message.html }),
+    files: message.files || [],
+    createdAt: message.editedAt || message.timestamp,
+    replacedAt: new Date().toISOString(),
+  };
+
+  await persist({ ...revisions, [message.id]: [...history, revision] });
+  return revision;
+});
+
+/**
+ * Удаление истории изменений сообщений
+ *
+ * @param {string[]} messageIds - ID удаленных сообщений
+ * @returns {Promise<void>}
+ */
+export const removeRevisions = (messageIds) => writeQueue.run(async () => {
+  const ids = messageIds.filter((id) => revisions[id]);
+  if (ids.length === 0) return;
+
+  const nextRevisions = { ...revisions };
+  for (const id of ids) delete nextRevisions[id];
+
+  await persist(nextRevisions);
+});
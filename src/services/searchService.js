@@ -0,0 +1,357 @@
+// =============================================================================
+// Сервис полнотекстового поиска по сообщениям
+// =============================================================================
+
+/**
+ * Количество символов контекста слева и справа от совпадения в сниппете
+ * @type {number}
+ */
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Регулярное выражение для выделения слов (буквы и цифры любых алфавитов)
+ * @type {RegExp}
+ */
+const WORD_REGEXP = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Инвертированный индекс: термин → множество ID сообщений
+ * @type {Map<string, Set<string>>}
+ */
+const index = new Map();
+
+/**
+ * Прямой индекс: ID сообщения → термины сообщения (для удаления из индекса)
+ * @type {Map<string, Set<string>>}
+ */
+const termsByMessage = new Map();
+
+/**
+ * Термины индекса, отсортированные по возрастанию
+ *
+ * @type {string[]}
+ * @description
+ * Термины с общим префиксом в отсортированном списке идут подряд, поэтому
+ * поиск по префиксу сводится к двоичному поиску начала диапазона
+ * (см. {@link findTermsByPrefix}).
+ */
+const sortedTerms = [];
+
+/**
+ * Признак готовности индекса (построен при запуске)
+ * @type {boolean}
+ */
+let ready = false;
+
+/**
+ * Нормализует слово для индексации и сравнения
+ *
+ * @param {string} word - Исходное слово
+ * @returns {string} Слово в нижнем регистре с заменой «ё» на «е»
+ *
+ * @example
+ * normalizeWord('Ёлка'); // 'елка'
+ */
+const normalizeWord = (word) => word.toLowerCase().replace(/ё/g, 'е');
+
+/**
+ * Удаляет из HTML теги и декодирует основные HTML-сущности
+ *
+ * @param {string} html - HTML-строка
+ * @returns {string} Текст без разметки
+ *
+ * @example
+ * stripHtml('<p>Купить &amp; <b>продать</b></p>'); // 'Купить & продать'
+ */
+export const stripHtml = (html) => html
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Возвращает текст сообщения без HTML-разметки
+ *
+ * @param {Object} message - Объект сообщения
+ * @returns {string} Текст сообщения
+ *
+ * @description
+ * Сообщения бота хранятся в формате HTML, поэтому перед индексацией
+ * из них удаляются теги и декодируются основные HTML-сущности.
+ */
+const getPlainText = (message) => {
+  const text = message.message || '';
+  return message.format === 'html' ? stripHtml(text) : text;
+};
+
+/**
+ * Разбивает текст на нормализованные термины
+ *
+ * @param {string} text - Исходный текст
+ * @returns {string[]} Список терминов (с повторами, в порядке следования)
+ *
+ * @description
+ * Словом считается непрерывная последовательность букв и цифр, поэтому
+ * русский и английский текст (а также их смесь) разбираются одинаково.
+ *
+ * @example
+ * tokenize('Купить молоко, Milk!'); // ['купить', 'молоко', 'milk']
+ */
+export const tokenize = (text) => (text.match(WORD_REGEXP) || []).map(normalizeWord);
+
+/**
+ * Экранирует спецсимволы HTML
+ *
+ * @param {string} text - Исходный текст
+ * @returns {string} Безопасный для вставки в HTML текст
+ */
+export const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Позиция первого термина, не меньшего заданной строки
+ *
+ * @param {string} value - Искомая строка
+ * @returns {number} Индекс в sortedTerms (двоичный поиск)
+ */
+const lowerBound = (value) => {
+  let low = 0;
+  let high = sortedTerms.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (sortedTerms[middle] < value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * Находит термины индекса, начинающиеся с префикса
+ *
+ * @param {string} prefix - Нормализованный префикс
+ * @returns {string[]} Подходящие термины
+ *
+ * @example
+ * findTermsByPrefix('мол'); // ['молоко', 'молоток']
+ */
+const findTermsByPrefix = (prefix) => {
+  const terms = [];
+  for (let i = lowerBound(prefix); i < sortedTerms.length; i++) {
+    if (!sortedTerms[i].startsWith(prefix)) break;
+    terms.push(sortedTerms[i]);
+  }
+  return terms;
+};
+
+/**
+ * Добавляет термины сообщения в инвертированный и прямой индексы
+ *
+ * @param {Object} message - Объект сообщения
+ * @returns {string[]} Термины, которых раньше не было в индексе
+ * (их нужно добавить в sortedTerms)
+ */
+const addMessageTerms = (message) => {
+  const terms = new Set(tokenize(getPlainText(message)));
+  if (terms.size === 0) return [];
+
+  const newTerms = [];
+  for (const term of terms) {
+    if (!index.has(term)) {
+      index.set(term, new Set());
+      newTerms.push(term);
+    }
+    index.get(term).add(message.id);
+  }
+  termsByMessage.set(message.id, terms);
+  return newTerms;
+};
+
+/**
+ * Добавляет сообщение в индекс (или переиндексирует существующее)
+ *
+ * @param {Object} message - Объект сообщения
+ */
+export const indexMessage = (message) => {
+  removeFromIndex(message.id);
+
+  for (const term of addMessageTerms(message)) {
+    sortedTerms.splice(lowerBound(term), 0, term);
+  }
+};
+
+/**
+ * Удаляет сообщение из индекса
+ *
+ * @param {string} id - ID сообщения
+ */
+export const removeFromIndex = (id) => {
+  const terms = termsByMessage.get(id);
+  if (!terms) return;
+
+  for (const term of terms) {
+    const ids = index.get(term);
+    ids.delete(id);
+    if (ids.size === 0) {
+      index.delete(term);
+      sortedTerms.splice(lowerBound(term), 1);
+    }
+  }
+  termsByMessage.delete(id);
+};
+
+/**
+ * Полностью очищает индекс
+ */
+export const clearIndex = () => {
+  index.clear();
+  termsByMessage.clear();
+  sortedTerms.length = 0;
+};
+
+/**
+ * Перестраивает индекс по списку сообщений
+ *
+ * @param {Array<Object>} messages - Все сообщения хранилища
+ *
+ * @description
+ * Термины собираются без вставки в отсортированный список по одному
+ * и сортируются один раз в конце. После построения индекс считается
+ * готовым (см. {@link isIndexReady}).
+ */
+export const rebuildIndex = (messages) => {
+  clearIndex();
+  for (const message of messages) addMessageTerms(message);
+  for (const term of [...index.keys()].sort()) sortedTerms.push(term);
+  ready = true;
+};
+
+/**
+ * Проверяет, построен ли поисковый индекс
+ *
+ * @returns {boolean} true, если индекс построен и поиск доступен
+ */
+export const isIndexReady = () => ready;
+
+/**
+ * Находит ID сообщений, содержащих все слова запроса
+ *
+ * @param {string[]} queryTerms - Нормализованные слова запроса
+ * @returns {Set<string>} Множество ID найденных сообщений
+ *
+ * @description
+ * Каждое слово запроса сопоставляется с терминами индекса по префиксу,
+ * поэтому «сообщ» находит «сообщение», «сообщения» и т. д. Это дает
+ * приемлемую поддержку словоизменения без морфологического анализа.
+ *
+ * Подходящие термины находятся двоичным поиском по отсортированному
+ * списку, поэтому время поиска не растет линейно с размером словаря.
+ */
+const findMatchingIds = (queryTerms) => {
+  let result = null;
+
+  for (const queryTerm of queryTerms) {
+    const ids = new Set();
+    for (const term of findTermsByPrefix(queryTerm)) {
+      for (const id of index.get(term)) ids.add(id);
+    }
+
+    result = result
+      ? new Set([...result].filter((id) => ids.has(id)))
+      : ids;
+
+    if (result.size === 0) break;
+  }
+
+  return result || new Set();
+};
+
+/**
+ * Строит сниппет с подсвеченными совпадениями
+ *
+ * @param {string} text - Текст сообщения без разметки
+ * @param {string[]} queryTerms - Нормализованные слова запроса
+ * @returns {string} HTML-строка, где совпавшие слова обернуты в `<mark>`,
+ * а остальной текст экранирован
+ *
+ * @example
+ * buildSnippet('Купить молоко', ['мол']); // 'Купить <mark>молоко</mark>'
+ */
+export const buildSnippet = (text, queryTerms) => {
+  const matches = [...text.matchAll(WORD_REGEXP)].filter((match) => {
+    const word = normalizeWord(match[0]);
+    return queryTerms.some((term) => word.startsWith(term));
+  });
+
+  if (matches.length === 0) return escapeHtml(text.slice(0, SNIPPET_RADIUS * 2));
+
+  const start = Math.max(0, matches[0].index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0].index + matches[0][0].length + SNIPPET_RADIUS);
+
+  let snippet = '';
+  let cursor = start;
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+    if (matchEnd > end) break;
+
+    snippet += escapeHtml(text.slice(cursor, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = matchEnd;
+  }
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Поиск сообщений по текстовому запросу
+ *
+ * @param {string} query - Поисковый запрос
+ * @param {Array<Object>} messages - Сообщения, отсортированные по времени
+ * создания (от старых к новым)
+ * @param {Object} [options] - Параметры пагинации
+ * @param {number} [options.offset=0] - Количество пропускаемых результатов
+ * @param {number} [options.limit=10] - Максимальное количество результатов
+ * @returns {Object} Результат поиска
+ * @property {number} total - Общее количество найденных сообщений
+ * @property {Array<Object>} items - Найденные сообщения (от новых к старым)
+ * с полями `id`, `timestamp`, `sender`, `snippet` и `position`
+ *
+ * @description
+ * Поле `position` совпадает с ответом `GET /api/messages/:id/position`:
+ * это индекс сообщения в хронологическом списке. По нему клиент может
+ * вычислить offset для `GET /api/messages` и перейти к найденному сообщению
+ * (или сразу загрузить окно вокруг него: `GET /api/messages?around=<id>`).
+ *
+ * @example
+ * const result = searchMessages('молоко', sortedMessages, { limit: 20 });
+ * // { total: 3, items: [{ id, timestamp, sender, snippet, position }, ...] }
+ */
+export const searchMessages = (query, messages, { offset = 0, limit = 10 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return { total: 0, items: [] };
+
+  const ids = findMatchingIds(queryTerms);
+  const hits = [];
+
+  for (let position = messages.length - 1; position >= 0; position--) {
+    if (ids.has(messages[position].id)) hits.push({ message: messages[position], position });
+  }
+
+  const items = hits.slice(offset, offset + limit).map(({ message, position }) => ({
+    id: message.id,
+    timestamp: message.timestamp,
+    sender: message.sender,
+    snippet: buildSnippet(getPlainText(message), queryTerms),
+    position,
+  }));
+
+  return { total: hits.length, items };
+};
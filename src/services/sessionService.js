@@ -0,0 +1,129 @@
+// =============================================================================
+// Сервис сессий авторизованных пользователей
+// =============================================================================
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { SESSION_TTL } from '../configs/auth.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { logger } from '../utils/logger.js';
+import { SESSIONS_FILE } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+
+/**
+ * Активные сессии в памяти
+ *
+ * @type {Array<Object>}
+ * @description
+ * Каждая сессия — `{ tokenHash, userId, createdAt, expiresAt }`. Сам токен
+ * не хранится: при утечке файла сессий им нельзя воспользоваться.
+ */
+let sessions = [];
+
+/**
+ * Очередь записи сессий
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Вычисляет хеш токена сессии
+ *
+ * @param {string} token - Токен сессии
+ * @returns {string} SHA-256 в шестнадцатеричном виде
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Проверяет, что срок действия сессии не истек
+ *
+ * @param {Object} session - Сессия
+ * @returns {boolean}
+ */
+const isActive = (session) => new Date(session.expiresAt) > new Date();
+
+/**
+ * Сохраняет сессии в файл и делает их текущими
+ *
+ * @param {Array<Object>} nextSessions - Новое состояние
+ */
+const persist = async (nextSessions) => {
+  await writeFileAtomic(SESSIONS_FILE, JSON.stringify(nextSessions, null, 2));
+  sessions = nextSessions;
+};
+
+/**
+ * Загрузка сессий при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Просроченные сессии отбрасываются. Если файл сессий поврежден, он
+ * игнорируется — пользователям достаточно войти заново.
+ */
+export const initSessions = async () => {
+  try {
+    const stored = JSON.parse(await fs.promises.readFile(SESSIONS_FILE, 'utf8'));
+    sessions = stored.filter(isActive);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn({ err }, 'Sessions file is corrupted; all users need to log in again');
+    }
+    sessions = [];
+  }
+
+  logger.info(`Loaded ${sessions.length} active sessions`);
+};
+
+/**
+ * Создание сессии для пользователя
+ *
+ * @param {string} userId - ID пользователя
+ * @returns {Promise<Object>} `{ token, expiresAt }` — токен возвращается
+ * клиенту один раз и далее передается в заголовке Authorization или cookie
+ *
+ * @example
+ * const { token } = await createSession(user.id);
+ */
+export const createSession = (userId) => writeQueue.run(async () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const session = {
+    tokenHash: hashToken(token),
+    userId,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SESSION_TTL).toISOString(),
+  };
+
+  await persist([...sessions.filter(isActive), session]);
+  return { token, expiresAt: session.expiresAt };
+});
+
+/**
+ * Поиск пользователя по токену сессии
+ *
+ * @param {string} token - Токен сессии
+ * @returns {string|null} ID пользователя или null, если сессия не найдена
+ * или истекла
+ */
+export const findSessionUserId = (token) => {
+  if (!token) return null;
+
+  const tokenHash = hashToken(token);
+  const session = sessions.find((item) => item.tokenHash === tokenHash);
+
+  return session && isActive(session) ? session.userId : null;
+};
+
+/**
+ * Завершение сессии (выход)
+ *
+ * @param {string} token - Токен сессии
+ * @returns {Promise<boolean>} true, если сессия была найдена и удалена
+ */
+export const deleteSession = (token) => writeQueue.run(async () => {
+  const tokenHash = hashToken(token);
+  if (!sessions.some((item) => item.tokenHash === tokenHash)) return false;
+
+  await persist(sessions.filter((item) => item.tokenHash !== tokenHash && isActive(item)));
+  return true;
+});
@@ -0,0 +1,280 @@
+// =============================================================================
+// Сервис для работы с пользовательскими настройками
+// =============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_MIGRATIONS,
+  SETTINGS_SCHEMA,
+  SETTINGS_VERSION,
+} from '../configs/settings.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { logger } from '../utils/logger.js';
+import { SETTINGS_DIR, SETTINGS_FILE } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+
+/**
+ * Настройки пользователей в памяти: ID пользователя → настройки
+ *
+ * @type {Map<string, Object>}
+ * @description
+ * Пользователи, не менявшие настройки, в карте отсутствуют — для них
+ * действуют значения по умолчанию.
+ */
+const settingsByUser = new Map();
+
+/**
+ * Очередь записи настроек
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Проверяет одно значение настройки по правилу из схемы
+ *
+ * @param {*} value - Проверяемое значение
+ * @param {Object} rule - Правило из SETTINGS_SCHEMA
+ * @returns {string|null} Сообщение об ошибке или null, если значение корректно
+ */
+const validateValue = (value, rule) => {
+  if (rule.type === 'boolean' && typeof value !== 'boolean') {
+    return 'Ожидается логическое значение';
+  }
+  if (rule.type === 'integer' && !Number.isInteger(value)) {
+    return 'Ожидается целое число';
+  }
+  if (rule.type === 'string' && typeof value !== 'string') {
+    return 'Ожидается строка';
+  }
+  if (rule.values && !rule.values.includes(value)) {
+    return `Допустимые значения: ${rule.values.join(', ')}`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `Значение должно быть не меньше ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `Значение должно быть не больше ${rule.max}`;
+  }
+  if (rule.validate && !rule.validate(value)) {
+    return rule.message || 'Недопустимое значение';
+  }
+  return null;
+};
+
+/**
+ * Валидирует набор настроек по схеме
+ *
+ * @param {Object} input - Проверяемые настройки
+ * @returns {Object} Результат валидации
+ * @property {boolean} isValid - Все поля корректны
+ * @property {Array<Object>} errors - Ошибки в формате `{ field, error }`
+ *
+ * @description
+ * Неизвестные поля считаются ошибкой, чтобы опечатки в названиях
+ * не проходили незамеченными.
+ *
+ * @example
+ * validateSettings({ theme: 'pink', pageSize: 500 });
+ * // { isValid: false, errors: [
+ * //   { field: 'theme', error: 'Допустимые значения: light, dark, system' },
+ * //   { field: 'pageSize', error: 'Значение должно быть не больше 100' },
+ * // ] }
+ */
+export const validateSettings = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      isValid: false,
+      errors: [{ field: null, error: 'Ожидается объект настроек' }],
+    };
+  }
+
+  const errors = Object.entries(input).flatMap(([field, value]) => {
+    const rule = SETTINGS_SCHEMA[field];
+    if (!rule) return [{ field, error: 'Неизвестная настройка' }];
+
+    const error = validateValue(value, rule);
+    return error ? [{ field, error }] : [];
+  });
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Приводит сохраненный документ к текущей версии схемы
+ *
+ * @param {Object} document - Документ из файла `{ version, settings }`
+ * @returns {Object.<string, *>} Настройки текущей версии
+ *
+ * @description
+ * 1. Последовательно применяет миграции от версии документа до текущей
+ * 2. Отбрасывает поля, которых нет в схеме, и некорректные значения
+ * 3. Дополняет недостающие поля значениями по умолчанию
+ */
+const migrateDocument = (document) => {
+  let migrated = document.settings || {};
+
+  for (let version = (document.version || 0) + 1; version <= SETTINGS_VERSION; version++) {
+    if (SETTINGS_MIGRATIONS[version]) migrated = SETTINGS_MIGRATIONS[version](migrated);
+  }
+
+  const valid = Object.entries(migrated).filter(([field, value]) => (
+    SETTINGS_SCHEMA[field] && !validateValue(value, SETTINGS_SCHEMA[field])
+  ));
+
+  return { ...DEFAULT_SETTINGS, ...Object.fromEntries(valid) };
+};
+
+/**
+ * Путь к файлу настроек пользователя
+ *
+ * @param {string} userId - ID пользователя
+ * @returns {string}
+ */
+const getSettingsFile = (userId) => path.join(SETTINGS_DIR, `${userId}.json`);
+
+/**
+ * Сохраняет настройки пользователя в файл и делает их текущими
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object.<string, *>} nextSettings - Новые настройки
+ */
+const persist = async (userId, nextSettings) => {
+  const document = {
+    version: SETTINGS_VERSION,
+    updatedAt: new Date().toISOString(),
+    settings: nextSettings,
+  };
+
+  await writeFileAtomic(getSettingsFile(userId), JSON.stringify(document, null, 2));
+  settingsByUser.set(userId, nextSettings);
+};
+
+/**
+ * Читает документ настроек из файла
+ *
+ * @param {string} filePath - Путь к файлу
+ * @returns {Promise<Object|null>} Документ `{ version, settings }` или null,
+ * если файла нет или он поврежден (поврежденный файл сохраняется
+ * с суффиксом `.corrupt-<время>`)
+ */
+const readDocument = async (filePath) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      await fs.promises.rename(filePath, corruptPath);
+      logger.warn({ err }, `Settings file is corrupted, saved as ${corruptPath}; using defaults`);
+    }
+    return null;
+  }
+};
+
+/**
+ * Загрузка настроек всех пользователей при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @description
+ * 1. Если файла настроек пользователя нет — используются значения
+ *    по умолчанию
+ * 2. Если файл поврежден — он сохраняется с суффиксом `.corrupt-<время>`,
+ *    и используются значения по умолчанию
+ * 3. Если документ старой версии — он мигрирует и перезаписывается
+ */
+export const initSettings = async () => {
+  await fs.promises.mkdir(SETTINGS_DIR, { recursive: true });
+
+  const files = (await fs.promises.readdir(SETTINGS_DIR)).filter((file) => file.endsWith('.json'));
+
+  for (const file of files) {
+    const userId = path.basename(file, '.json');
+    const document = await readDocument(path.join(SETTINGS_DIR, file));
+    if (!document) continue;
+
+    settingsByUser.set(userId, migrateDocument(document));
+
+    if (document.version !== SETTINGS_VERSION) {
+      await persist(userId, settingsByUser.get(userId));
+      logger.info(`Settings of user ${userId} migrated from version ${document.version} to ${SETTINGS_VERSION}`);
+    }
+  }
+
+  logger.info(`Loaded settings of ${settingsByUser.size} users`);
+};
+
+/**
+ * Передача пользователю настроек, сохраненных до появления учетных записей
+ *
+ * @param {string} userId - ID нового владельца
+ * @returns {Promise<boolean>} true, если общие настройки были найдены
+ * и переданы
+ *
+ * @description
+ * Общий файл настроек мигрирует к текущей версии, записывается как файл
+ * настроек пользователя и удаляется. Если пользователь уже сохранил свои
+ * настройки, они не перезаписываются, а общий файл остается на месте.
+ */
+export const adoptLegacySettings = (userId) => writeQueue.run(async () => {
+  const document = await readDocument(SETTINGS_FILE);
+  if (!document) return false;
+
+  if (settingsByUser.has(userId)) {
+    logger.warn(`User ${userId} already has settings, legacy ${SETTINGS_FILE} is kept`);
+    return false;
+  }
+
+  await persist(userId, migrateDocument(document));
+  await fs.promises.rm(SETTINGS_FILE, { force: true });
+  return true;
+});
+
+/**
+ * Чтение текущих настроек пользователя
+ *
+ * @param {string} userId - ID пользователя
+ * @returns {Object.<string, *>} Копия текущих настроек
+ */
+export const readSettings = (userId) => ({
+  ...(settingsByUser.get(userId) || DEFAULT_SETTINGS),
+});
+
+/**
+ * Полная замена настроек
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} input - Новые настройки
+ * @returns {Promise<Object>} Результат операции
+ * @property {boolean} isValid - Настройки прошли валидацию и сохранены
+ * @property {Object} [settings] - Сохраненные настройки
+ * @property {Array<Object>} [errors] - Ошибки валидации `{ field, error }`
+ *
+ * @description
+ * Поля, не переданные в `input`, сбрасываются к значениям по умолчанию.
+ */
+export const replaceSettings = (userId, input) => writeQueue.run(async () => {
+  const { isValid, errors } = validateSettings(input);
+  if (!isValid) return { isValid, errors };
+
+  await persist(userId, { ...DEFAULT_SETTINGS, ...input });
+  return { isValid, settings: readSettings(userId) };
+});
+
+/**
+ * Частичное обновление настроек
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} input - Изменяемые поля настроек
+ * @returns {Promise<Object>} Результат операции (см. {@link replaceSettings})
+ *
+ * @description
+ * Поля, не переданные в `input`, сохраняют текущие значения.
+ */
+export const patchSettings = (userId, input) => writeQueue.run(async () => {
+  const { isValid, errors } = validateSettings(input);
+  if (!isValid) return { isValid, errors };
+
+  await persist(userId, { ...readSettings(userId), ...input });
+  return { isValid, settings: readSettings(userId) };
+});
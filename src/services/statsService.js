@@ -0,0 +1,251 @@
+// =============================================================================
+// Сервис статистики занятого места и квот на хранение файлов
+// =============================================================================
+
+import { getSubdirByRealMimetype } from '../configs/fileTypes.js';
+import {
+  STORAGE_QUOTA_BYTES,
+  STORAGE_QUOTA_FILES,
+  STORAGE_STATS_TOP,
+} from '../configs/quota.js';
+import { readMessages } from './messageService.js';
+import { getRevisions } from './revisionService.js';
+import { listTrash } from './trashService.js';
+import { getPendingUploadUsage } from './uploadService.js';
+
+/**
+ * Длина фрагмента текста сообщения в списке самых больших сообщений
+ * @type {number}
+ */
+const PREVIEW_LENGTH = 100;
+
+/**
+ * Суммарный размер вложений
+ *
+ * @param {Array<Object>} files - Вложения
+ * @returns {number} Размер в байтах
+ */
+const sumSize = (files) => files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+/**
+ * Группировка вложений с подсчетом количества и размера
+ *
+ * @param {Array<Object>} files - Вложения
+ * @param {Function} getKey - Ключ группы для вложения
+ * @returns {Object.<string, { count: number, size: number }>}
+ */
+const groupFiles = (files, getKey) => files.reduce((groups, file) => {
+  const group = (groups[getKey(file) || 'other'] ??= { count: 0, size: 0 });
+  group.count += 1;
+  group.size += file.size || 0;
+  return groups;
+}, {});
+
+/**
+ * Объем, который вложения занимают на диске
+ *
+ * @param {Array<Object>} files - Вложения
+ * @returns {number} Размер в байтах
+ *
+ * @description
+ * Одинаковые файлы хранятся один раз (см. {@link storeBlob}), поэтому
+ * каждый файл хранилища учитывается однократно вместе с уменьшенными
+ * копиями изображений.
+ */
+const getStoredSize = (files) => {
+  const stored = new Map();
+  for (const file of files) {
+    const variantsSize = sumSize(Object.values(file.variants || {}));
+    stored.set(file.filename, (file.size || 0) + variantsSize);
+  }
+  return [...stored.values()].reduce((sum, size) => sum + size, 0);
+};
+
+/**
+ * Вложения, которые остались только в прошлых версиях сообщения
+ *
+ * @param {Object} message - Сообщение
+ * @returns {Array<Object>} Вложения ревизий, удаленные из текущей версии
+ * (вложение, которое было в нескольких версиях, учитывается один раз)
+ *
+ * @description
+ * Такие файлы не удаляются при редактировании, чтобы историю можно было
+ * посмотреть, и занимают место, пока сообщение не удалено из корзины.
+ */
+const getRevisionOnlyFiles = (message) => {
+  const files = new Map((message.files || []).map((file) => [file.url, null]));
+  for (const revision of getRevisions(message.id)) {
+    for (const file of revision.files || []) {
+      if (!files.has(file.url)) files.set(file.url, file);
+    }
+  }
+  return [...files.values()].filter(Boolean);
+};
+
+/**
+ * Занятое пользователем место
+ *
+ * @param {string} userId - ID пользователя
+ * @returns {Object} `{ bytes, files }` — объем и количество вложений
+ * сообщений, корзины, прошлых версий сообщений и незавершенных загрузок
+ *
+ * @description
+ * Учитывается размер каждого вложения, даже если такой же файл уже
+ * хранится: квота не зависит от того, что загружали другие. Загрузки
+ * по частям учитываются по объявленному размеру с момента создания
+ * (см. {@link getPendingUploadUsage}).
+ */
+export const getStorageUsage = (userId) => {
+  const messages = [...readMessages({ userId }), ...listTrash(userId)];
+  const files = messages.flatMap((message) => [
+    ...(message.files || []),
+    ...getRevisionOnlyFiles(message),
+  ]);
+  const pending = getPendingUploadUsage(userId);
+
+  return { bytes: sumSize(files) + pending.bytes, files: files.length + pending.files };
+};
+
+/**
+ * Квота пользователя и занятое место
+ *
+ * @param {string} userId - ID пользователя
+ * @returns {Object} `{ maxBytes, maxFiles, usedBytes, usedFiles }`;
+ * `maxBytes` и `maxFiles` равны null, если ограничение не задано
+ */
+export const getQuota = (userId) => {
+  const usage = getStorageUsage(userId);
+  return {
+    maxBytes: STORAGE_QUOTA_BYTES,
+    maxFiles: STORAGE_QUOTA_FILES,
+    usedBytes: usage.bytes,
+    usedFiles: usage.files,
+  };
+};
+
+/**
+ * Проверка квоты перед сохранением новых файлов
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} incoming - Новые файлы
+ * @param {number} incoming.bytes - Их суммарный размер
+ * @param {number} incoming.files - Их количество
+ * @returns {Object|null} `{ status, error }` для ответа или null, если
+ * файлы помещаются в квоту:
+ * - 413 — файлы больше всей квоты и не поместятся, даже если освободить
+ *   место
+ * - 507 — файлы не помещаются в оставшееся место
+ *
+ * @example
+ * const quotaError = checkStorageQuota(userId, { bytes: 52428800, files: 1 });
+ * if (quotaError) {
+ *   ctx.status = quotaError.status;
+ *   ctx.body = { success: false, error: quotaError.error };
+ * }
+ */
+export const checkStorageQuota = (userId, { bytes, files }) => {
+  if (STORAGE_QUOTA_BYTES === null && STORAGE_QUOTA_FILES === null) return null;
+
+  if (bytes > (STORAGE_QUOTA_BYTES ?? Infinity) || files > (STORAGE_QUOTA_FILES ?? Infinity)) {
+    return { status: 413, error: 'Файлы превышают квоту хранилища' };
+  }
+
+  const usage = getStorageUsage(userId);
+  if (
+    usage.bytes + bytes > (STORAGE_QUOTA_BYTES ?? Infinity)
+    || usage.files + files > (STORAGE_QUOTA_FILES ?? Infinity)
+  ) {
+    return {
+      status: 507,
+      error: 'Недостаточно места в хранилище: удалите ненужные файлы и очистите корзину',
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Статистика занятого пользователем места
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} [options]
+ * @param {number} [options.top=STORAGE_STATS_TOP] - Количество самых
+ * больших сообщений
+ * @returns {Object} Статистика:
+ * - `messages` — количество сообщений: всего, с вложениями, в корзине
+ * - `files` — количество и размер вложений (`size`), а также объем,
+ *   который они занимают на диске (`storedSize`: одинаковые файлы
+ *   учитываются один раз, уменьшенные копии изображений — учитываются)
+ * - `bySubdir`, `byMimetype` — количество и размер вложений по категориям
+ *   (images, videos, audios) и по MIME-типам
+ * - `trash` — количество и размер вложений в корзине
+ * - `revisions` — количество и размер вложений, оставшихся только
+ *   в прошлых версиях сообщений
+ * - `pendingUploads` — количество и объявленный размер загрузок по частям,
+ *   еще не прикрепленных к сообщениям
+ * - `largestMessages` — самые большие сообщения (от больших к меньшим)
+ * - `quota` — квота и занятое место (см. {@link getQuota})
+ *
+ * @description
+ * Вложения корзины входят во все итоги: они занимают место, пока корзина
+ * не очищена. В список самых больших сообщений корзина не входит.
+ * Вложения прошлых версий и незавершенные загрузки в `files`, `bySubdir`
+ * и `byMimetype` не входят, но учитываются в `storedSize` (прошлые
+ * версии) и в занятом месте квоты.
+ *
+ * @example
+ * getStorageStats(userId, { top: 3 });
+ * // {
+ * //   messages: { total: 120, withFiles: 34, inTrash: 2 },
+ * //   files: { count: 41, size: 73400320, storedSize: 70254592 },
+ * //   bySubdir: { images: { count: 30, size: 10485760 }, videos: { ... } },
+ * //   byMimetype: { 'image/jpeg': { count: 25, size: 9437184 }, ... },
+ * //   trash: { files: 3, size: 1048576 },
+ * //   revisions: { files: 1, size: 524288 },
+ * //   pendingUploads: { files: 1, size: 52428800 },
+ * //   largestMessages: [{ id, chatId, timestamp, preview, files: 2, size: 52428800 }, ...],
+ * //   quota: { maxBytes: 5368709120, maxFiles: null, usedBytes: 73400320, usedFiles: 41 }
+ * // }
+ */
+export const getStorageStats = (userId, { top = STORAGE_STATS_TOP } = {}) => {
+  const messages = readMessages({ userId });
+  const trash = listTrash(userId);
+  const messageFiles = messages.flatMap((message) => message.files || []);
+  const trashFiles = trash.flatMap((message) => message.files || []);
+  const files = [...messageFiles, ...trashFiles];
+  const revisionFiles = [...messages, ...trash].flatMap(getRevisionOnlyFiles);
+  const pending = getPendingUploadUsage(userId);
+
+  const largestMessages = messages
+    .filter((message) => message.files?.length)
+    .map((message) => ({
+      id: message.id,
+      chatId: message.chatId,
+      timestamp: message.timestamp,
+      preview: (message.message || '').slice(0, PREVIEW_LENGTH),
+      files: message.files.length,
+      size: sumSize(message.files),
+    }))
+    .sort((a, b) => b.size - a.size)
+    .slice(0, top);
+
+  return {
+    messages: {
+      total: messages.length,
+      withFiles: messages.filter((message) => message.files?.length).length,
+      inTrash: trash.length,
+    },
+    files: {
+      count: files.length,
+      size: sumSize(files),
+      storedSize: getStoredSize([...files, ...revisionFiles]),
+    },
+    bySubdir: groupFiles(files, (file) => getSubdirByRealMimetype(file.mimetype)),
+    byMimetype: groupFiles(files, (file) => file.mimetype),
+    trash: { files: trashFiles.length, size: sumSize(trashFiles) },
+    revisions: { files: revisionFiles.length, size: sumSize(revisionFiles) },
+    pendingUploads: { files: pending.files, size: pending.bytes },
+    largestMessages,
+    quota: getQuota(userId),
+  };
+};
@@ -0,0 +1,48 @@
+// =============================================================================
+// Фабрика хранилища сообщений
+// =============================================================================
+
+import { STORAGE_CONFIG, STORAGE_DRIVERS } from '../../configs/storage.js';
+import { createJsonStorage } from './jsonStorage.js';
+
+/**
+ * Создает адаптер хранилища сообщений согласно конфигурации
+ *
+ * @param {Object} [config=STORAGE_CONFIG] - Конфигурация хранилища
+ * @returns {Promise<Object>} Адаптер хранилища со следующим интерфейсом:
+ * - `name` — имя драйвера
+ * - `init()` — подготовка хранилища (чтение файла, создание схемы)
+ * - `loadAll()` — все сообщения в порядке добавления
+ * - `insert(message)` — добавление сообщения
+ * - `insertMany(messages)` — добавление списка сообщений, уже существующие
+ *   ID пропускаются; возвращает число добавленных
+ * - `update(message)` — замена сообщения с тем же ID; возвращает `false`,
+ *   если сообщение не найдено
+ * - `updateMany(messages)` — замена списка сообщений, отсутствующие ID
+ *   пропускаются; возвращает число замененных
+ * - `remove(id)` — удаление сообщения; возвращает `false`, если не найдено
+ * - `removeMany(ids)` — удаление списка сообщений; возвращает число удаленных
+ * - `clear()` — удаление всех сообщений
+ * - `close()` — освобождение ресурсов
+ *
+ * Все методы, кроме `name`, асинхронные.
+ *
+ * @throws {Error} Если указан неизвестный драйвер
+ *
+ * @see {@link STORAGE_CONFIG} - Конфигурация хранилища
+ */
+export const createStorage = async (config = STORAGE_CONFIG) => {
+  switch (config.driver) {
+    case STORAGE_DRIVERS.JSON:
+      return createJsonStorage(config.json);
+
+    case STORAGE_DRIVERS.SQLITE: {
+      // Нативный модуль загружается только при выборе SQLite
+      const { createSqliteStorage } = await import('./sqliteStorage.js');
+      return createSqliteStorage(config.sqlite);
+    }
+
+    default:
+      throw new Error(`Unknown storage driver: ${config.driver}`);
+  }
+};
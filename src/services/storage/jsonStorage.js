@@ -0,0 +1,185 @@
+// =============================================================================
+// Адаптер хранилища сообщений на основе JSON-файла
+// =============================================================================
+
+import fs from 'fs';
+import { STORAGE_DRIVERS } from '../../configs/storage.js';
+import { removeStaleTempFiles, writeFileAtomic } from '../../utils/atomicWrite.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Читает и разбирает файл со списком сообщений
+ *
+ * @param {string} filePath - Путь к файлу
+ * @returns {Promise<Array<Object>>} Список сообщений
+ *
+ * @throws {Error} Если файл не читается, содержит некорректный JSON
+ * или не является массивом (код `ENOENT` сохраняется для отсутствующего файла)
+ */
+const readMessagesFile = async (filePath) => {
+  const data = await fs.promises.readFile(filePath, 'utf8');
+  const parsed = JSON.parse(data);
+
+  if (!Array.isArray(parsed)) {
+    throw new Error(`${filePath} does not contain an array of messages`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Создает адаптер хранилища, сохраняющий все сообщения в одном JSON-файле
+ *
+ * @param {Object} options - Настройки адаптера
+ * @param {string} options.filePath - Путь к файлу messages.json
+ * @param {string} [options.backupPath] - Путь к резервной копии предыдущей
+ * версии файла. Если не указан, резервная копия не создается
+ * и не используется для восстановления
+ * @returns {Object} Адаптер хранилища (см. {@link createStorage})
+ *
+ * @description
+ * Файл читается один раз при инициализации, далее сообщения хранятся в памяти.
+ * Каждая мутация атомарно перезаписывает файл целиком, а предыдущая версия
+ * становится резервной копией. Адаптер подходит для небольшой истории;
+ * для больших объемов используйте SQLite.
+ *
+ * При инициализации:
+ * 1. Удаляются временные файлы, оставшиеся после прерванной записи
+ * 2. Если нет ни файла, ни резервной копии — создается пустая история
+ * 3. Если файл отсутствует или поврежден — поврежденный файл сохраняется
+ *    с суффиксом `.corrupt-<время>`, а история восстанавливается
+ *    из резервной копии
+ * 4. Если восстановить историю невозможно — выбрасывается ошибка,
+ *    и приложение не запускается вместо того, чтобы затереть историю
+ *
+ * @example
+ * const storage = createJsonStorage({ filePath: MESSAGES_FILE });
+ * await storage.init();
+ * const messages = await storage.loadAll();
+ */
+export const createJsonStorage = ({ filePath, backupPath }) => {
+  let messages = [];
+
+  /**
+   * Атомарно записывает новый список сообщений и только после успешной
+   * записи делает его текущим
+   *
+   * @param {Array<Object>} nextMessages - Новый список сообщений
+   */
+  const commit = async (nextMessages) => {
+    await writeFileAtomic(filePath, JSON.stringify(nextMessages, null, 2), {
+      backupPath,
+    });
+    messages = nextMessages;
+  };
+
+  /**
+   * Восстанавливает историю из резервной копии после неудачного чтения
+   *
+   * @param {Error} readError - Ошибка чтения основного файла
+   * @returns {Promise<Array<Object>>} Восстановленный список сообщений
+   * @throws {Error} Если резервная копия отсутствует или тоже повреждена
+   */
+  const recoverFromBackup = async (readError) => {
+    logger.error({ err: readError }, `Failed to read ${filePath}`);
+
+    let backup;
+    try {
+      if (!backupPath) throw new Error('backup is not configured');
+      backup = await readMessagesFile(backupPath);
+    } catch (backupError) {
+      throw new Error(
+        `${filePath} is corrupted and cannot be restored from backup `
+        + `(${backupError.message}). Refusing to start to avoid losing `
+        + 'message history; fix or remove the file manually.'
+      );
+    }
+
+    if (fs.existsSync(filePath)) {
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      await fs.promises.copyFile(filePath, corruptPath);
+      logger.warn(`Corrupted file saved as ${corruptPath}`);
+    }
+
+    await writeFileAtomic(filePath, JSON.stringify(backup, null, 2));
+    logger.warn(`Restored ${backup.length} messages from ${backupPath}`);
+
+    return backup;
+  };
+
+  return {
+    name: STORAGE_DRIVERS.JSON,
+
+    async init() {
+      const removed = await removeStaleTempFiles(filePath);
+      if (removed > 0) logger.warn(`Removed ${removed} stale temp files for ${filePath}`);
+
+      try {
+        messages = await readMessagesFile(filePath);
+      } catch (err) {
+        const hasBackup = Boolean(backupPath) && fs.existsSync(backupPath);
+
+        if (err.code === 'ENOENT' && !hasBackup) {
+          logger.info(`${filePath} not found, starting with empty array`);
+          await commit([]);
+          return;
+        }
+
+        messages = await recoverFromBackup(err);
+      }
+    },
+
+    async loadAll() {
+      return [...messages];
+    },
+
+    async insert(message) {
+      await commit([...messages, message]);
+    },
+
+    async insertMany(newMessages) {
+      const existingIds = new Set(messages.map((msg) => msg.id));
+      const toInsert = newMessages.filter((msg) => !existingIds.has(msg.id));
+
+      await commit([...messages, ...toInsert]);
+      return toInsert.length;
+    },
+
+    async update(message) {
+      if (!messages.some((msg) => msg.id === message.id)) return false;
+
+      await commit(messages.map((msg) => (msg.id === message.id ? message : msg)));
+      return true;
+    },
+
+    async updateMany(updatedMessages) {
+      const byId = new Map(updatedMessages.map((msg) => [msg.id, msg]));
+      const updated = messages.filter((msg) => byId.has(msg.id)).length;
+
+      if (updated > 0) await commit(messages.map((msg) => byId.get(msg.id) || msg));
+      return updated;
+    },
+
+    async remove(id) {
+      if (!messages.some((msg) => msg.id === id)) return false;
+
+      await commit(messages.filter((msg) => msg.id !== id));
+      return true;
+    },
+
+    async removeMany(ids) {
+      const idSet = new Set(ids);
+      const nextMessages = messages.filter((msg) => !idSet.has(msg.id));
+      const removed = messages.length - nextMessages.length;
+
+      if (removed > 0) await commit(nextMessages);
+      return removed;
+    },
+
+    async clear() {
+      await commit([]);
+    },
+
+    async close() {},
+  };
+};
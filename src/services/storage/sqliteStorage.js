@@ -0,0 +1,132 @@
+// =============================================================================
+// Адаптер хранилища сообщений на основе встроенной базы SQLite
+// =============================================================================
+
+import Database from 'better-sqlite3';
+import { STORAGE_DRIVERS } from '../../configs/storage.js';
+
+/**
+ * Схема базы данных
+ *
+ * @description
+ * Сообщение целиком хранится в колонке `data` в виде JSON, а поля,
+ * по которым выполняются выборки, дублируются в отдельные колонки.
+ * Так новые поля сообщения не требуют миграции схемы.
+ */
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    sender TEXT NOT NULL DEFAULT 'user',
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp);
+`;
+
+/**
+ * Преобразует сообщение в набор параметров для SQL-запросов
+ *
+ * @param {Object} message - Объект сообщения
+ * @returns {Object} Именованные параметры запроса
+ */
+const toRow = (message) => ({
+  id: message.id,
+  timestamp: message.timestamp,
+  sender: message.sender || 'user',
+  data: JSON.stringify(message),
+});
+
+/**
+ * Создает адаптер хранилища, сохраняющий сообщения в базе SQLite
+ *
+ * @param {Object} options - Настройки адаптера
+ * @param {string} options.filePath - Путь к файлу базы данных
+ * @returns {Object} Адаптер хранилища (см. {@link createStorage})
+ *
+ * @description
+ * Каждая мутация затрагивает только одну строку таблицы, поэтому
+ * стоимость записи не зависит от размера истории. Чтение выполняется
+ * из кэша сервиса сообщений: при запуске все сообщения загружаются
+ * через `loadAll`, выборки с LIMIT/OFFSET адаптер не предоставляет.
+ *
+ * @see {@link https://github.com/WiseLibs/better-sqlite3} - Документация
+ * better-sqlite3
+ */
+export const createSqliteStorage = ({ filePath }) => {
+  let db = null;
+  let statements = null;
+
+  return {
+    name: STORAGE_DRIVERS.SQLITE,
+
+    async init() {
+      db = new Database(filePath);
+      db.pragma('journal_mode = WAL');
+      db.exec(SCHEMA);
+
+      statements = {
+        selectAll: db.prepare('SELECT data FROM messages ORDER BY timestamp, rowid'),
+        insert: db.prepare(
+          'INSERT INTO messages (id, timestamp, sender, data) VALUES (@id, @timestamp, @sender, @data)'
+        ),
+        insertIgnore: db.prepare(
+          'INSERT OR IGNORE INTO messages (id, timestamp, sender, data) VALUES (@id, @timestamp, @sender, @data)'
+        ),
+        update: db.prepare(
+          'UPDATE messages SET timestamp = @timestamp, sender = @sender, data = @data WHERE id = @id'
+        ),
+        remove: db.prepare('DELETE FROM messages WHERE id = ?'),
+        clear: db.prepare('DELETE FROM messages'),
+      };
+    },
+
+    async loadAll() {
+      return statements.selectAll.all().map((row) => JSON.parse(row.data));
+    },
+
+    async insert(message) {
+      statements.insert.run(toRow(message));
+    },
+
+    async insertMany(messages) {
+      const insertAll = db.transaction((list) => list.reduce(
+        (count, message) => count + statements.insertIgnore.run(toRow(message)).changes,
+        0
+      ));
+      return insertAll(messages);
+    },
+
+    async update(message) {
+      return statements.update.run(toRow(message)).changes > 0;
+    },
+
+    async updateMany(messages) {
+      const updateAll = db.transaction((list) => list.reduce(
+        (count, message) => count + statements.update.run(toRow(message)).changes,
+        0
+      ));
+      return updateAll(messages);
+    },
+
+    async remove(id) {
+      return statements.remove.run(id).changes > 0;
+    },
+
+    async removeMany(ids) {
+      const removeAll = db.transaction((list) => list.reduce(
+        (count, id) => count + statements.remove.run(id).changes,
+        0
+      ));
+      return removeAll(ids);
+    },
+
+    async clear() {
+      statements.clear.run();
+    },
+
+    async close() {
+      db?.close();
+      db = null;
+    },
+  };
+};
@@ -0,0 +1,331 @@
+// =============================================================================
+// Сервис импорта «Избранного» (Saved Messages) из экспорта Telegram Desktop
+// =============================================================================
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { renderMarkdown } from '../utils/renderMarkdownFile.js';
+import { checkImportQuota, extractArchiveFile, MAX_JSON_SIZE } from './backupService.js';
+import { organizeUploadedFiles } from './fileService.js';
+import { importMessages } from './messageService.js';
+import { sortByTimestamp } from './paginationService.js';
+
+/**
+ * Имя файла с данными экспорта Telegram Desktop
+ * @type {string}
+ */
+const RESULT_FILE = 'result.json';
+
+/**
+ * Тип чата «Избранное» в экспорте Telegram
+ * @type {string}
+ */
+const SAVED_MESSAGES_TYPE = 'saved_messages';
+
+/**
+ * Неподдерживаемое содержимое сообщений Telegram: поле → описание для отчета
+ * @type {Object.<string, string>}
+ */
+const UNSUPPORTED_CONTENT = {
+  poll: 'Опросы не поддерживаются',
+  location_information: 'Геопозиции не поддерживаются',
+  contact_information: 'Контакты не поддерживаются',
+  game_title: 'Игры не поддерживаются',
+  invoice_information: 'Счета не поддерживаются',
+};
+
+/**
+ * Экранирует символы разметки Markdown в обычном тексте
+ *
+ * @param {string} text - Исходный текст
+ * @returns {string} Текст, который отображается в Markdown без изменений
+ *
+ * @description
+ * Экранируются символы выделения, ссылок и кода, а также маркеры списков
+ * и цитат в начале строк. Одиночные переводы строк превращаются в жесткие
+ * переносы, чтобы сохранить разбивку текста на строки.
+ */
+const escapeMarkdown = (text) => text
+  .replace(/[\\`*_[\]<>#|~]/g, '\\$&')
+  .replace(/^(\s*)([-+])(?=\s)/gm, '$1\\$2')
+  .replace(/^(\s*\d+)([.)])(?=\s)/gm, '$1\\$2')
+  .replace(/(?<!\n)\n(?!\n)/g, '\\\n');
+
+/**
+ * Оборачивает текст в маркеры выделения Markdown
+ *
+ * @param {string} text - Текст
+ * @param {string} marker - Маркер ('**', '*')
+ * @returns {string}
+ *
+ * @description
+ * Пробелы по краям выносятся за маркеры: `** жирный **` в Markdown
+ * не считается выделением.
+ */
+const wrapInline = (text, marker) => {
+  const [, leading, body, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return body ? `${leading}${marker}${escapeMarkdown(body)}${marker}${trailing}` : text;
+};
+
+/**
+ * Преобразователи сущностей текста Telegram в Markdown
+ *
+ * @type {Object.<string, Function>}
+ * @description
+ * Сущности, которых здесь нет (упоминания, хештеги, телефоны, спойлеры,
+ * подчеркивание и т. д.), переносятся обычным текстом.
+ */
+const ENTITY_FORMATTERS = {
+  bold: (text) => wrapInline(text, '**'),
+  italic: (text) => wrapInline(text, '*'),
+  code: (text) => {
+    const fence = text.includes('`') ? '``' : '`';
+    return `${fence}${fence.length > 1 ? ` ${text} ` : text}${fence}`;
+  },
+  pre: (text, entity) => `\n\n\`\`\`${entity.language || ''}\n${text}\n\`\`\`\n\n`,
+  text_link: (text, entity) => (
+    `[${escapeMarkdown(text)}](<${String(entity.href).replace(/[<>\s]/g, encodeURIComponent)}>)`
+  ),
+  link: (text) => (/^https?:\/\/\S+$/i.test(text) ? `<${text}>` : escapeMarkdown(text)),
+  email: (text) => (/^\S+@\S+$/.test(text) ? `<${text}>` : escapeMarkdown(text)),
+  blockquote: (text) => `\n\n${text.split('\n').map((line) => `> ${escapeMarkdown(line)}`).join('\n')}\n\n`,
+};
+
+/**
+ * Приводит текст сообщения Telegram к списку сущностей
+ *
+ * @param {Object} message - Сообщение из result.json
+ * @returns {Array<Object>} Сущности `{ type, text, ... }`
+ *
+ * @description
+ * Новые версии Telegram Desktop пишут поле `text_entities`, старые — только
+ * `text`, который может быть строкой или массивом из строк и сущностей.
+ */
+const getTextEntities = ({ text, text_entities: textEntities }) => {
+  const parts = Array.isArray(textEntities) ? textEntities : Array.isArray(text) ? text : [text];
+
+  return parts
+    .map((part) => (typeof part === 'string' ? { type: 'plain', text: part } : part))
+    .filter((part) => typeof part?.text === 'string' && part.text);
+};
+
+/**
+ * Преобразует текст сообщения Telegram
+ *
+ * @param {Object} message - Сообщение из result.json
+ * @returns {Promise<Object>} Поля `message`, `format` и (для Markdown) `html`
+ *
+ * @description
+ * Если в тексте есть форматирование (жирный, курсив, код, ссылки, цитаты),
+ * сообщение сохраняется в Markdown, иначе — обычным текстом.
+ *
+ * @example
+ * // text_entities: [{ type: 'bold', text: 'Важно' }, { type: 'plain', text: ': купить *всё*' }]
+ * await convertText(message);
+ * // { message: '**Важно**: купить \\*всё\\*', format: 'markdown', html: '<p><strong>Важно</strong>: купить *всё*</p>' }
+ */
+const convertText = async (message) => {
+  const entities = getTextEntities(message);
+  const isFormatted = entities.some(({ type }) => ENTITY_FORMATTERS[type]);
+
+  if (!isFormatted) {
+    return { message: entities.map(({ text }) => text).join('').trim(), format: 'text' };
+  }
+
+  const markdown = entities
+    .map((entity) => (ENTITY_FORMATTERS[entity.type] || escapeMarkdown)(entity.text, entity))
+    .join('')
+    // Жесткий перенос сразу после блока (кода, цитаты) превратился бы
+    // в строку с «\»
+    .replace(/(^|\n)\\\n/g, '$1\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { message: markdown, format: 'markdown', html: await renderMarkdown(markdown) };
+};
+
+/**
+ * Возвращает путь к медиафайлу сообщения Telegram
+ *
+ * @param {Object} message - Сообщение из result.json
+ * @returns {string|null} Путь относительно папки экспорта или null, если
+ * у сообщения нет медиафайла
+ *
+ * @description
+ * Фото хранятся в поле `photo`, остальные файлы (видео, голосовые
+ * и видеосообщения, аудио, GIF, стикеры) — в поле `file`.
+ */
+const getMediaPath = (message) => {
+  const mediaPath = message.photo ?? message.file;
+  return typeof mediaPath === 'string' && mediaPath ? mediaPath : null;
+};
+
+/**
+ * Определяет время сообщения Telegram
+ *
+ * @param {string} [unixtime] - Поле `date_unixtime` (секунды)
+ * @param {string} [date] - Поле `date` (локальное время без часового пояса)
+ * @returns {string|null} Время в формате ISO или null, если время не указано
+ */
+const parseTelegramDate = (unixtime, date) => {
+  const time = unixtime ? Number(unixtime) * 1000 : Date.parse(date);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+};
+
+/**
+ * Находит в архиве result.json и список сообщений «Избранного»
+ *
+ * @param {Object} zip - Открытый архив (см. {@link openZipArchive})
+ * @returns {Promise<Object>}
+ * - `{ baseDir, messages }` — папка экспорта внутри архива и сообщения
+ * - `{ error }` — текст ошибки для клиента
+ *
+ * @description
+ * Поддерживается экспорт одного чата «Избранное» (result.json с полем
+ * `messages`) и полный экспорт аккаунта (result.json с `chats.list`).
+ * Папка экспорта может лежать в архиве как в корне, так и во вложенной
+ * директории (`ChatExport_2024-01-01/result.json`).
+ */
+export const readTelegramExport = async (zip) => {
+  const resultPath = [...zip.entries.keys()]
+    .filter((name) => name === RESULT_FILE || name.endsWith(`/${RESULT_FILE}`))
+    .sort((a, b) => a.length - b.length)[0];
+
+  if (!resultPath) return { error: 'В архиве нет result.json из экспорта Telegram Desktop' };
+
+  let data;
+  try {
+    data = JSON.parse(await zip.readEntry(resultPath, { maxSize: MAX_JSON_SIZE }));
+  } catch (err) {
+    logger.warn({ err }, 'Telegram import: failed to read result.json');
+    return { error: 'Не удалось прочитать result.json' };
+  }
+
+  const chat = Array.isArray(data?.messages)
+    ? data
+    : data?.chats?.list?.find?.((item) => item?.type === SAVED_MESSAGES_TYPE);
+
+  if (!chat || chat.type !== SAVED_MESSAGES_TYPE || !Array.isArray(chat.messages)) {
+    return { error: 'В экспорте нет «Избранного» (Saved Messages)' };
+  }
+
+  return {
+    baseDir: resultPath.slice(0, -RESULT_FILE.length),
+    messages: chat.messages,
+  };
+};
+
+/**
+ * Импорт «Избранного» Telegram в чат пользователя
+ *
+ * @param {Object} scope - Куда импортировать `{ userId, chatId }`
+ * @param {Object} zip - Открытый архив с экспортом
+ * @param {Object} telegramExport - Результат {@link readTelegramExport}
+ * @returns {Promise<Object>}
+ * - `{ report }` — отчет `{ total, messages, files, skipped }`, где
+ *   `skipped` — пропущенные сообщения и файлы `{ telegramId, reason }`
+ * - `{ quotaError }` — `{ status, error }`, если медиафайлы экспорта
+ *   не помещаются в квоту (ничего не импортируется)
+ *
+ * @description
+ * 1. Пропускает служебные сообщения (закрепления, звонки и т. п.)
+ * 2. Преобразует текст и его форматирование (см. {@link convertText})
+ * 3. Распаковывает медиафайл и проверяет его по содержимому.
+ *    Неподдерживаемые форматы и файлы, не включенные в экспорт,
+ *    попадают в отчет
+ * 4. Проверяет, что медиафайлы помещаются в квоту
+ *    (см. {@link checkImportQuota})
+ * 5. Сохраняет медиафайлы в хранилище (см. {@link organizeUploadedFiles})
+ *    и добавляет сообщения с исходным временем одной операцией
+ *
+ * Сообщения, у которых не осталось ни текста, ни файлов, не импортируются.
+ */
+export const importTelegramExport = async ({ userId, chatId }, zip, { baseDir, messages }) => {
+  const prepared = [];
+  const skipped = [];
+
+  for (const source of messages) {
+    const telegramId = source?.id ?? null;
+
+    const skippedBefore = skipped.length;
+
+    if (source?.type !== 'message') {
+      skipped.push({ telegramId, reason: 'Служебное сообщение' });
+      continue;
+    }
+
+    const timestamp = parseTelegramDate(source.date_unixtime, source.date);
+    if (!timestamp) {
+      skipped.push({ telegramId, reason: 'Некорректное время сообщения' });
+      continue;
+    }
+
+    Object.entries(UNSUPPORTED_CONTENT)
+      .filter(([field]) => source[field] !== undefined)
+      .forEach(([, reason]) => skipped.push({ telegramId, reason }));
+
+    const rawFiles = [];
+    const mediaPath = getMediaPath(source);
+    if (mediaPath?.startsWith('(')) {
+      // «(File not included. Change data exporting settings to download.)»
+      skipped.push({ telegramId, reason: 'Файл не включен в экспорт' });
+    } else if (mediaPath) {
+      const { file, error } = await extractArchiveFile(zip, `${baseDir}${mediaPath}`, source.file_name);
+      if (error) skipped.push({ telegramId, file: mediaPath, reason: error });
+      else rawFiles.push(file);
+    } else if (source.media_type || source.sticker_emoji) {
+      skipped.push({ telegramId, reason: 'Файл не включен в экспорт' });
+    }
+
+    const text = await convertText(source);
+    if (!text.message && rawFiles.length === 0) {
+      if (skipped.length === skippedBefore) {
+        skipped.push({ telegramId, reason: 'Пустое или неподдерживаемое сообщение' });
+      }
+      continue;
+    }
+
+    prepared.push({ source, timestamp, text, rawFiles });
+  }
+
+  const quotaError = await checkImportQuota(userId, prepared.flatMap(({ rawFiles }) => rawFiles));
+  if (quotaError) return { quotaError };
+
+  const imported = [];
+  let fileCount = 0;
+
+  for (const { source, timestamp, text, rawFiles } of prepared) {
+    const id = uuidv4();
+    const { files } = await organizeUploadedFiles(rawFiles, { messageId: id });
+    fileCount += files.length;
+
+    imported.push({
+      id,
+      ...text,
+      files,
+      timestamp,
+      sender: 'user',
+      userId,
+      chatId,
+      ...(source.edited_unixtime && {
+        editedAt: parseTelegramDate(source.edited_unixtime, source.edited),
+      }),
+    });
+  }
+
+  await importMessages(sortByTimestamp(imported));
+
+  logger.info(
+    `Telegram import for user ${userId} into chat ${chatId}: ${imported.length} messages, `
+    + `${fileCount} files, ${skipped.length} skipped`
+  );
+
+  return {
+    report: {
+      total: messages.length,
+      messages: imported.length,
+      files: fileCount,
+      skipped,
+    },
+  };
+};
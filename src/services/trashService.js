@@ -0,0 +1,333 @@
+// =============================================================================
+// Сервис корзины (удаленных сообщений)
+// =============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { TRASH_PURGE_INTERVAL, TRASH_RETENTION } from '../configs/trash.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { logger } from '../utils/logger.js';
+import { TRASH_DIR, TRASH_FILE, UPLOADS_DIR } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+import { isBlobFile, releaseBlobs } from './blobService.js';
+import { getMessageUploadsDir } from './fileService.js';
+import { getRevisions, removeRevisions } from './revisionService.js';
+
+/**
+ * Сообщения в корзине (в порядке удаления)
+ *
+ * @type {Array<Object>}
+ * @description
+ * Каждый элемент — `{ message, deletedAt }`, где `message` — сообщение
+ * в том виде, в котором оно было удалено. Файлы сообщения хранятся
+ * в `data/trash/{messageId}`, история изменений остается на месте до
+ * окончательного удаления.
+ */
+let items = [];
+
+/**
+ * Таймер периодической очистки (null, если очистка не запущена)
+ */
+let purgeTimer = null;
+
+/**
+ * Очередь записи корзины
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Сохраняет корзину в файл и делает ее текущей
+ *
+ * @param {Array<Object>} nextItems - Новое состояние
+ */
+const persist = async (nextItems) => {
+  await writeFileAtomic(TRASH_FILE, JSON.stringify(nextItems, null, 2));
+  items = nextItems;
+};
+
+/**
+ * Директория файлов сообщения в корзине
+ *
+ * @param {string} messageId - ID сообщения
+ * @returns {string}
+ */
+const getTrashDir = (messageId) => path.join(TRASH_DIR, messageId);
+
+/**
+ * Перемещает директорию, если она существует
+ *
+ * @param {string} from - Исходный путь
+ * @param {string} to - Новый путь (заменяется, если существует)
+ */
+const moveDir = async (from, to) => {
+  if (!fs.existsSync(from)) return;
+
+  await fs.promises.rm(to, { recursive: true, force: true });
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  await fs.promises.rename(from, to);
+};
+
+/**
+ * Файлы хранилища, на которые ссылается сообщение
+ *
+ * @param {Object} message - Сообщение из корзины
+ * @returns {string[]} Значения `filename` — по одному на каждое вложение
+ * сообщения и его прошлых версий (вложение, оставшееся после
+ * редактирования, учитывается один раз)
+ */
+const getBlobFilenames = (message) => {
+  const files = new Map();
+  for (const { files: versionFiles = [] } of [message, ...getRevisions(message.id)]) {
+    versionFiles.filter(isBlobFile).forEach((file) => files.set(file.url, file.filename));
+  }
+  return [...files.values()];
+};
+
+/**
+ * Загрузка корзины при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} Если файл корзины поврежден
+ */
+export const initTrash = async () => {
+  try {
+    items = JSON.parse(await fs.promises.readFile(TRASH_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${TRASH_FILE}: ${err.message}`);
+    }
+    items = [];
+  }
+
+  logger.info(`Loaded ${items.length} messages in trash`);
+};
+
+/**
+ * Поиск сообщения пользователя в корзине
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID сообщения
+ * @returns {Object|null} Элемент корзины `{ message, deletedAt }` или null
+ */
+export const findTrashItem = (userId, id) => items.find(
+  ({ message }) => message.userId === userId && message.id === id
+) || null;
+
+/**
+ * Список сообщений пользователя в корзине
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} [filters]
+ * @param {string} [filters.chatId] - Только сообщения указанного чата
+ * @returns {Array<Object>} Сообщения (от недавно удаленных к давно
+ * удаленным) с полями `deletedAt` и `expiresAt` — временем окончательного
+ * удаления
+ *
+ * @example
+ * listTrash(userId);
+ * // [{ id, chatId, message: 'Текст', files: [...], deletedAt: '...', expiresAt: '...' }]
+ */
+export const listTrash = (userId, { chatId } = {}) => items
+  .filter(({ message }) => message.userId === userId && (!chatId || message.chatId === chatId))
+  .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+  .map(({ message: { userId: owner, ...message }, deletedAt }) => ({
+    ...message,
+    deletedAt,
+    expiresAt: new Date(new Date(deletedAt).getTime() + TRASH_RETENTION).toISOString(),
+  }));
+
+/**
+ * Перемещение удаленных сообщений в корзину
+ *
+ * @param {Array<Object>} messages - Удаляемые сообщения
+ * @returns {Promise<void>}
+ *
+ * @description
+ * 1. Переносит директорию файлов каждого сообщения в `data/trash/{id}`
+ * 2. Сохраняет сообщения в корзину со временем удаления
+ *
+ * Если файлы сообщения не удалось перенести, ошибка логируется, а само
+ * сообщение все равно попадает в корзину.
+ *
+ * Вызывается до удаления сообщений из хранилища, чтобы при ошибке записи
+ * корзины сообщения не пропали. Если удалить их из хранилища не удалось,
+ * перемещение отменяется (см. {@link removeFromTrash}).
+ */
+export const moveToTrash = (messages) => writeQueue.run(async () => {
+  if (messages.length === 0) return;
+
+  const deletedAt = new Date().toISOString();
+  const ids = new Set(messages.map(({ id }) => id));
+
+  for (const message of messages) {
+    try {
+      await moveDir(getMessageUploadsDir(message.id, message.chatId), getTrashDir(message.id));
+    } catch (err) {
+      logger.error({ err }, `Failed to move uploads of message ${message.id} to trash`);
+    }
+  }
+
+  await persist([
+    ...items.filter(({ message }) => !ids.has(message.id)),
+    ...messages.map((message) => ({ message, deletedAt })),
+  ]);
+
+  logger.info(`Moved ${messages.length} messages to trash`);
+});
+
+/**
+ * Отмена перемещения сообщений в корзину
+ *
+ * @param {Array<Object>} messages - Сообщения, переданные в
+ * {@link moveToTrash}
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Возвращает директории файлов сообщений на место и удаляет сообщения
+ * из корзины. Используется, если сообщения не удалось удалить
+ * из хранилища.
+ */
+export const removeFromTrash = (messages) => writeQueue.run(async () => {
+  if (messages.length === 0) return;
+
+  const ids = new Set(messages.map(({ id }) => id));
+
+  for (const message of messages) {
+    try {
+      await moveDir(getTrashDir(message.id), getMessageUploadsDir(message.id, message.chatId));
+    } catch (err) {
+      logger.error({ err }, `Failed to move uploads of message ${message.id} back from trash`);
+    }
+  }
+
+  await persist(items.filter(({ message }) => !ids.has(message.id)));
+
+  logger.info(`Removed ${messages.length} messages from trash`);
+});
+
+/**
+ * Извлечение сообщения из корзины для восстановления
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID сообщения в корзине
+ * @param {Object} target - Куда восстановить сообщение
+ * @param {string} target.id - ID восстановленного сообщения (совпадает
+ * с исходным, если он свободен)
+ * @param {string} target.chatId - ID чата
+ * @param {Function} save - `async (message) => void`, добавляет
+ * восстановленное сообщение в хранилище (см. {@link restoreMessage})
+ * @returns {Promise<Object|null>}
+ * - Сообщение с новыми путями файлов (`filename`, `url`)
+ * - null, если сообщения нет в корзине
+ *
+ * @description
+ * 1. Переносит файлы из корзины в директорию сообщения в целевом чате
+ * 2. Сохраняет сообщение через `save`
+ * 3. Удаляет сообщение из корзины
+ *
+ * Если `save` завершился ошибкой, файлы возвращаются в корзину, сообщение
+ * остается в ней, а ошибка пробрасывается.
+ */
+export const takeFromTrash = (userId, id, target, save) => writeQueue.run(async () => {
+  const item = findTrashItem(userId, id);
+  if (!item) return null;
+
+  const messageDir = getMessageUploadsDir(target.id, target.chatId);
+  await moveDir(getTrashDir(id), messageDir);
+
+  // Файлы хранилища остаются на месте, меняется только URL вложения
+  const files = (item.message.files || []).map((file) => {
+    const [subdir, name] = file.url.split('/').slice(-2);
+    return {
+      ...file,
+      ...(!isBlobFile(file) && {
+        filename: path.relative(UPLOADS_DIR, path.join(messageDir, subdir, name)).replace(/\\/g, '/'),
+      }),
+      url: `/uploads/${target.id}/${subdir}/${name}`,
+    };
+  });
+
+  const restored = { ...item.message, ...target, files };
+
+  try {
+    await save(restored);
+  } catch (err) {
+    await moveDir(messageDir, getTrashDir(id)).catch((moveErr) => {
+      logger.error({ err: moveErr }, `Failed to move uploads of message ${id} back to trash`);
+    });
+    throw err;
+  }
+
+  try {
+    await persist(items.filter((current) => current !== item));
+  } catch (err) {
+    // Сообщение уже восстановлено: оставшаяся запись корзины не теряет данных
+    logger.error({ err }, `Failed to remove restored message ${id} from trash`);
+  }
+
+  return restored;
+});
+
+/**
+ * Окончательное удаление сообщений из корзины
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.userId] - Только сообщения пользователя
+ * @param {number} [filters.deletedBefore] - Только сообщения, удаленные
+ * раньше этого времени (в миллисекундах)
+ * @returns {Promise<number>} Количество удаленных сообщений
+ *
+ * @description
+ * Удаляет файлы и историю изменений сообщений, затем сами сообщения
+ * из корзины. Ссылки на файлы хранилища (вложения сообщений и их прошлых
+ * версий) освобождаются; сами файлы удаляются, только если на них больше
+ * не ссылается ни одно сообщение (см. {@link releaseBlobs}).
+ */
+export const purgeTrash = ({ userId, deletedBefore } = {}) => writeQueue.run(async () => {
+  const purged = items.filter(({ message, deletedAt }) => (
+    (!userId || message.userId === userId)
+    && (deletedBefore === undefined || new Date(deletedAt).getTime() < deletedBefore)
+  ));
+  if (purged.length === 0) return 0;
+
+  const ids = purged.map(({ message }) => message.id);
+  const blobFilenames = purged.flatMap(({ message }) => getBlobFilenames(message));
+
+  for (const id of ids) {
+    await fs.promises.rm(getTrashDir(id), { recursive: true, force: true });
+  }
+  await removeRevisions(ids);
+  await releaseBlobs(blobFilenames);
+  await persist(items.filter((item) => !purged.includes(item)));
+
+  logger.info(`Purged ${purged.length} messages from trash`);
+  return purged.length;
+});
+
+/**
+ * Запуск периодической очистки корзины
+ *
+ * @description
+ * Сразу и затем каждые TRASH_PURGE_INTERVAL удаляет сообщения, которые
+ * находятся в корзине дольше TRASH_RETENTION. Должен быть вызван после
+ * {@link initTrash}.
+ *
+ * @example
+ * // server.js
+ * app.listen(PORT, () => startTrashPurge());
+ */
+export const startTrashPurge = () => {
+  if (purgeTimer) return;
+
+  const purgeExpired = () => {
+    purgeTrash({ deletedBefore: Date.now() - TRASH_RETENTION })
+      .catch((err) => logger.error({ err }, 'Trash purge failed'));
+  };
+
+  purgeExpired();
+  purgeTimer = setInterval(purgeExpired, TRASH_PURGE_INTERVAL);
+  purgeTimer.unref();
+
+  logger.info(`Trash purge started (retention ${TRASH_RETENTION / 1000 / 60 / 60} h)`);
+};
@@ -0,0 +1,507 @@
+// =============================================================================
+// Сервис возобновляемых загрузок (файлы, загружаемые по частям)
+// =============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { UPLOAD_CLEANUP_INTERVAL, UPLOAD_EXPIRATION } from '../configs/uploads.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { logger } from '../utils/logger.js';
+import { STAGING_DIR, STAGING_FILE } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+import { validateFile } from './validateService.js';
+
+/**
+ * Ошибки приема части файла
+ *
+ * @enum {string}
+ * @description
+ * - BUSY — в загрузку уже записывается другая часть
+ * - OFFSET_MISMATCH — смещение части не совпадает с уже полученным объемом
+ * - TOO_LARGE — часть выходит за объявленный размер файла
+ */
+export const CHUNK_ERRORS = {
+  BUSY: 'busy',
+  OFFSET_MISMATCH: 'offset-mismatch',
+  TOO_LARGE: 'too-large',
+};
+
+/**
+ * Незавершенные и не прикрепленные к сообщениям загрузки
+ *
+ * @type {Array<Object>}
+ * @description
+ * Каждый элемент — `{ id, userId, length, filename, filetype, createdAt,
+ * expiresAt }`. После получения и проверки всего файла добавляются поля
+ * `completedAt`, `mimetype` (тип, определенный по содержимому) и `hash`.
+ * Полученная часть файла хранится в `data/staging/{id}`; уже полученный
+ * объем определяется по размеру этого файла.
+ */
+let uploads = [];
+
+/**
+ * ID загрузок, в которые сейчас записывается часть файла
+ * @type {Set<string>}
+ */
+const receiving = new Set();
+
+/**
+ * ID загрузок, которые сейчас прикрепляются к сообщению
+ * (см. {@link takeUploads})
+ * @type {Set<string>}
+ */
+const attaching = new Set();
+
+/**
+ * Таймер периодической очистки (null, если очистка не запущена)
+ */
+let cleanupTimer = null;
+
+/**
+ * Очередь записи списка загрузок
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Сохраняет список загрузок в файл и делает его текущим
+ *
+ * @param {Array<Object>} nextUploads - Новое состояние
+ */
+const persist = async (nextUploads) => {
+  await writeFileAtomic(STAGING_FILE, JSON.stringify(nextUploads, null, 2));
+  uploads = nextUploads;
+};
+
+/**
+ * Путь к полученной части файла
+ *
+ * @param {string} id - ID загрузки
+ * @returns {string}
+ */
+const getStagingPath = (id) => path.join(STAGING_DIR, id);
+
+/**
+ * Создает для сообщения отдельную ссылку на полученный файл
+ *
+ * @param {string} id - ID загрузки
+ * @returns {Promise<string>} Путь к ссылке в `data/staging`
+ *
+ * @description
+ * Файл сообщения переносится в хранилище, а сама загрузка остается
+ * на месте, пока сообщение не сохранено. Если жесткая ссылка
+ * не поддерживается, файл копируется.
+ */
+const linkStagedFile = async (id) => {
+  const linkPath = getStagingPath(`${id}.${uuidv4()}`);
+  try {
+    await fs.promises.link(getStagingPath(id), linkPath);
+  } catch {
+    await fs.promises.copyFile(getStagingPath(id), linkPath);
+  }
+  return linkPath;
+};
+
+/**
+ * Срок хранения загрузки, отсчитываемый от текущего момента
+ *
+ * @returns {string} Дата в формате ISO
+ */
+const getExpiresAt = () => new Date(Date.now() + UPLOAD_EXPIRATION).toISOString();
+
+/**
+ * Загрузка списка загрузок при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} Если файл списка загрузок поврежден
+ */
+export const initUploads = async () => {
+  try {
+    uploads = JSON.parse(await fs.promises.readFile(STAGING_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${STAGING_FILE}: ${err.message}`);
+    }
+    uploads = [];
+  }
+
+  logger.info(`Loaded ${uploads.length} pending uploads`);
+};
+
+/**
+ * Поиск загрузки пользователя
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID загрузки
+ * @returns {Object|null}
+ */
+export const findUpload = (userId, id) => uploads.find(
+  (upload) => upload.id === id && upload.userId === userId
+) || null;
+
+/**
+ * Место, зарезервированное загрузками пользователя
+ *
+ * @param {string} userId - ID пользователя
+ * @returns {Object} `{ bytes, files }` — объявленный размер и количество
+ * загрузок, еще не прикрепленных к сообщениям
+ *
+ * @description
+ * Учитывается объявленный размер (Upload-Length), а не уже полученный
+ * объем: иначе несколько одновременно созданных загрузок по отдельности
+ * проходили бы проверку квоты, а вместе превышали бы ее.
+ */
+export const getPendingUploadUsage = (userId) => {
+  const pending = uploads.filter((upload) => upload.userId === userId);
+  return {
+    bytes: pending.reduce((sum, upload) => sum + upload.length, 0),
+    files: pending.length,
+  };
+};
+
+/**
+ * Объем уже полученной части файла
+ *
+ * @param {Object} upload - Загрузка
+ * @returns {Promise<number>} Смещение, с которого нужно продолжить загрузку
+ */
+export const getUploadOffset = async (upload) => {
+  try {
+    return (await fs.promises.stat(getStagingPath(upload.id))).size;
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+};
+
+/**
+ * Создание загрузки
+ *
+ * @param {string} userId - ID пользователя
+ * @param {Object} options
+ * @param {number} options.length - Размер файла в байтах
+ * @param {string} [options.filename] - Исходное имя файла
+ * @param {string} [options.filetype] - MIME-тип, объявленный клиентом
+ * @param {Object} [checks]
+ * @param {Function} [checks.checkQuota] - Проверка квоты: возвращает
+ * `{ status, error }` или null (см. {@link checkStorageQuota})
+ * @returns {Promise<Object>} `{ upload }` — созданная загрузка, или
+ * `{ quotaError }`, если файл не помещается в квоту
+ *
+ * @description
+ * Квота проверяется в очереди непосредственно перед созданием, поэтому
+ * одновременно созданные загрузки учитывают друг друга
+ * (см. {@link getPendingUploadUsage}).
+ */
+export const createUpload = (
+  userId,
+  { length, filename, filetype },
+  { checkQuota } = {}
+) => writeQueue.run(async () => {
+  const quotaError = checkQuota?.() || null;
+  if (quotaError) return { quotaError };
+
+  const upload = {
+    id: uuidv4(),
+    userId,
+    length,
+    filename: filename || null,
+    filetype: filetype || null,
+    createdAt: new Date().toISOString(),
+    expiresAt: getExpiresAt(),
+  };
+
+  await fs.promises.writeFile(getStagingPath(upload.id), '');
+  await persist([...uploads, upload]);
+
+  logger.info(`Upload ${upload.id} created (${length} bytes)`);
+  return { upload };
+});
+
+/**
+ * Прием части файла
+ *
+ * @param {Object} upload - Загрузка
+ * @param {number} offset - Смещение части, указанное клиентом
+ * @param {stream.Readable} stream - Содержимое части
+ * @returns {Promise<Object>} `{ offset, error }`:
+ * - `offset` — объем полученной части файла после записи
+ * - `error` — значение из {@link CHUNK_ERRORS} или null
+ *
+ * @description
+ * 1. Проверяет, что в загрузку не записывается другая часть и что смещение
+ *    совпадает с уже полученным объемом
+ * 2. Дописывает часть в конец файла, не выходя за объявленный размер
+ * 3. Продлевает срок хранения загрузки
+ *
+ * Если соединение оборвалось, уже полученные байты сохраняются, и клиент
+ * может продолжить загрузку с нового смещения.
+ */
+export const appendUploadChunk = async (upload, offset, stream) => {
+  if (receiving.has(upload.id)) {
+    return { offset: await getUploadOffset(upload), error: CHUNK_ERRORS.BUSY };
+  }
+  receiving.add(upload.id);
+
+  try {
+    const currentOffset = await getUploadOffset(upload);
+    if (offset !== currentOffset) {
+      return { offset: currentOffset, error: CHUNK_ERRORS.OFFSET_MISMATCH };
+    }
+
+    const remaining = upload.length - currentOffset;
+    let received = 0;
+    let tooLarge = false;
+
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          tooLarge = true;
+          callback(new Error('Upload chunk exceeds declared length'));
+          return;
+        }
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(stream, limiter, fs.createWriteStream(getStagingPath(upload.id), { flags: 'a' }));
+    } catch (err) {
+      // Оборванное соединение — обычная ситуация для возобновляемой
+      // загрузки: клиент узнает новое смещение и продолжит с него
+      const isInterrupted = ['ECONNRESET', 'ERR_STREAM_PREMATURE_CLOSE'].includes(err.code);
+      if (!tooLarge && !isInterrupted) throw err;
+      if (isInterrupted) logger.warn(`Upload ${upload.id} interrupted`);
+    }
+
+    await writeQueue.run(() => persist(uploads.map((current) => (
+      current.id === upload.id ? { ...current, expiresAt: getExpiresAt() } : current
+    ))));
+
+    return {
+      offset: await getUploadOffset(upload),
+      error: tooLarge ? CHUNK_ERRORS.TOO_LARGE : null,
+    };
+  } finally {
+    receiving.delete(upload.id);
+  }
+};
+
+/**
+ * Завершение загрузки: проверка полученного файла
+ *
+ * @param {Object} upload - Загрузка, файл которой получен полностью
+ * @returns {Promise<Object>} `{ upload, error }`:
+ * - `upload` — загрузка с полями `completedAt`, `mimetype` и `hash`
+ *   (null, если файл не прошел проверку)
+ * - `error` — причина, по которой файл не прошел проверку
+ *
+ * @description
+ * Файл проверяется по содержимому так же, как при обычной отправке
+ * (см. {@link validateFile}). Не прошедшая проверку загрузка удаляется.
+ */
+export const completeUpload = async (upload) => {
+  const result = await validateFile(getStagingPath(upload.id));
+
+  if (!result.isValid) {
+    await removeUpload(upload.userId, upload.id);
+    logger.warn(`Upload ${upload.id} failed validation: ${result.error}`);
+    return { upload: null, error: result.error };
+  }
+
+  const completed = {
+    ...upload,
+    completedAt: new Date().toISOString(),
+    mimetype: result.detectedMimeType,
+    hash: result.hash,
+  };
+  await writeQueue.run(() => persist(uploads.map((current) => (
+    current.id === upload.id ? { ...current, ...completed } : current
+  ))));
+
+  logger.info(`Upload ${upload.id} completed (${result.detectedMimeType})`);
+  return { upload: completed, error: null };
+};
+
+/**
+ * Извлечение завершенных загрузок для прикрепления к сообщению
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string[]} ids - ID загрузок
+ * @returns {Promise<Object>} `{ files, error }`:
+ * - `files` — описания файлов в том же виде, что и файлы multipart-формы
+ *   (для {@link organizeUploadedFiles})
+ * - `error` — сообщение об ошибке, если какая-то загрузка не найдена,
+ *   еще не завершена или уже прикрепляется к другому сообщению (тогда
+ *   ни одна загрузка не извлекается)
+ *
+ * @description
+ * Загрузки остаются в списке, но не могут быть извлечены повторно, пока
+ * вызывающий код не сохранит сообщение ({@link finishUploads}) или
+ * не вернет их ({@link releaseUploads}). Файлы в `files` — отдельные
+ * ссылки на полученные файлы: их можно перенести в хранилище, не теряя
+ * загрузку, если сообщение сохранить не удастся.
+ */
+export const takeUploads = (userId, ids) => writeQueue.run(async () => {
+  const taken = [];
+
+  for (const id of new Set(ids)) {
+    const upload = findUpload(userId, id);
+    if (!upload?.completedAt || attaching.has(id)) {
+      return { files: [], error: `Загрузка не найдена или не завершена: ${id}` };
+    }
+    taken.push(upload);
+  }
+
+  const files = [];
+  try {
+    for (const upload of taken) {
+      files.push({
+        filepath: await linkStagedFile(upload.id),
+        originalFilename: upload.filename || upload.id,
+        mimetype: upload.mimetype,
+        realMimetype: upload.mimetype,
+        size: upload.length,
+        hash: upload.hash,
+      });
+    }
+  } catch (err) {
+    await Promise.all(files.map(({ filepath }) => fs.promises.rm(filepath, { force: true })));
+    throw err;
+  }
+
+  taken.forEach(({ id }) => attaching.add(id));
+  return { files, error: null };
+});
+
+/**
+ * Удаление загрузок, прикрепленных к сохраненному сообщению
+ *
+ * @param {string[]} ids - ID загрузок из {@link takeUploads}
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Удаляет загрузки из списка вместе с полученными файлами. Ошибка
+ * логируется, но не пробрасывается: сообщение уже сохранено, а оставшиеся
+ * загрузки удалятся по сроку хранения.
+ */
+export const finishUploads = (ids) => writeQueue.run(async () => {
+  const idSet = new Set(ids);
+  if (idSet.size === 0) return;
+
+  try {
+    await persist(uploads.filter((upload) => !idSet.has(upload.id)));
+    for (const id of idSet) {
+      await fs.promises.rm(getStagingPath(id), { force: true });
+    }
+  } catch (err) {
+    logger.error({ err }, `Failed to remove attached uploads: ${[...idSet].join(', ')}`);
+  } finally {
+    idSet.forEach((id) => attaching.delete(id));
+  }
+});
+
+/**
+ * Возврат загрузок, которые не удалось прикрепить к сообщению
+ *
+ * @param {string[]} ids - ID загрузок из {@link takeUploads}
+ *
+ * @description
+ * Загрузки снова можно прикрепить к сообщению (например, повторить
+ * отправку).
+ */
+export const releaseUploads = (ids) => {
+  ids.forEach((id) => attaching.delete(id));
+};
+
+/**
+ * Отмена загрузки
+ *
+ * @param {string} userId - ID пользователя
+ * @param {string} id - ID загрузки
+ * @returns {Promise<boolean>}
+ * - true, если загрузка удалена вместе с полученной частью файла
+ * - false, если загрузка не найдена
+ */
+export const removeUpload = (userId, id) => writeQueue.run(async () => {
+  const upload = findUpload(userId, id);
+  if (!upload) return false;
+
+  await persist(uploads.filter((current) => current !== upload));
+  await fs.promises.rm(getStagingPath(id), { force: true });
+  return true;
+});
+
+/**
+ * Удаление загрузок с истекшим сроком хранения
+ *
+ * @returns {Promise<number>} Количество удаленных загрузок
+ *
+ * @description
+ * Удаляются загрузки, в которые давно не поступали данные (вместе
+ * с полученными частями файлов), а также
+ * оставшиеся без записи в списке файлы `data/staging` (например, ссылки
+ * на файлы после сбоя при отправке сообщения) старше UPLOAD_EXPIRATION.
+ */
+export const removeExpiredUploads = () => writeQueue.run(async () => {
+  const now = Date.now();
+  const expired = uploads.filter((upload) => (
+    !receiving.has(upload.id)
+    && !attaching.has(upload.id)
+    && new Date(upload.expiresAt).getTime() < now
+  ));
+
+  if (expired.length > 0) {
+    await persist(uploads.filter((upload) => !expired.includes(upload)));
+  }
+  for (const { id } of expired) {
+    await fs.promises.rm(getStagingPath(id), { force: true });
+  }
+
+  const knownIds = new Set(uploads.map(({ id }) => id));
+  for (const name of await fs.promises.readdir(STAGING_DIR)) {
+    // Ссылки на файлы загрузок, которые прикрепляются сейчас, — `{id}.{uuid}`
+    if (knownIds.has(name) || attaching.has(name.split('.')[0])) continue;
+
+    const { mtimeMs } = await fs.promises.stat(getStagingPath(name));
+    if (mtimeMs < now - UPLOAD_EXPIRATION) {
+      await fs.promises.rm(getStagingPath(name), { force: true });
+    }
+  }
+
+  return expired.length;
+});
+
+/**
+ * Запуск периодической очистки брошенных загрузок
+ *
+ * @description
+ * Сразу и затем каждые UPLOAD_CLEANUP_INTERVAL удаляет загрузки, срок
+ * хранения которых истек (см. {@link removeExpiredUploads}). Должен быть
+ * вызван после {@link initUploads}.
+ *
+ * @example
+ * // server.js
+ * app.listen(PORT, () => startUploadCleanup());
+ */
+export const startUploadCleanup = () => {
+  if (cleanupTimer) return;
+
+  const cleanupExpired = () => {
+    removeExpiredUploads()
+      .then((removed) => {
+        if (removed > 0) logger.info(`Removed ${removed} expired uploads`);
+      })
+      .catch((err) => logger.error({ err }, 'Upload cleanup failed'));
+  };
+
+  cleanupExpired();
+  cleanupTimer = setInterval(cleanupExpired, UPLOAD_CLEANUP_INTERVAL);
+  cleanupTimer.unref();
+
+  logger.info(`Upload cleanup started (expiration ${UPLOAD_EXPIRATION / 1000 / 60 / 60} h)`);
+};
@@ -0,0 +1,262 @@
+// =============================================================================
+// Сервис учетных записей пользователей
+// =============================================================================
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  LEGACY_DATA_OWNER,
+  PASSWORD_MAX_LENGTH,
+  PASSWORD_MIN_LENGTH,
+  USERNAME_PATTERN,
+} from '../configs/auth.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { logger } from '../utils/logger.js';
+import { USERS_FILE } from '../utils/paths.js';
+import { createSerialQueue } from '../utils/serialQueue.js';
+import { adoptLegacyChats, ensureDefaultChat } from './chatService.js';
+import { adoptLegacyMessages, countLegacyMessages } from './messageService.js';
+import { adoptLegacySettings } from './settingsService.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Длина ключа scrypt (в байтах)
+ * @type {number}
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * Пользователи в памяти
+ *
+ * @type {Array<Object>}
+ * @description
+ * Каждый пользователь — `{ id, username, passwordHash, createdAt }`.
+ */
+let users = [];
+
+/**
+ * Очередь записи пользователей
+ */
+const writeQueue = createSerialQueue();
+
+/**
+ * Сохраняет пользователей в файл и делает их текущими
+ *
+ * @param {Array<Object>} nextUsers - Новое состояние
+ */
+const persist = async (nextUsers) => {
+  await writeFileAtomic(USERS_FILE, JSON.stringify(nextUsers, null, 2));
+  users = nextUsers;
+};
+
+/**
+ * Хеширует пароль
+ *
+ * @param {string} password - Пароль
+ * @returns {Promise<string>} Строка `scrypt:<соль>:<хеш>` (hex)
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+/**
+ * Сравнивает пароль с сохраненным хешем за постоянное время
+ *
+ * @param {string} password - Пароль
+ * @param {string} passwordHash - Хеш из {@link hashPassword}
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = async (password, passwordHash) => {
+  const [, saltHex, hashHex] = passwordHash.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Хеш для сравнения, когда пользователь не найден
+ *
+ * @type {Promise<string>}
+ * @description
+ * Вход с несуществующим именем выполняет такое же хеширование, как
+ * с существующим, чтобы по времени ответа нельзя было подобрать имена.
+ */
+const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Передача владельцу данных, созданных до появления учетных записей
+ *
+ * @param {string} userId - ID пользователя-владельца
+ * @returns {Promise<void>}
+ *
+ * @description
+ * Сообщения, чаты и настройки без владельца переходят к пользователю,
+ * указанному в LEGACY_DATA_OWNER. Владелец записывается в хранилище,
+ * поэтому при следующих запусках передавать уже нечего.
+ */
+const claimLegacyData = async (userId) => {
+  const messageCount = await adoptLegacyMessages(userId);
+  const chatCount = await adoptLegacyChats(userId);
+  const hasSettings = await adoptLegacySettings(userId);
+
+  if (messageCount || chatCount || hasSettings) {
+    logger.info(
+      `User ${userId} claimed legacy data: ${messageCount} messages, ${chatCount} chats`
+      + `${hasSettings ? ', settings' : ''}`
+    );
+  }
+};
+
+/**
+ * Загрузка пользователей при запуске приложения
+ *
+ * @returns {Promise<void>}
+ *
+ * @description
+ * 1. Читает пользователей из файла
+ * 2. Гарантирует наличие чата по умолчанию у каждого пользователя
+ * 3. Передает данные без владельца пользователю LEGACY_DATA_OWNER, если
+ *    он зарегистрирован (см. {@link claimLegacyData}). Если данные
+ *    без владельца остались, пишет предупреждение
+ *
+ * Данные не передаются автоматически (например, первому
+ * зарегистрированному): регистрация открыта, и иначе история досталась бы
+ * тому, кто зарегистрируется первым. Флаг `legacyOwner`, который раньше
+ * получал первый пользователь, не учитывается.
+ *
+ * Должна быть вызвана после загрузки сообщений, чатов и настроек.
+ *
+ * @throws {Error} Если файл пользователей поврежден
+ */
+export const initUsers = async () => {
+  try {
+    users = JSON.parse(await fs.promises.readFile(USERS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${USERS_FILE}: ${err.message}`);
+    }
+    users = [];
+  }
+
+  for (const user of users) await ensureDefaultChat(user.id);
+
+  if (LEGACY_DATA_OWNER) {
+    const owner = findUserByUsername(LEGACY_DATA_OWNER);
+    if (owner) await claimLegacyData(owner.id);
+    else logger.warn(`Legacy data owner "${LEGACY_DATA_OWNER}" is not registered`);
+  }
+
+  const legacyCount = countLegacyMessages();
+  if (legacyCount > 0) {
+    logger.warn(
+      `${legacyCount} messages have no owner; register an account and restart `
+      + 'with LEGACY_DATA_OWNER=<username> to claim them'
+    );
+  }
+
+  logger.info(`Loaded ${users.length} users`);
+};
+
+/**
+ * Публичное представление пользователя (без хеша пароля)
+ *
+ * @param {Object} user - Пользователь
+ * @returns {Object} `{ id, username, createdAt }`
+ */
+export const toPublicUser = ({ id, username, createdAt }) => ({ id, username, createdAt });
+
+/**
+ * Поиск пользователя по ID
+ *
+ * @param {string} id - ID пользователя
+ * @returns {Object|null} Пользователь или null, если не найден
+ */
+export const findUserById = (id) => users.find((user) => user.id === id) || null;
+
+/**
+ * Поиск пользователя по имени (без учета регистра)
+ *
+ * @param {string} username - Имя пользователя
+ * @returns {Object|null} Пользователь или null, если не найден
+ */
+const findUserByUsername = (username) => users.find(
+  (user) => user.username.toLowerCase() === username.toLowerCase()
+) || null;
+
+/**
+ * Проверка имени пользователя и пароля при регистрации
+ *
+ * @param {*} username - Имя пользователя из запроса
+ * @param {*} password - Пароль из запроса
+ * @returns {string|null} Текст ошибки или null, если данные корректны
+ */
+export const validateCredentials = (username, password) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'Имя пользователя должно содержать от 3 до 32 символов: латинские буквы, цифры, «_», «.» или «-»';
+  }
+  if (
+    typeof password !== 'string'
+    || password.length < PASSWORD_MIN_LENGTH
+    || password.length > PASSWORD_MAX_LENGTH
+  ) {
+    return `Пароль должен содержать от ${PASSWORD_MIN_LENGTH} до ${PASSWORD_MAX_LENGTH} символов`;
+  }
+  return null;
+};
+
+/**
+ * Регистрация пользователя
+ *
+ * @param {string} username - Имя пользователя (проверяется {@link validateCredentials})
+ * @param {string} password - Пароль
+ * @returns {Promise<Object|null>}
+ * - Созданный пользователь
+ * - null, если имя уже занято
+ *
+ * @description
+ * 1. Хеширует пароль (scrypt со случайной солью)
+ * 2. Сохраняет пользователя
+ * 3. Создает чат по умолчанию
+ *
+ * @example
+ * const user = await registerUser('alice', 'secret-password');
+ */
+export const registerUser = (username, password) => writeQueue.run(async () => {
+  if (findUserByUsername(username)) return null;
+
+  const user = {
+    id: uuidv4(),
+    username,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date().toISOString(),
+  };
+
+  await persist([...users, user]);
+  await ensureDefaultChat(user.id);
+
+  logger.info(`User ${user.id} registered`);
+  return user;
+});
+
+/**
+ * Проверка имени пользователя и пароля при входе
+ *
+ * @param {*} username - Имя пользователя
+ * @param {*} password - Пароль
+ * @returns {Promise<Object|null>} Пользователь или null, если имя
+ * или пароль неверны
+ */
+export const authenticateUser = async (username, password) => {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+  if (password.length > PASSWORD_MAX_LENGTH) return null;
+
+  const user = findUserByUsername(username);
+  const isValid = await verifyPassword(password, user?.passwordHash || await dummyHash);
+
+  return user && isValid ? user : null;
+};
@@ -4,6 +4,7 @@
 
 import { fileTypeFromFile } from 'file-type';
 import { ALLOWED_FILE_TYPES } from '../configs/fileTypes.js';
+import { hashFile } from '../utils/hashFile.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -13,13 +14,16 @@ import { logger } from '../utils/logger.js';
  * @returns {Promise<Object>} Результат валидации
  * @property {boolean} isValid - Файл валиден или нет
  * @property {string|null} detectedMimeType - Обнаруженный MIME-тип по содержимому
+ * @property {string|null} hash - SHA-256 содержимого валидного файла
+ * (по нему одинаковые файлы хранятся в одном экземпляре)
  * @property {string|null} error - Сообщение об ошибке, если файл невалиден
  *
  * @description
  * 1. Определяет MIME-тип файла по магическим байтам с помощью file-type
  * 2. Сравнивает с списком разрешенных типов ALLOWED_FILE_TYPES
- * 3. Логирует результат валидации
- * 4. Возвращает объект с результатом
+ * 3. Для валидного файла вычисляет SHA-256 содержимого
+ * 4. Логирует результат валидации
+ * 5. Возвращает объект с результатом
  *
  * @example
  * const result = await validateFile('/path/to/file.jpg');
@@ -41,25 +45,31 @@ export const validateFile = async (filePath) => {
       return {
         isValid: false,
         detectedMimeType: null,
+        hash: null,
         error: 'Не удалось определить тип файла по содержимому',
       };
     }
 
-    const { mime: detectedMimeType } = fileTypeResult;
+    // Параметры MIME-типа отбрасываются ('audio/ogg; codecs=opus' → 'audio/ogg')
+    const detectedMimeType = fileTypeResult.mime.split(';')[0].trim();
 
     if (!ALLOWED_FILE_TYPES.includes(detectedMimeType)) {
       logger.warn(`File validation failed: detected MIME type ${detectedMimeType} not allowed for ${filePath}`);
       return {
         isValid: false,
         detectedMimeType,
+        hash: null,
         error: `Тип файла "${detectedMimeType}" не разрешен`,
       };
     }
 
+    const hash = await hashFile(filePath);
+
     logger.info(`File validation passed: ${detectedMimeType} for ${filePath}`);
     return {
       isValid: true,
       detectedMimeType,
+      hash,
       error: null,
     };
   } catch (error) {
@@ -67,6 +77,7 @@ export const validateFile = async (filePath) => {
     return {
       isValid: false,
       detectedMimeType: null,
+      hash: null,
       error: 'Ошибка при валидации файла',
     };
   }
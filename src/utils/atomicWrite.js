@@ -0,0 +1,85 @@
+// =============================================================================
+// Утилита для атомарной записи файлов
+// =============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Суффикс временных файлов, создаваемых при атомарной записи
+ * @type {string}
+ */
+export const TEMP_FILE_SUFFIX = '.tmp';
+
+/**
+ * Атомарно записывает данные в файл
+ *
+ * @param {string} filePath - Путь к целевому файлу
+ * @param {string|Buffer} data - Записываемые данные
+ * @param {Object} [options] - Дополнительные параметры
+ * @param {string} [options.backupPath] - Путь, по которому сохраняется
+ * предыдущая версия файла
+ * @returns {Promise<void>}
+ *
+ * @description
+ * 1. Записывает данные во временный файл рядом с целевым
+ * 2. Сбрасывает данные на диск (fsync)
+ * 3. Если указан backupPath, переименовывает текущий файл в резервную копию
+ * 4. Переименовывает временный файл в целевой
+ *
+ * Переименование в пределах одной файловой системы атомарно, поэтому
+ * при сбое целевой файл содержит либо старую, либо новую версию целиком,
+ * но никогда не обрезанную. При сбое между шагами 3 и 4 целевой файл
+ * отсутствует, а его последняя версия находится в резервной копии.
+ *
+ * @example
+ * await writeFileAtomic(MESSAGES_FILE, JSON.stringify(messages), {
+ *   backupPath: `${MESSAGES_FILE}.bak`,
+ * });
+ */
+export const writeFileAtomic = async (filePath, data, { backupPath } = {}) => {
+  const tempPath = `${filePath}.${uuidv4()}${TEMP_FILE_SUFFIX}`;
+  const handle = await fs.promises.open(tempPath, 'w');
+
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } catch (err) {
+    await handle.close();
+    await fs.promises.rm(tempPath, { force: true });
+    throw err;
+  }
+
+  await handle.close();
+
+  if (backupPath) {
+    await fs.promises.rename(filePath, backupPath).catch((err) => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  }
+
+  await fs.promises.rename(tempPath, filePath);
+};
+
+/**
+ * Удаляет временные файлы, оставшиеся после прерванной атомарной записи
+ *
+ * @param {string} filePath - Путь к целевому файлу
+ * @returns {Promise<number>} Количество удаленных файлов
+ */
+export const removeStaleTempFiles = async (filePath) => {
+  const dir = path.dirname(filePath);
+  const prefix = `${path.basename(filePath)}.`;
+
+  const entries = await fs.promises.readdir(dir).catch(() => []);
+  const staleFiles = entries.filter(
+    (name) => name.startsWith(prefix) && name.endsWith(TEMP_FILE_SUFFIX)
+  );
+
+  await Promise.all(
+    staleFiles.map((name) => fs.promises.rm(path.join(dir, name), { force: true }))
+  );
+
+  return staleFiles.length;
+};
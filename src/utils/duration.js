@@ -0,0 +1,59 @@
+// =============================================================================
+// Утилита для разбора интервалов времени
+// =============================================================================
+
+/**
+ * Длительность единиц интервала (в миллисекундах)
+ * @type {Object<string, number>}
+ */
+const UNIT_MS = {
+  m: 60 * 1000,
+  min: 60 * 1000,
+  'м': 60 * 1000,
+  'мин': 60 * 1000,
+  h: 60 * 60 * 1000,
+  'ч': 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  'д': 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  'н': 7 * 24 * 60 * 60 * 1000,
+  'нед': 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Регулярное выражение одной части интервала: число и единица
+ * @type {RegExp}
+ */
+const PART_REGEXP = /(\d+)\s*([a-zа-я]+)/giy;
+
+/**
+ * Разбор интервала времени
+ *
+ * @param {*} value - Интервал: числа с единицами (m/min/м/мин — минуты,
+ * h/ч — часы, d/д — дни, w/н/нед — недели), части можно комбинировать
+ * @returns {number|null} Интервал в миллисекундах или null, если строка
+ * не является интервалом
+ *
+ * @example
+ * parseDuration('2h');     // 7200000
+ * parseDuration('1ч30м');  // 5400000
+ * parseDuration('завтра'); // null
+ */
+export const parseDuration = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim().replace(/\s+/g, '');
+  if (!text) return null;
+
+  let total = 0;
+  PART_REGEXP.lastIndex = 0;
+
+  while (PART_REGEXP.lastIndex < text.length) {
+    const match = PART_REGEXP.exec(text);
+    const unitMs = match && UNIT_MS[match[2].toLowerCase()];
+    if (!unitMs) return null;
+    total += Number(match[1]) * unitMs;
+  }
+
+  return total > 0 ? total : null;
+};
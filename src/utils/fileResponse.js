@@ -0,0 +1,178 @@
+// =============================================================================
+// Утилита для отправки файлов клиенту с поддержкой Range и условных запросов
+// =============================================================================
+
+import fs from 'fs';
+
+/**
+ * Формирует строгий ETag файла
+ *
+ * @param {fs.Stats} stat - Информация о файле
+ * @param {string} [hash] - Хеш содержимого файла
+ * @returns {string} ETag в кавычках
+ *
+ * @description
+ * ETag — хеш содержимого: он не меняется при копировании или
+ * восстановлении файла и совпадает только у одинаковых файлов. Для файлов
+ * без хеша (загруженных до появления хранилища по содержимому) ETag
+ * строится из размера и времени изменения.
+ */
+const createEtag = (stat, hash) => (
+  hash
+    ? `"${hash}"`
+    : `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`
+);
+
+/**
+ * Время изменения файла с точностью до секунды (как в Last-Modified)
+ *
+ * @param {fs.Stats} stat - Информация о файле
+ * @returns {number} Время в миллисекундах
+ */
+const getLastModified = (stat) => Math.floor(stat.mtimeMs / 1000) * 1000;
+
+/**
+ * Проверяет, не изменился ли файл с версии, которая есть у клиента
+ *
+ * @param {Object} headers - Заголовки запроса
+ * @param {string} etag - ETag файла
+ * @param {number} lastModified - Время изменения файла
+ * @returns {boolean} true, если можно ответить 304 Not Modified
+ *
+ * @description
+ * Если передан If-None-Match, If-Modified-Since игнорируется (RFC 9110).
+ * If-None-Match сравнивается в слабом режиме: `W/"..."` совпадает
+ * с `"..."`.
+ */
+const isNotModified = (headers, etag, lastModified) => {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some((value) => {
+      const tag = value.trim();
+      return tag === '*' || tag.replace(/^W\//, '') === etag;
+    });
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since']);
+  return !Number.isNaN(ifModifiedSince) && lastModified <= ifModifiedSince;
+};
+
+/**
+ * Разбирает заголовок Range
+ *
+ * @param {Object} headers - Заголовки запроса
+ * @param {number} size - Размер файла
+ * @param {string} etag - ETag файла
+ * @param {number} lastModified - Время изменения файла
+ * @returns {Object|null}
+ * - `{ start, end }` — запрошенный диапазон (включительно)
+ * - `{ unsatisfiable: true }` — диапазон за пределами файла
+ * - null, если нужно отдать файл целиком: Range не передан, некорректен,
+ *   содержит несколько диапазонов или If-Range не совпадает с версией файла
+ *
+ * @example
+ * parseRange({ range: 'bytes=0-99' }, 1000, etag, mtime);  // { start: 0, end: 99 }
+ * parseRange({ range: 'bytes=-100' }, 1000, etag, mtime);  // { start: 900, end: 999 }
+ * parseRange({ range: 'bytes=2000-' }, 1000, etag, mtime); // { unsatisfiable: true }
+ */
+const parseRange = (headers, size, etag, lastModified) => {
+  const { range, 'if-range': ifRange } = headers;
+  if (!range || !range.startsWith('bytes=')) return null;
+
+  if (ifRange) {
+    const isCurrent = /^(W\/)?"/.test(ifRange)
+      ? ifRange === etag
+      : Date.parse(ifRange) === lastModified;
+    if (!isCurrent) return null;
+  }
+
+  const specs = range.slice('bytes='.length).split(',');
+  if (specs.length !== 1) return null;
+
+  const match = specs[0].trim().match(/^(\d*)-(\d*)$/);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  if (!match[1]) {
+    const suffix = Number(match[2]);
+    if (suffix === 0 || size === 0) return { unsatisfiable: true };
+    return { start: Math.max(size - suffix, 0), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] ? Number(match[2]) : size - 1;
+  if (start >= size || start > end) return { unsatisfiable: true };
+
+  return { start, end: Math.min(end, size - 1) };
+};
+
+/**
+ * Отправляет файл в ответ с поддержкой докачки и кеширования
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {string} filePath - Полный путь к файлу (должен существовать)
+ * @param {Object} options
+ * @param {string} options.contentType - MIME-тип файла
+ * @param {string} options.filename - Имя файла для Content-Disposition
+ * @param {string} [options.hash] - Хеш содержимого для ETag
+ * (см. {@link createEtag})
+ * @returns {Promise<void>}
+ *
+ * @description
+ * 1. Устанавливает ETag, Last-Modified и Accept-Ranges
+ * 2. Отвечает 304, если у клиента актуальная версия (If-None-Match,
+ *    If-Modified-Since)
+ * 3. Для запроса с Range отдает часть файла (206) или 416, если диапазон
+ *    за пределами файла. If-Range учитывается: если файл изменился,
+ *    отдается целиком
+ * 4. Для HEAD отправляет только заголовки, не открывая файл
+ *
+ * @example
+ * await sendFile(ctx, '/data/uploads/1/videos/a.mp4', {
+ *   contentType: 'video/mp4',
+ *   filename: 'a.mp4',
+ *   hash: 'e3b0c442...',
+ * });
+ * // Range: bytes=0-1023 → 206, Content-Range: bytes 0-1023/52428800
+ */
+export const sendFile = async (ctx, filePath, { contentType, filename, hash }) => {
+  const stat = await fs.promises.stat(filePath);
+  const etag = createEtag(stat, hash);
+  const lastModified = getLastModified(stat);
+
+  ctx.set('Accept-Ranges', 'bytes');
+  ctx.set('ETag', etag);
+  ctx.set('Last-Modified', new Date(lastModified).toUTCString());
+  ctx.set('Cache-Control', 'private, max-age=3600'); // Кеширование на 1 час
+  ctx.set('X-Content-Type-Options', 'nosniff'); // Предотвращает MIME sniffing
+
+  if (isNotModified(ctx.headers, etag, lastModified)) {
+    ctx.status = 304;
+    return;
+  }
+
+  const range = parseRange(ctx.headers, stat.size, etag, lastModified);
+
+  if (range?.unsatisfiable) {
+    ctx.status = 416;
+    ctx.set('Content-Range', `bytes */${stat.size}`);
+    ctx.body = { success: false, error: 'Запрошенный диапазон недоступен' };
+    return;
+  }
+
+  ctx.set('Content-Type', contentType);
+  ctx.set('Content-Disposition', `inline; filename="${filename}"`); // inline для отображения в браузере
+
+  if (range) {
+    ctx.status = 206;
+    ctx.set('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+    ctx.set('Content-Length', range.end - range.start + 1);
+  } else {
+    ctx.status = 200;
+    ctx.set('Content-Length', stat.size);
+  }
+
+  // Для HEAD Koa отправляет только заголовки, поэтому файл не открывается
+  if (ctx.method === 'HEAD') return;
+
+  ctx.body = fs.createReadStream(filePath, range || {});
+};
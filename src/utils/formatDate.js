@@ -0,0 +1,19 @@
+// =============================================================================
+// Утилита для форматирования дат в сообщениях бота
+// =============================================================================
+
+/**
+ * Форматирует дату и время в часовом поясе пользователя
+ *
+ * @param {string|Date} value - Дата (строка ISO или Date)
+ * @param {string} timeZone - Часовой пояс IANA из настроек пользователя
+ * @returns {string} Например, «19.10.2026, 15:04»
+ *
+ * @example
+ * formatDateTime('2026-10-19T12:04:00.000Z', 'Europe/Moscow'); // '19.10.2026, 15:04'
+ */
+export const formatDateTime = (value, timeZone) => new Date(value).toLocaleString('ru-RU', {
+  timeZone,
+  dateStyle: 'short',
+  timeStyle: 'short',
+});
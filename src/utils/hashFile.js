@@ -0,0 +1,27 @@
+// =============================================================================
+// Утилита для вычисления хеша содержимого файла
+// =============================================================================
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+
+/**
+ * Вычисляет SHA-256 содержимого файла
+ *
+ * @param {string} filePath - Путь к файлу
+ * @returns {Promise<string>} Хеш в шестнадцатеричном виде
+ *
+ * @description
+ * Файл читается потоком, поэтому целиком в память не загружается.
+ *
+ * @example
+ * await hashFile('/tmp/upload_abc');
+ * // 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+ */
+export const hashFile = async (filePath) => {
+  const hash = createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
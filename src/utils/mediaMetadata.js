@@ -0,0 +1,488 @@
+// =============================================================================
+// Утилита для чтения метаданных медиафайлов (размеры, длительность)
+// =============================================================================
+
+import fs from 'fs';
+
+/**
+ * Максимальный размер атома moov, который читается целиком (в байтах)
+ * @type {number}
+ */
+const MAX_MOOV_SIZE = 64 * 1024 * 1024; // 64MB
+
+/**
+ * Сколько байт после ID3-тега просматривается в поиске первого MP3-кадра
+ * @type {number}
+ */
+const MP3_SYNC_SEARCH_SIZE = 64 * 1024;
+
+/**
+ * Битрейты MP3 (кбит/с) по версии MPEG и слою. Индекс — поле bitrate
+ * заголовка кадра (0 — свободный битрейт, 15 — недопустимое значение)
+ */
+const MP3_BITRATES = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  },
+};
+
+/**
+ * Частоты дискретизации MP3 (Гц) по полю версии MPEG заголовка кадра
+ */
+const MP3_SAMPLE_RATES = {
+  0: [11025, 12000, 8000], // MPEG 2.5
+  2: [22050, 24000, 16000], // MPEG 2
+  3: [44100, 48000, 32000], // MPEG 1
+};
+
+/**
+ * Маркеры JPEG SOF (Start Of Frame), в которых записаны размеры
+ * изображения. 0xC4, 0xC8 и 0xCC — другие маркеры из того же диапазона
+ */
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+/**
+ * Читает из файла заданный диапазон байт
+ *
+ * @param {Object} handle - Дескриптор файла (fs.promises.FileHandle)
+ * @param {number} position - Смещение от начала файла
+ * @param {number} length - Количество байт
+ * @returns {Promise<Buffer>}
+ */
+const readRange = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  if (bytesRead < length) throw new Error('Unexpected end of file');
+  return buffer;
+};
+
+/**
+ * Округляет длительность до миллисекунд
+ *
+ * @param {number} seconds - Длительность в секундах
+ * @returns {number}
+ */
+const roundDuration = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Ориентация изображения из сегмента EXIF (APP1)
+ *
+ * @param {Buffer} segment - Содержимое сегмента APP1 без маркера и длины
+ * (начинается с `Exif\0\0`)
+ * @returns {number} Значение тега Orientation (1, если тега нет)
+ *
+ * @throws {RangeError} Если структура EXIF повреждена
+ */
+export const readExifOrientation = (segment) => {
+  if (segment.toString('latin1', 0, 6) !== 'Exif\0\0') return 1;
+
+  const tiff = segment.subarray(6);
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifd = u32(4);
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (u16(entry) === 0x0112) return u16(entry + 8);
+  }
+  return 1;
+};
+
+/**
+ * Размеры JPEG с учетом ориентации из EXIF
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @returns {Promise<Object|null>} `{ width, height }`
+ *
+ * @description
+ * Просматривает сегменты до первого маркера SOF. Для ориентаций 5–8
+ * (поворот на 90°) ширина и высота меняются местами — так изображение
+ * показывает браузер.
+ */
+const readJpegSize = async (handle) => {
+  let position = 2;
+  let orientation = 1;
+
+  for (;;) {
+    const header = await readRange(handle, position, 4);
+    if (header[0] !== 0xff) return null;
+
+    const marker = header[1];
+    // Байты-заполнители 0xFF перед маркером
+    if (marker === 0xff) {
+      position += 1;
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0xda) return null;
+
+    const length = header.readUInt16BE(2);
+
+    if (marker === 0xe1) {
+      // В APP1 бывает и XMP: ориентацию задает только сегмент EXIF
+      const segment = await readRange(handle, position + 4, length - 2);
+      if (segment.toString('latin1', 0, 6) === 'Exif\0\0') orientation = readExifOrientation(segment);
+    } else if (JPEG_SOF_MARKERS.has(marker)) {
+      const frame = await readRange(handle, position + 4, 5);
+      const height = frame.readUInt16BE(1);
+      const width = frame.readUInt16BE(3);
+      return orientation >= 5 ? { width: height, height: width } : { width, height };
+    }
+
+    position += 2 + length;
+  }
+};
+
+/**
+ * Размеры PNG из чанка IHDR
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @returns {Promise<Object>} `{ width, height }`
+ */
+const readPngSize = async (handle) => {
+  const header = await readRange(handle, 16, 8);
+  return { width: header.readUInt32BE(0), height: header.readUInt32BE(4) };
+};
+
+/**
+ * Размеры GIF из логического дескриптора экрана
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @returns {Promise<Object>} `{ width, height }`
+ */
+const readGifSize = async (handle) => {
+  const header = await readRange(handle, 6, 4);
+  return { width: header.readUInt16LE(0), height: header.readUInt16LE(2) };
+};
+
+/**
+ * Размеры WebP (форматы VP8, VP8L и VP8X)
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @returns {Promise<Object|null>} `{ width, height }`
+ */
+const readWebpSize = async (handle) => {
+  const header = await readRange(handle, 0, 30);
+  const chunk = header.toString('latin1', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    return {
+      width: header.readUInt16LE(26) & 0x3fff,
+      height: header.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === 'VP8L') {
+    const bits = header.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+/**
+ * Перебирает атомы MP4 в пределах буфера
+ *
+ * @param {Buffer} buffer - Буфер с атомами
+ * @param {number} [start=0] - Начало области
+ * @param {number} [end=buffer.length] - Конец области
+ * @returns {Array<Object>} `{ type, start, end }`, где start — начало
+ * содержимого атома (после заголовка)
+ */
+const listBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let position = start;
+
+  while (position + 8 <= end) {
+    let size = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(position + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < headerSize || position + size > end) break;
+
+    boxes.push({ type, start: position + headerSize, end: position + size });
+    position += size;
+  }
+
+  return boxes;
+};
+
+/**
+ * Находит атом moov в файле MP4
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @param {number} fileSize - Размер файла
+ * @returns {Promise<Buffer|null>} Содержимое moov вместе с заголовком
+ *
+ * @description
+ * moov может находиться как в начале, так и в конце файла, поэтому
+ * атомы верхнего уровня перебираются по заголовкам без чтения содержимого.
+ */
+const readMoovBox = async (handle, fileSize) => {
+  let position = 0;
+
+  while (position + 8 <= fileSize) {
+    const header = await readRange(handle, position, Math.min(16, fileSize - position));
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+
+    if (size === 1) size = Number(header.readBigUInt64BE(8));
+    else if (size === 0) size = fileSize - position;
+    if (size < 8) return null;
+
+    if (type === 'moov') {
+      return size > MAX_MOOV_SIZE ? null : readRange(handle, position, size);
+    }
+    position += size;
+  }
+
+  return null;
+};
+
+/**
+ * Длительность и разрешение видео MP4
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @param {number} fileSize - Размер файла
+ * @returns {Promise<Object|null>} `{ duration, width, height }`
+ *
+ * @description
+ * Длительность берется из mvhd, разрешение — из tkhd первой видеодорожки.
+ * Если дорожка повернута на 90° или 270° (матрица tkhd), ширина и высота
+ * меняются местами.
+ */
+const readMp4Metadata = async (handle, fileSize) => {
+  const moov = await readMoovBox(handle, fileSize);
+  if (!moov) return null;
+
+  const metadata = {};
+  const children = listBoxes(moov, 8);
+
+  const mvhd = children.find(({ type }) => type === 'mvhd');
+  if (mvhd) {
+    const version = moov[mvhd.start];
+    const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+      ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+      : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale > 0) metadata.duration = roundDuration(duration / timescale);
+  }
+
+  for (const trak of children.filter(({ type }) => type === 'trak')) {
+    const trakChildren = listBoxes(moov, trak.start, trak.end);
+    const tkhd = trakChildren.find(({ type }) => type === 'tkhd');
+    const mdia = trakChildren.find(({ type }) => type === 'mdia');
+    const hdlr = mdia && listBoxes(moov, mdia.start, mdia.end).find(({ type }) => type === 'hdlr');
+    if (!tkhd || !hdlr || moov.toString('latin1', hdlr.start + 8, hdlr.start + 12) !== 'vide') {
+      continue;
+    }
+
+    const matrix = tkhd.start + (moov[tkhd.start] === 1 ? 36 : 24) + 16;
+    const width = Math.round(moov.readUInt32BE(matrix + 36) / 0x10000);
+    const height = Math.round(moov.readUInt32BE(matrix + 40) / 0x10000);
+    const isRotated = moov.readInt32BE(matrix) === 0 && moov.readInt32BE(matrix + 16) === 0;
+
+    Object.assign(metadata, isRotated ? { width: height, height: width } : { width, height });
+    break;
+  }
+
+  return Object.keys(metadata).length > 0 ? metadata : null;
+};
+
+/**
+ * Длительность, битрейт и частота дискретизации MP3
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @param {number} fileSize - Размер файла
+ * @returns {Promise<Object|null>} `{ duration, bitrate, sampleRate, channels }`
+ *
+ * @description
+ * 1. Пропускает ID3v2-тег и находит первый кадр
+ * 2. Если в первом кадре есть заголовок Xing/Info или VBRI (файлы
+ *    с переменным битрейтом), длительность считается по количеству кадров,
+ *    а битрейт — средний
+ * 3. Иначе длительность считается по размеру аудиоданных и битрейту
+ *    первого кадра
+ */
+const readMp3Metadata = async (handle, fileSize) => {
+  let audioStart = 0;
+  const id3 = await readRange(handle, 0, 10);
+  if (id3.toString('latin1', 0, 3) === 'ID3') {
+    const tagSize = (id3[6] << 21) | (id3[7] << 14) | (id3[8] << 7) | id3[9];
+    audioStart = 10 + tagSize + (id3[5] & 0x10 ? 10 : 0);
+  }
+
+  const chunk = await readRange(
+    handle,
+    audioStart,
+    Math.min(MP3_SYNC_SEARCH_SIZE, fileSize - audioStart)
+  );
+
+  for (let i = 0; i + 4 <= chunk.length; i++) {
+    if (chunk[i] !== 0xff || (chunk[i + 1] & 0xe0) !== 0xe0) continue;
+
+    const versionBits = (chunk[i + 1] >> 3) & 0x03;
+    const layer = 4 - ((chunk[i + 1] >> 1) & 0x03);
+    const bitrateIndex = chunk[i + 2] >> 4;
+    const sampleRateIndex = (chunk[i + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15
+      || sampleRateIndex === 3) {
+      continue;
+    }
+
+    const isMpeg1 = versionBits === 3;
+    const isMono = chunk[i + 3] >> 6 === 3;
+    const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+    const frameBitrate = MP3_BITRATES[isMpeg1 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+    const samplesPerFrame = layer === 1 ? 384 : layer === 3 && !isMpeg1 ? 576 : 1152;
+
+    const hasId3v1 = fileSize >= 128
+      && (await readRange(handle, fileSize - 128, 3)).toString('latin1') === 'TAG';
+    const audioSize = fileSize - audioStart - i - (hasId3v1 ? 128 : 0);
+
+    // Количество кадров из заголовков VBR
+    const sideInfoSize = isMpeg1 ? (isMono ? 17 : 32) : (isMono ? 9 : 17);
+    const xing = i + 4 + sideInfoSize;
+    let frames = null;
+    if (xing + 12 <= chunk.length
+      && ['Xing', 'Info'].includes(chunk.toString('latin1', xing, xing + 4))
+      && chunk.readUInt32BE(xing + 4) & 0x01) {
+      frames = chunk.readUInt32BE(xing + 8);
+    } else if (i + 36 + 18 <= chunk.length
+      && chunk.toString('latin1', i + 36, i + 40) === 'VBRI') {
+      frames = chunk.readUInt32BE(i + 36 + 14);
+    }
+
+    const duration = frames
+      ? (frames * samplesPerFrame) / sampleRate
+      : (audioSize * 8) / frameBitrate;
+    const bitrate = frames && duration > 0
+      ? Math.round((audioSize * 8) / duration)
+      : frameBitrate;
+
+    return {
+      duration: roundDuration(duration),
+      bitrate,
+      sampleRate,
+      channels: isMono ? 1 : 2,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Длительность, битрейт и частота дискретизации WAV
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @param {number} fileSize - Размер файла
+ * @returns {Promise<Object|null>} `{ duration, bitrate, sampleRate, channels }`
+ */
+const readWavMetadata = async (handle, fileSize) => {
+  let position = 12;
+  let format = null;
+  let dataSize = null;
+
+  while (position + 8 <= fileSize && (!format || dataSize === null)) {
+    const header = await readRange(handle, position, 8);
+    const id = header.toString('latin1', 0, 4);
+    const size = header.readUInt32LE(4);
+
+    if (id === 'fmt ') {
+      const fmt = await readRange(handle, position + 8, 16);
+      format = {
+        channels: fmt.readUInt16LE(2),
+        sampleRate: fmt.readUInt32LE(4),
+        byteRate: fmt.readUInt32LE(8),
+      };
+    } else if (id === 'data') {
+      // Размер данных бывает не заполнен при записи потоком
+      dataSize = Math.min(size, fileSize - position - 8);
+    }
+
+    position += 8 + size + (size % 2);
+  }
+
+  if (!format || !format.byteRate || dataSize === null) return null;
+
+  return {
+    duration: roundDuration(dataSize / format.byteRate),
+    bitrate: format.byteRate * 8,
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+  };
+};
+
+/**
+ * Функции чтения метаданных по MIME-типу
+ */
+const READERS = {
+  'image/jpeg': readJpegSize,
+  'image/png': readPngSize,
+  'image/gif': readGifSize,
+  'image/webp': readWebpSize,
+  'video/mp4': readMp4Metadata,
+  'audio/mpeg': readMp3Metadata,
+  'audio/wav': readWavMetadata,
+};
+
+/**
+ * Проверяет, умеет ли утилита читать метаданные файлов этого типа
+ *
+ * @param {string} mimetype - MIME-тип файла
+ * @returns {boolean}
+ */
+export const hasMediaMetadataReader = (mimetype) => Object.hasOwn(READERS, mimetype);
+
+/**
+ * Читает метаданные медиафайла
+ *
+ * @param {string} filePath - Путь к файлу
+ * @param {string} mimetype - Реальный MIME-тип файла
+ * @returns {Promise<Object|null>}
+ * - Изображения: `{ width, height }` (в пикселях, с учетом EXIF-ориентации)
+ * - Видео (MP4): `{ duration, width, height }`
+ * - Аудио (MP3, WAV): `{ duration, bitrate, sampleRate, channels }`
+ * - null, если тип не поддерживается или файл не удалось разобрать
+ *
+ * @description
+ * Читаются только заголовки файла, файл целиком в память не загружается.
+ * Длительность — в секундах, битрейт — в битах в секунду, частота
+ * дискретизации — в герцах.
+ *
+ * @example
+ * await readMediaMetadata('/uploads/1/videos/a.mp4', 'video/mp4');
+ * // { duration: 12.48, width: 1920, height: 1080 }
+ */
+export const readMediaMetadata = async (filePath, mimetype) => {
+  if (!hasMediaMetadataReader(mimetype)) return null;
+
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    return await READERS[mimetype](handle, size);
+  } catch {
+    return null;
+  } finally {
+    await handle?.close();
+  }
+};
@@ -15,4 +15,20 @@ export const PROJECT_ROOT = path.resolve(__dirname, '../..');
 // Пути к важным директориям
 export const DATA_DIR = path.join(PROJECT_ROOT, 'data');
 export const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+export const BLOBS_DIR = path.join(UPLOADS_DIR, 'blobs');
+export const TMP_DIR = path.join(DATA_DIR, 'tmp');
+export const TRASH_DIR = path.join(DATA_DIR, 'trash');
+export const STAGING_DIR = path.join(DATA_DIR, 'staging');
 export const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
+export const SQLITE_FILE = path.join(DATA_DIR, 'messages.db');
+export const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+export const SETTINGS_DIR = path.join(DATA_DIR, 'settings');
+export const REVISIONS_FILE = path.join(DATA_DIR, 'revisions.json');
+export const CHATS_FILE = path.join(DATA_DIR, 'chats.json');
+export const USERS_FILE = path.join(DATA_DIR, 'users.json');
+export const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+export const REMINDERS_FILE = path.join(DATA_DIR, 'reminders.json');
+export const TRASH_FILE = path.join(DATA_DIR, 'trash.json');
+export const BLOBS_FILE = path.join(DATA_DIR, 'blobs.json');
+export const STAGING_FILE = path.join(DATA_DIR, 'staging.json');
+export const HELP_MESSAGE_FILE = path.join(DATA_DIR, 'helpMessage.md');
@@ -1,5 +1,5 @@
 // =============================================================================
-// Утилита для рендеринга markdown-файлов
+// Утилита для рендеринга markdown (файлов и сообщений пользователей)
 // =============================================================================
 
 import { readFileSync, statSync } from 'fs';
@@ -23,7 +23,9 @@ const customSchema = {
   },
 };
 
-// Используем unified для рендеринга markdown-файлов
+// Используем unified для рендеринга markdown. Сырой HTML из markdown
+// отбрасывается remark-rehype, а rehype-sanitize удаляет опасные теги,
+// атрибуты (on*, style) и ссылки (javascript: и т. п.)
 const processor = unified()
   .use(remarkParse)
   .use(remarkRehype)
@@ -34,6 +36,22 @@ const processor = unified()
   .use(rehypeSanitize, customSchema)
   .use(rehypeStringify);
 
+/**
+ * Рендерит markdown-строку в безопасный HTML
+ *
+ * @param {string} markdown - Исходный текст в формате Markdown
+ * @returns {Promise<string>} Очищенный HTML: блоки кода, списки, ссылки
+ * (открываются в новой вкладке с `rel="noopener noreferrer"`) и т. д.
+ *
+ * @example
+ * await renderMarkdown('**Жирный** [ссылка](https://example.com)');
+ * // '<p><strong>Жирный</strong> <a href="https://example.com" target="_blank" rel="noopener noreferrer">ссылка</a></p>'
+ *
+ * await renderMarkdown('<b onclick="alert(1)">x</b> [y](javascript:alert(1))');
+ * // '<p>x <a>y</a></p>'
+ */
+export const renderMarkdown = async (markdown) => String(await processor.process(markdown));
+
 /**
  * Рендерит markdown-файл в HTML с помощью unified
  * 
@@ -41,12 +59,13 @@ const processor = unified()
  * @returns {Promise<string>} HTML-контент
  * 
  * @throws {Error} Если произошла ошибка при чтении или рендеринге
+ *
+ * @see {@link renderMarkdown} - Рендеринг markdown-строки
  */
 export const renderMarkdownFile = async (filePath) => {
   try {
     const markdown = readFileSync(filePath, 'utf8');
-    const file = await processor.process(markdown);
-    return String(file);
+    return await renderMarkdown(markdown);
   } catch (error) {
     throw new Error(
       `Failed to read or render markdown file: ${filePath}. Error: ${error.message}`
@@ -0,0 +1,37 @@
+// =============================================================================
+// Утилита для последовательного выполнения асинхронных операций
+// =============================================================================
+
+/**
+ * Создает очередь, выполняющую асинхронные задачи строго по одной
+ *
+ * @returns {Object} Очередь с методом `run(task)`
+ *
+ * @description
+ * Используется как блокировка в пределах процесса: задача начинает
+ * выполняться только после завершения (успешного или нет) предыдущей.
+ * Ошибка одной задачи не прерывает очередь и пробрасывается вызывающему.
+ *
+ * @example
+ * const queue = createSerialQueue();
+ * await queue.run(async () => {
+ *   // Операция чтения-изменения-записи без гонок
+ * });
+ */
+export const createSerialQueue = () => {
+  let tail = Promise.resolve();
+
+  return {
+    /**
+     * Ставит задачу в очередь
+     *
+     * @param {Function} task - Асинхронная функция без аргументов
+     * @returns {Promise<*>} Результат задачи
+     */
+    run(task) {
+      const result = tail.then(() => task());
+      tail = result.catch(() => {});
+      return result;
+    },
+  };
+};
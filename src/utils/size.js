@@ -0,0 +1,50 @@
+// =============================================================================
+// Утилита для разбора размеров данных
+// =============================================================================
+
+/**
+ * Размер единиц (в байтах)
+ * @type {Object<string, number>}
+ */
+const UNIT_BYTES = {
+  '': 1,
+  b: 1,
+  k: 1024,
+  kb: 1024,
+  m: 1024 ** 2,
+  mb: 1024 ** 2,
+  g: 1024 ** 3,
+  gb: 1024 ** 3,
+  t: 1024 ** 4,
+  tb: 1024 ** 4,
+};
+
+/**
+ * Регулярное выражение размера: число и необязательная единица
+ * @type {RegExp}
+ */
+const SIZE_REGEXP = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i;
+
+/**
+ * Разбор размера данных
+ *
+ * @param {*} value - Размер: число байт или число с единицей (K/KB, M/MB,
+ * G/GB, T/TB; единицы двоичные — 1 KB = 1024 байта)
+ * @returns {number|null} Размер в байтах или null, если строка не является
+ * размером
+ *
+ * @example
+ * parseSize('5GB');   // 5368709120
+ * parseSize('1.5m');  // 1572864
+ * parseSize('много'); // null
+ */
+export const parseSize = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(SIZE_REGEXP);
+  const unitBytes = match && UNIT_BYTES[match[2].toLowerCase()];
+  if (!unitBytes) return null;
+
+  const bytes = Math.floor(Number(match[1]) * unitBytes);
+  return bytes > 0 ? bytes : null;
+};
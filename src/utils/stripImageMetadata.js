@@ -0,0 +1,354 @@
+// =============================================================================
+// Утилита для удаления метаданных (EXIF, XMP, IPTC) из изображений
+// =============================================================================
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { writeFileAtomic } from './atomicWrite.js';
+import { readExifOrientation } from './mediaMetadata.js';
+
+/**
+ * Сигнатура PNG
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Чанки PNG с метаданными: текст (в том числе XMP в iTXt), EXIF и время
+ * изменения
+ */
+const PNG_METADATA_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME']);
+
+/**
+ * Флаги заголовка VP8X, которые указывают на наличие метаданных WebP
+ */
+const WEBP_FLAG_EXIF = 0x08;
+const WEBP_FLAG_XMP = 0x04;
+
+/**
+ * Сегмент JPEG с метаданными
+ *
+ * @param {number} marker - Маркер сегмента
+ * @param {Buffer} segment - Сегмент вместе с маркером и длиной
+ * @returns {boolean}
+ *
+ * @description
+ * Удаляются APP1 (EXIF, XMP), APP13 (IPTC), комментарии и сегменты
+ * производителей камер (APP3–APP12, APP15). Сохраняются APP0 (JFIF),
+ * APP14 (Adobe, нужен для правильной передачи цвета) и цветовой профиль
+ * ICC в APP2; остальные сегменты APP2 (MPF, FlashPix) удаляются.
+ */
+const isJpegMetadataSegment = (marker, segment) => {
+  if (marker === 0xfe) return true;
+  if (marker === 0xe2) return segment.toString('latin1', 4, 16) !== 'ICC_PROFILE\0';
+  return marker >= 0xe1 && marker <= 0xef && marker !== 0xee;
+};
+
+/**
+ * TIFF-структура EXIF, содержащая только тег Orientation
+ *
+ * @param {number} orientation - Значение тега (2–8)
+ * @returns {Buffer}
+ */
+const createOrientationTiff = (orientation) => {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4); // Смещение первого IFD
+  tiff.writeUInt16BE(1, 8); // Количество тегов
+  tiff.writeUInt16BE(0x0112, 10); // Orientation
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  tiff.writeUInt32BE(0, 22); // Следующего IFD нет
+  return tiff;
+};
+
+/**
+ * Ориентация из EXIF-данных, записанных без префикса `Exif\0\0`
+ * (чанки PNG и WebP)
+ *
+ * @param {Buffer} data - Содержимое чанка EXIF
+ * @returns {number}
+ */
+const readChunkOrientation = (data) => readExifOrientation(
+  data.toString('latin1', 0, 6) === 'Exif\0\0'
+    ? data
+    : Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), data])
+);
+
+/**
+ * Находит конец изображения JPEG (после маркера EOI)
+ *
+ * @param {Buffer} buffer - Содержимое файла
+ * @param {number} start - Смещение первого маркера SOS
+ * @returns {number} Смещение сразу после EOI (или конец буфера)
+ *
+ * @description
+ * В сжатых данных байт 0xFF всегда экранируется (0xFF00) или является
+ * маркером RSTn, остальные маркеры (DHT, SOS прогрессивных JPEG)
+ * пропускаются по длине.
+ */
+const findJpegEnd = (buffer, start) => {
+  let position = start;
+
+  while (position + 1 < buffer.length) {
+    if (buffer[position] !== 0xff) {
+      position += 1;
+      continue;
+    }
+
+    const marker = buffer[position + 1];
+    if (marker === 0xd9) return position + 2;
+    if (marker === 0xff) {
+      position += 1;
+    } else if (marker === 0x00 || (marker >= 0xd0 && marker <= 0xd7)) {
+      position += 2;
+    } else {
+      if (position + 4 > buffer.length) break;
+      position += 2 + buffer.readUInt16BE(position + 2);
+    }
+  }
+
+  return buffer.length;
+};
+
+/**
+ * Удаляет метаданные из JPEG
+ *
+ * @param {Buffer} buffer - Содержимое файла
+ * @returns {Buffer|null} Очищенный файл или null, если удалять нечего
+ *
+ * @description
+ * 1. Удаляет сегменты с метаданными до начала сжатых данных
+ *    (см. {@link isJpegMetadataSegment})
+ * 2. Отбрасывает данные после конца изображения (дополнительные
+ *    изображения MPF, служебные данные смартфонов)
+ * 3. Если в EXIF была ориентация, отличная от обычной, добавляет новый
+ *    сегмент EXIF только с тегом Orientation
+ */
+const stripJpeg = (buffer) => {
+  const kept = [buffer.subarray(0, 2)];
+  let insertAt = 1;
+  let orientation = 1;
+  let isStripped = false;
+  let position = 2;
+
+  while (position + 4 <= buffer.length) {
+    if (buffer[position] !== 0xff) return null;
+
+    const marker = buffer[position + 1];
+    if (marker === 0xff) {
+      position += 1;
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const end = position + 2 + buffer.readUInt16BE(position + 2);
+    if (end > buffer.length) return null;
+    const segment = buffer.subarray(position, end);
+
+    if (isJpegMetadataSegment(marker, segment)) {
+      if (segment.toString('latin1', 4, 10) === 'Exif\0\0') {
+        orientation = readExifOrientation(segment.subarray(4));
+      }
+      isStripped = true;
+    } else {
+      kept.push(segment);
+      // EXIF должен следовать сразу за JFIF
+      if (marker === 0xe0 && kept.length === 2) insertAt = 2;
+    }
+
+    position = end;
+  }
+
+  const end = findJpegEnd(buffer, position);
+  if (end < buffer.length) isStripped = true;
+  if (!isStripped) return null;
+
+  if (orientation !== 1) {
+    const tiff = createOrientationTiff(orientation);
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xffe1, 0);
+    header.writeUInt16BE(2 + 6 + tiff.length, 2);
+    kept.splice(insertAt, 0, header, Buffer.from('Exif\0\0', 'latin1'), tiff);
+  }
+
+  return Buffer.concat([...kept, buffer.subarray(position, end)]);
+};
+
+/**
+ * Собирает чанк PNG с контрольной суммой
+ *
+ * @param {string} type - Тип чанка
+ * @param {Buffer} data - Содержимое
+ * @returns {Buffer}
+ */
+const createPngChunk = (type, data) => {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+};
+
+/**
+ * Удаляет метаданные из PNG
+ *
+ * @param {Buffer} buffer - Содержимое файла
+ * @returns {Buffer|null} Очищенный файл или null, если удалять нечего
+ *
+ * @description
+ * Удаляет текстовые чанки, eXIf и tIME (см. PNG_METADATA_CHUNKS). Если
+ * в eXIf была ориентация, отличная от обычной, на его месте остается
+ * eXIf только с тегом Orientation.
+ */
+const stripPng = (buffer) => {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+  const kept = [PNG_SIGNATURE];
+  let isStripped = false;
+  let position = 8;
+
+  while (position + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    const end = position + 12 + length;
+    if (end > buffer.length) return null;
+
+    if (PNG_METADATA_CHUNKS.has(type)) {
+      const orientation = type === 'eXIf'
+        ? readChunkOrientation(buffer.subarray(position + 8, position + 8 + length))
+        : 1;
+      if (orientation !== 1) kept.push(createPngChunk('eXIf', createOrientationTiff(orientation)));
+      isStripped = true;
+    } else {
+      kept.push(buffer.subarray(position, end));
+    }
+
+    position = end;
+    if (type === 'IEND') break;
+  }
+
+  return isStripped ? Buffer.concat(kept) : null;
+};
+
+/**
+ * Удаляет метаданные из WebP
+ *
+ * @param {Buffer} buffer - Содержимое файла
+ * @returns {Buffer|null} Очищенный файл или null, если удалять нечего
+ *
+ * @description
+ * Метаданные бывают только в расширенном формате (VP8X): удаляются чанки
+ * EXIF и XMP, флаги заголовка VP8X обновляются. Если в EXIF была
+ * ориентация, отличная от обычной, остается EXIF только с тегом
+ * Orientation.
+ */
+const stripWebp = (buffer) => {
+  if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WEBP') {
+    return null;
+  }
+  if (buffer.toString('latin1', 12, 16) !== 'VP8X') return null;
+
+  const kept = [];
+  let orientation = 1;
+  let isStripped = false;
+  let position = 12;
+
+  while (position + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', position, position + 4);
+    const size = buffer.readUInt32LE(position + 4);
+    const end = Math.min(position + 8 + size + (size % 2), buffer.length);
+
+    if (type === 'EXIF' || type === 'XMP ') {
+      if (type === 'EXIF') orientation = readChunkOrientation(buffer.subarray(position + 8, end));
+      isStripped = true;
+    } else {
+      kept.push(Buffer.from(buffer.subarray(position, end)));
+    }
+
+    position = end;
+  }
+
+  if (!isStripped) return null;
+
+  // Флаги VP8X — первый байт его содержимого
+  const vp8x = kept[0];
+  vp8x[8] &= ~(WEBP_FLAG_EXIF | WEBP_FLAG_XMP);
+
+  if (orientation !== 1) {
+    const tiff = createOrientationTiff(orientation);
+    const header = Buffer.alloc(8);
+    header.write('EXIF', 0, 'latin1');
+    header.writeUInt32LE(tiff.length, 4);
+    kept.push(header, tiff);
+    vp8x[8] |= WEBP_FLAG_EXIF;
+  }
+
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'latin1');
+  riff.write('WEBP', 8, 'latin1');
+  const result = Buffer.concat([riff, ...kept]);
+  result.writeUInt32LE(result.length - 8, 4);
+  return result;
+};
+
+/**
+ * Функции очистки по MIME-типу
+ */
+const STRIPPERS = {
+  'image/jpeg': stripJpeg,
+  'image/png': stripPng,
+  'image/webp': stripWebp,
+};
+
+/**
+ * Удаляет из изображения метаданные: EXIF (включая GPS-координаты
+ * и серийные номера камер), XMP, IPTC и текстовые чанки PNG
+ *
+ * @param {Buffer} buffer - Содержимое файла
+ * @param {string} mimetype - Реальный MIME-тип файла
+ * @returns {Buffer|null} Очищенный файл или null, если тип
+ * не поддерживается или метаданных нет
+ *
+ * @description
+ * Изображение не перекодируется: удаляются только блоки с метаданными,
+ * поэтому качество не меняется. Ориентация сохраняется в виде EXIF
+ * из одного тега Orientation, чтобы изображение по-прежнему отображалось
+ * правильно.
+ *
+ * @throws {RangeError} Если структура файла повреждена
+ */
+export const stripImageMetadata = (buffer, mimetype) => {
+  const strip = STRIPPERS[mimetype];
+  const stripped = strip ? strip(buffer) : null;
+
+  // Файл, в котором осталась только ориентация, при повторной очистке
+  // собирается заново без изменений
+  return stripped && !stripped.equals(buffer) ? stripped : null;
+};
+
+/**
+ * Удаляет метаданные из файла изображения на месте
+ *
+ * @param {string} filePath - Путь к файлу
+ * @param {string} mimetype - Реальный MIME-тип файла
+ * @returns {Promise<number|null>} Новый размер файла или null, если файл
+ * не изменился
+ *
+ * @example
+ * const size = await stripImageMetadataFile('/uploads/1/images/abc.jpg', 'image/jpeg');
+ * if (size !== null) file.size = size;
+ *
+ * @see {@link stripImageMetadata} - Удаление метаданных
+ */
+export const stripImageMetadataFile = async (filePath, mimetype) => {
+  if (!STRIPPERS[mimetype]) return null;
+
+  const stripped = stripImageMetadata(await fs.promises.readFile(filePath), mimetype);
+  if (!stripped) return null;
+
+  await writeFileAtomic(filePath, stripped);
+  return stripped.length;
+};
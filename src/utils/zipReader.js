@@ -0,0 +1,246 @@
+// =============================================================================
+// Утилита для чтения ZIP-архивов
+// =============================================================================
+
+import fs from 'fs';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+
+/**
+ * Сигнатуры записей ZIP
+ */
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Минимальный размер записи конца центрального каталога (без комментария)
+ * @type {number}
+ */
+const END_RECORD_SIZE = 22;
+
+/**
+ * Максимальная длина комментария архива
+ * @type {number}
+ */
+const MAX_COMMENT_LENGTH = 0xffff;
+
+/**
+ * Размер локального заголовка файла (без имени и дополнительных полей)
+ * @type {number}
+ */
+const LOCAL_HEADER_SIZE = 30;
+
+/**
+ * Поддерживаемые методы сжатия
+ */
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Читает из файла заданный диапазон байт
+ *
+ * @param {Object} handle - Дескриптор файла (fs.promises.FileHandle)
+ * @param {number} position - Смещение от начала файла
+ * @param {number} length - Количество байт
+ * @returns {Promise<Buffer>}
+ */
+const readRange = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  if (bytesRead < length) throw new Error('Unexpected end of ZIP archive');
+  return buffer;
+};
+
+/**
+ * Находит запись конца центрального каталога
+ *
+ * @param {Object} handle - Дескриптор файла
+ * @param {number} fileSize - Размер файла
+ * @returns {Promise<Object>} `{ count, offset, size }` центрального каталога
+ */
+const readEndRecord = async (handle, fileSize) => {
+  const tailSize = Math.min(fileSize, END_RECORD_SIZE + MAX_COMMENT_LENGTH);
+  if (tailSize < END_RECORD_SIZE) throw new Error('Not a ZIP archive');
+
+  const tail = await readRange(handle, fileSize - tailSize, tailSize);
+
+  for (let i = tailSize - END_RECORD_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) !== END_OF_CENTRAL_DIRECTORY) continue;
+
+    const count = tail.readUInt16LE(i + 10);
+    const size = tail.readUInt32LE(i + 12);
+    const offset = tail.readUInt32LE(i + 16);
+
+    if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    return { count, size, offset };
+  }
+
+  throw new Error('Not a ZIP archive');
+};
+
+/**
+ * Поток, прерывающийся ошибкой при превышении размера
+ *
+ * @param {number} limit - Максимальное количество байт
+ * @returns {Transform}
+ *
+ * @description
+ * Защищает от архивов, в которых реальный размер распакованных данных
+ * больше указанного в заголовке («zip-бомб»).
+ */
+const createSizeLimiter = (limit) => {
+  let total = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > limit) {
+        callback(new Error('ZIP entry is larger than declared'));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+};
+
+/**
+ * Открывает ZIP-архив для чтения
+ *
+ * @param {string} filePath - Путь к архиву
+ * @returns {Promise<Object>} Архив:
+ * - `entries` — Map: путь внутри архива → запись `{ name, size,
+ *   compressedSize, method, dataOffset }` (директории не включаются)
+ * - `readEntry(name, { maxSize })` — содержимое файла в виде Buffer
+ * - `extractEntry(name, destination, { maxSize })` — распаковка файла
+ *   на диск
+ *
+ * @description
+ * 1. Находит в конце файла запись конца центрального каталога
+ * 2. Читает центральный каталог и локальные заголовки файлов, чтобы
+ *    определить смещение данных каждого файла
+ *
+ * Поддерживаются несжатые и сжатые deflate файлы без шифрования
+ * (так архивы создают archiver, Telegram Desktop, ОС и большинство
+ * программ). Пути внутри архива используются только как ключи: файлы
+ * распаковываются по пути, который передает вызывающий код, поэтому
+ * пути вида «../» не опасны.
+ *
+ * @throws {Error} Если файл не является ZIP-архивом, поврежден или
+ * использует неподдерживаемый формат (ZIP64, шифрование)
+ *
+ * @example
+ * const zip = await openZipArchive('/tmp/export.zip');
+ * const manifest = JSON.parse(await zip.readEntry('manifest.json', { maxSize: 1024 * 1024 }));
+ * await zip.extractEntry('uploads/1/images/a.png', '/tmp/a.png', { maxSize: MAX_FILE_SIZE });
+ */
+export const openZipArchive = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  const entries = new Map();
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const directory = await readEndRecord(handle, fileSize);
+    const central = await readRange(handle, directory.offset, directory.size);
+
+    let position = 0;
+    for (let i = 0; i < directory.count; i++) {
+      if (central.readUInt32LE(position) !== CENTRAL_DIRECTORY_HEADER) {
+        throw new Error('Corrupted ZIP central directory');
+      }
+
+      const flags = central.readUInt16LE(position + 8);
+      const method = central.readUInt16LE(position + 10);
+      const compressedSize = central.readUInt32LE(position + 20);
+      const size = central.readUInt32LE(position + 24);
+      const nameLength = central.readUInt16LE(position + 28);
+      const extraLength = central.readUInt16LE(position + 30);
+      const commentLength = central.readUInt16LE(position + 32);
+      const localOffset = central.readUInt32LE(position + 42);
+      const name = central.toString('utf8', position + 46, position + 46 + nameLength);
+
+      position += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+      if (flags & 0x1) throw new Error(`Encrypted ZIP entry: ${name}`);
+      if (compressedSize === 0xffffffff || size === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+      }
+
+      const local = await readRange(handle, localOffset, LOCAL_HEADER_SIZE);
+      if (local.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Corrupted ZIP entry: ${name}`);
+      }
+      const dataOffset = localOffset + LOCAL_HEADER_SIZE
+        + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+      entries.set(name, { name, size, compressedSize, method, dataOffset });
+    }
+  } finally {
+    await handle.close();
+  }
+
+  /**
+   * Создает поток распакованного содержимого файла архива
+   *
+   * @param {string} name - Путь внутри архива
+   * @param {number} maxSize - Максимальный размер распакованного файла
+   * @returns {Array<Stream>} Цепочка потоков для pipeline
+   */
+  const createEntryStreams = (name, maxSize) => {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`ZIP entry not found: ${name}`);
+    if (entry.size > maxSize) throw new Error(`ZIP entry is too large: ${name}`);
+    if (![METHOD_STORED, METHOD_DEFLATED].includes(entry.method)) {
+      throw new Error(`Unsupported ZIP compression method ${entry.method}: ${name}`);
+    }
+
+    if (entry.compressedSize === 0) return [Readable.from([])];
+
+    const streams = [fs.createReadStream(filePath, {
+      start: entry.dataOffset,
+      end: entry.dataOffset + entry.compressedSize - 1,
+    })];
+    if (entry.method === METHOD_DEFLATED) streams.push(zlib.createInflateRaw());
+    streams.push(createSizeLimiter(entry.size));
+
+    return streams;
+  };
+
+  return {
+    entries,
+
+    /**
+     * Читает файл архива в память
+     *
+     * @param {string} name - Путь внутри архива
+     * @param {Object} [options]
+     * @param {number} [options.maxSize=Infinity] - Максимальный размер
+     * @returns {Promise<Buffer>}
+     */
+    async readEntry(name, { maxSize = Infinity } = {}) {
+      const chunks = [];
+      await pipeline(...createEntryStreams(name, maxSize), async (source) => {
+        for await (const chunk of source) chunks.push(chunk);
+      });
+      return Buffer.concat(chunks);
+    },
+
+    /**
+     * Распаковывает файл архива на диск
+     *
+     * @param {string} name - Путь внутри архива
+     * @param {string} destination - Путь, по которому будет создан файл
+     * @param {Object} [options]
+     * @param {number} [options.maxSize=Infinity] - Максимальный размер
+     * @returns {Promise<number>} Размер распакованного файла
+     */
+    async extractEntry(name, destination, { maxSize = Infinity } = {}) {
+      await pipeline(...createEntryStreams(name, maxSize), fs.createWriteStream(destination));
+      return entries.get(name).size;
+    },
+  };
+};
@@ -0,0 +1,81 @@
+// =============================================================================
+// Утилита для отправки файлов клиенту в виде ZIP-архива
+// =============================================================================
+
+import archiver from 'archiver';
+import fs from 'fs';
+import { logger } from './logger.js';
+
+/**
+ * Проверяет, что все файлы существуют
+ *
+ * @param {Array<Object>} entries - Файлы архива `{ filePath, name }`
+ * (записи с `content` не проверяются)
+ * @returns {Promise<string|null>} Путь первого отсутствующего файла или null
+ */
+export const findMissingEntry = async (entries) => {
+  for (const { filePath } of entries) {
+    if (!filePath) continue;
+    try {
+      await fs.promises.access(filePath, fs.constants.F_OK);
+    } catch {
+      return filePath;
+    }
+  }
+  return null;
+};
+
+/**
+ * Отправляет файлы в ответ в виде ZIP-архива, формируемого на лету
+ *
+ * @param {Object} ctx - Контекст запроса Koa.js
+ * @param {Array<Object>} entries - Файлы архива
+ * @param {string} [entries[].filePath] - Полный путь к файлу на диске
+ * @param {string|Buffer} [entries[].content] - Содержимое файла (вместо
+ * `filePath`, например для сформированного на лету JSON)
+ * @param {string} entries[].name - Путь файла внутри архива
+ * @param {string} archiveName - Имя архива для заголовка Content-Disposition
+ *
+ * @description
+ * 1. Устанавливает заголовки для скачивания
+ * 2. Отключает автоматическую обработку body Koa и передает архив
+ *    напрямую в ответ
+ * 3. При ошибке архивации, если заголовки еще не отправлены, отвечает 500
+ *
+ * Существование файлов нужно проверить заранее (см. {@link findMissingEntry}),
+ * пока еще можно ответить ошибкой.
+ *
+ * @example
+ * sendZip(ctx, [{ filePath: '/data/uploads/1/images/a.png', name: 'images/a.png' }],
+ *   'attachments-1.zip');
+ */
+export const sendZip = (ctx, entries, archiveName) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  ctx.set('Content-Type', 'application/zip');
+  ctx.set('Content-Disposition', `attachment; filename="${archiveName}"`);
+  ctx.status = 200;
+
+  // Отключаем автоматическую обработку body Koa, чтобы избежать сериализации
+  ctx.respond = false;
+
+  archive.on('error', (err) => {
+    logger.error({ err }, `Archive error for ${archiveName}`);
+    if (!ctx.res.headersSent) {
+      ctx.res.statusCode = 500;
+      ctx.res.end('Internal Server Error');
+    }
+  });
+
+  archive.pipe(ctx.res);
+
+  for (const { filePath, content, name } of entries) {
+    if (content !== undefined) {
+      archive.append(content, { name });
+    } else {
+      archive.file(filePath, { name });
+    }
+  }
+
+  archive.finalize();
+};